@@ -0,0 +1,25 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const searchService = require('../../src/services/searchService');
+
+// Rebuild the product search index, e.g. after importing products directly
+// into the database or changing how text is analysed
+const reindexSearch = async () => {
+  try {
+    console.log('Connecting to database...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected successfully');
+
+    const count = await searchService.indexProducts();
+    console.log(`Indexed ${count} products for search`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Reindex failed:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+reindexSearch();
@@ -1,3 +1,6 @@
+// The script has no authenticator app to answer the withdrawal 2FA prompt
+process.env.WITHDRAWAL_REQUIRE_2FA = 'false';
+
 const mongoose = require('mongoose');
 const User = require('../src/models/User').User;
 const Shop = require('../src/models/Shop');
@@ -75,7 +78,16 @@ async function verifyFlow() {
                 email: 'test@shop.com',
                 phone: '1234567890'
             },
-            wallet: { currentBalance: 0, lockedBalance: 0 }
+            wallet: { currentBalance: 0, lockedBalance: 0 },
+            // A new shop's first account can be paid out to right away
+            payoutAccounts: [{
+                type: 'mobile_money',
+                accountName: 'Test Seller',
+                phoneNumber: '0712345678',
+                provider: 'Tigo',
+                isDefault: true,
+                availableAt: new Date()
+            }]
         });
         await shop.save();
 
@@ -92,8 +104,7 @@ async function verifyFlow() {
         console.log('--- Requesting Withdrawal (10000) ---');
         const req = mockReq(
             {
-                amount: 10000,
-                paymentDetails: { type: 'mobile_money', details: { phoneNumber: '0712345678', provider: 'Tigo' } }
+                amount: 10000
             },
             { _id: sellerUser._id, userType: 'SELLER' }
         );
@@ -11,8 +11,13 @@ const { apiLimiter } = require('./src/middleware/rateLimiter');
 const securityMiddleware = require('./src/middleware/security');
 const webhookRoutes = require('./src/routes/webhooks')
 const swagger = require('./src/config/swagger');
+const paymentsConfig = require('./src/config/payments');
 const app = express();
 const WishlistReminderService = require('./src/services/wishlistReminderService');
+require('./src/services/orderExpiryService');
+require('./src/services/orderNotificationService');
+require('./src/services/shipmentService');
+require('./src/services/payoutService');
 
 
 
@@ -30,16 +35,30 @@ async function initializeApp() {
     }
 }
 
-// Call initialization
-initializeApp().catch(console.error);
+// Call initialization. Tests require the app and manage their own connection.
+if (require.main === module) {
+    initializeApp().catch(console.error);
+}
+
+// Behind a load balancer, webhook IP allowlists need the client address
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+// Webhook signatures are computed over the exact bytes received, so keep them
+const captureWebhookBody = (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/v1/webhooks')) {
+        req.rawBody = buf;
+    }
+};
 
 // Init Middleware
-app.use(express.json({ extended: false }));
+app.use(express.json({ extended: false, verify: captureWebhookBody }));
 app.use(helmet()); // Security headers
 app.use(cors());
 app.use(compression()); // Compress responses
 app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
+app.use(express.urlencoded({ extended: true, verify: captureWebhookBody }));
 app.use(requestLogger); // Request logging
 app.use(paginateResults);
 app.use(securityMiddleware);
@@ -52,6 +71,7 @@ app.use('/api/v1/', apiLimiter);
 // Routes
 app.use('/api/v1/auth', require('./src/routes/auth'));
 app.use('/api/v1/products', require('./src/routes/products'));
+app.use('/api/v1/search', require('./src/routes/search'));
 app.use('/api/v1/categories', require('./src/routes/categories'));
 app.use('/api/v1/shops', require('./src/routes/shops'));
 app.use('/api/v1/upload', require('./src/routes/upload'));
@@ -65,10 +85,19 @@ app.use('/api/v1/notifications', require('./src/routes/notifications'));
 app.use('/api/v1/profile', require('./src/routes/profile'));
 app.use('/api/v1/account', require('./src/routes/account'));
 app.use('/api/v1/wishlist', require('./src/routes/wishlist'));
+app.use('/api/v1/cart', require('./src/routes/cart'));
+app.use('/api/v1/returns', require('./src/routes/returns'));
+app.use('/api/v1/tax-rules', require('./src/routes/taxRules'));
+app.use('/api/v1/coupons', require('./src/routes/coupons'));
 app.use('/api/v1/announcements', require('./src/routes/announcements'));
 app.use('/api/v1/webhooks', webhookRoutes);
 app.use('/api/v1/withdrawals', require('./src/routes/withdrawals'));
 
+if (paymentsConfig.sandbox.enabled) {
+    console.log('⚠️ Payment sandbox enabled - no real payments will be taken');
+    app.use('/api/v1/sandbox/payments', require('./src/routes/sandboxPayments'));
+}
+
 
 // Error handling
 app.use(errorHandler);
@@ -91,7 +120,9 @@ app.use((req, res) => {
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => console.log(`Server started on port ${PORT}`));
+if (require.main === module) {
+    app.listen(PORT, () => console.log(`Server started on port ${PORT}`));
+}
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
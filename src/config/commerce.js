@@ -0,0 +1,27 @@
+require('dotenv').config();
+
+// Order and payment settings shared by the checkout services and scheduled jobs
+module.exports = {
+  // How long a mobile money order may wait for payment before it is cancelled
+  // and its reserved stock released
+  pendingPaymentTimeoutMinutes: parseInt(process.env.PENDING_PAYMENT_TIMEOUT_MINUTES) || 30,
+
+  // Orders whose payment the provider can't be asked about are cancelled
+  // anyway this long after they expired; a payment arriving later is refunded
+  unconfirmedPaymentDeadlineMinutes: parseInt(process.env.UNCONFIRMED_PAYMENT_DEADLINE_MINUTES) || 24 * 60,
+
+  // Days after delivery during which the buyer can ask for a return
+  returnWindowDays: parseInt(process.env.RETURN_WINDOW_DAYS) || 7,
+
+  // Shipped orders the buyer hasn't confirmed are treated as delivered after this many days
+  autoConfirmDeliveryDays: parseInt(process.env.AUTO_CONFIRM_DELIVERY_DAYS) || 14,
+
+  // Platform commission, as a percentage of the order total, taken when
+  // delivery is confirmed. Shops and categories can set their own rate.
+  platformCommissionRate: parseFloat(process.env.PLATFORM_COMMISSION_RATE) || 0,
+
+  // Template for new order numbers. Tokens: {YYYY}, {YY}, {MM}, {SHOP} (the
+  // shop's order number prefix) and {SEQ:n} (counter padded to n digits, at
+  // least 6). The counter restarts for every distinct prefix, year and month in use.
+  orderNumberFormat: process.env.ORDER_NUMBER_FORMAT || 'SW-{YYYY}-{SEQ:6}'
+};
@@ -0,0 +1,109 @@
+require('dotenv').config();
+
+// "Kenya:mpesa,Tanzania:selcom" -> { kenya: 'mpesa', tanzania: 'selcom' }
+const parseCountryProviders = (value = '') => value
+  .split(',')
+  .map(entry => entry.split(':').map(part => part.trim()))
+  .filter(([country, provider]) => country && provider)
+  .reduce((map, [country, provider]) => {
+    map[country.toLowerCase()] = provider.toLowerCase();
+    return map;
+  }, {});
+
+// "1.2.3.4, 10.0.0.0/8" -> ['1.2.3.4', '10.0.0.0/8']
+const parseList = (value = '') => value.split(',').map(entry => entry.trim()).filter(Boolean);
+
+/**
+ * Webhook verification for a provider, read from <PREFIX>_WEBHOOK_*.
+ * With a secret set, callbacks must carry an HMAC-SHA256 of the raw body in
+ * the signature header. With a timestamp header as well, the signature covers
+ * "<timestamp>.<raw body>" and stale deliveries are refused. An IP allowlist
+ * (exact addresses or IPv4 CIDR ranges) applies whether or not callbacks are signed.
+ */
+const webhookSettings = (prefix, defaults = {}) => ({
+  secret: process.env[`${prefix}_WEBHOOK_SECRET`] || defaults.secret,
+  signatureHeader: (process.env[`${prefix}_WEBHOOK_SIGNATURE_HEADER`] || defaults.signatureHeader || 'x-signature').toLowerCase(),
+  timestampHeader: (process.env[`${prefix}_WEBHOOK_TIMESTAMP_HEADER`] || defaults.timestampHeader || '').toLowerCase(),
+  encoding: process.env[`${prefix}_WEBHOOK_SIGNATURE_ENCODING`] || defaults.encoding || 'hex',
+  allowedIps: parseList(process.env[`${prefix}_WEBHOOK_ALLOWED_IPS`])
+});
+
+// Payment provider selection and credentials
+module.exports = {
+  // Used when neither the buyer nor the country mapping picks a provider
+  defaultProvider: (process.env.PAYMENT_DEFAULT_PROVIDER || 'zenopay').toLowerCase(),
+
+  countryProviders: parseCountryProviders(process.env.PAYMENT_COUNTRY_PROVIDERS),
+
+  // Public base URL of this API; webhooks are received at
+  // {callbackBaseUrl}/api/v1/webhooks/{provider}
+  callbackBaseUrl: process.env.PAYMENT_CALLBACK_BASE_URL,
+
+  // Sends approved withdrawals to sellers; must support payouts (flutterwave)
+  payoutProvider: (process.env.PAYOUT_PROVIDER || 'flutterwave').toLowerCase(),
+
+  // How far a signed webhook's timestamp may be from our clock
+  webhookToleranceSeconds: parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300,
+
+  // Refuse webhooks from providers with no secret, IP allowlist or
+  // credential of their own configured. Always on in production.
+  requireWebhookVerification: process.env.NODE_ENV === 'production'
+    || process.env.WEBHOOK_REQUIRE_VERIFICATION === 'true',
+
+  // Simulated provider for local development and tests. When enabled every
+  // mobile money checkout uses it; it can never be enabled in production.
+  sandbox: {
+    enabled: process.env.PAYMENT_SANDBOX === 'true' && process.env.NODE_ENV !== 'production',
+    // The sandbox signs its callbacks so the verification layer is exercised too
+    webhook: webhookSettings('PAYMENT_SANDBOX', {
+      secret: 'sandbox-webhook-secret',
+      signatureHeader: 'x-sandbox-signature',
+      timestampHeader: 'x-sandbox-timestamp'
+    })
+  },
+
+  zenopay: {
+    accountId: process.env.ZENOPAY_ACCOUNT_ID,
+    apiKey: process.env.ZENOPAY_API_KEY,
+    secretKey: process.env.ZENOPAY_SECRET_KEY,
+    callbackUrl: process.env.ZENOPAY_CALLBACK_URL,
+    // Refuse callbacks without the x-api-key header instead of only
+    // confirming them with the status API. On by default in production.
+    requireApiKey: process.env.ZENOPAY_REQUIRE_API_KEY
+      ? process.env.ZENOPAY_REQUIRE_API_KEY === 'true'
+      : process.env.NODE_ENV === 'production',
+    webhook: webhookSettings('ZENOPAY')
+  },
+
+  mpesa: {
+    baseUrl: process.env.MPESA_BASE_URL || 'https://sandbox.safaricom.co.ke',
+    consumerKey: process.env.MPESA_CONSUMER_KEY,
+    consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+    shortCode: process.env.MPESA_SHORT_CODE,
+    passkey: process.env.MPESA_PASSKEY,
+    // Needed for reversals (refunds)
+    initiatorName: process.env.MPESA_INITIATOR_NAME,
+    securityCredential: process.env.MPESA_SECURITY_CREDENTIAL,
+    resultUrl: process.env.MPESA_RESULT_URL,
+    webhook: webhookSettings('MPESA')
+  },
+
+  selcom: {
+    baseUrl: process.env.SELCOM_BASE_URL || 'https://apigw.selcommobile.com',
+    apiKey: process.env.SELCOM_API_KEY,
+    apiSecret: process.env.SELCOM_API_SECRET,
+    vendor: process.env.SELCOM_VENDOR,
+    webhook: webhookSettings('SELCOM')
+  },
+
+  flutterwave: {
+    baseUrl: process.env.FLUTTERWAVE_BASE_URL || 'https://api.flutterwave.com',
+    secretKey: process.env.FLUTTERWAVE_SECRET_KEY,
+    // The "secret hash" set on the Flutterwave dashboard, sent back as verif-hash
+    webhookHash: process.env.FLUTTERWAVE_WEBHOOK_HASH,
+    webhook: webhookSettings('FLUTTERWAVE', {
+      signatureHeader: 'flutterwave-signature',
+      encoding: 'base64'
+    })
+  }
+};
@@ -0,0 +1,36 @@
+require('dotenv').config();
+
+// Product search settings
+module.exports = {
+  // 'mongo' keeps the search terms on the product documents; 'memory' holds
+  // the whole index in this process, for tests and local development
+  engine: (process.env.SEARCH_ENGINE || 'mongo').toLowerCase(),
+
+  // How much a matching word counts in each field
+  weights: {
+    name: 5,
+    category: 3,
+    shop: 2,
+    description: 1
+  },
+
+  // Most matches ranked for one query; the rest are left out
+  maxCandidates: parseInt(process.env.SEARCH_MAX_CANDIDATES) || 1000,
+
+  // Characters of description shown around the first match
+  snippetLength: parseInt(process.env.SEARCH_SNIPPET_LENGTH) || 160,
+
+  // Autocomplete ranks products, categories and shops by views plus this
+  // many points per order
+  orderWeight: parseInt(process.env.SEARCH_ORDER_WEIGHT) || 10,
+
+  // Searches are logged for popular and trending queries and kept this long
+  queryLogRetentionDays: parseInt(process.env.SEARCH_QUERY_LOG_RETENTION_DAYS) || 90,
+
+  // A query trends when more people searched it in the last trendingWindowHours
+  // than over the trendingBaselineDays before would suggest
+  trendingWindowHours: parseInt(process.env.SEARCH_TRENDING_WINDOW_HOURS) || 24,
+  trendingBaselineDays: parseInt(process.env.SEARCH_TRENDING_BASELINE_DAYS) || 7,
+  // Fewer searchers than this in the window isn't a trend
+  trendingMinSearchers: parseInt(process.env.SEARCH_TRENDING_MIN_SEARCHERS) || 3
+};
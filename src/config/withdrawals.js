@@ -0,0 +1,40 @@
+require('dotenv').config();
+const commerceConfig = require('./commerce');
+
+const parseAmount = (value, fallback) => {
+  const amount = parseFloat(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : fallback;
+};
+
+const parseWholeNumber = (value, fallback) => {
+  const number = parseInt(value);
+  return Number.isInteger(number) && number >= 0 ? number : fallback;
+};
+
+// Rules for seller withdrawals. Amounts are in the shop's wallet currency; 0 means no limit.
+module.exports = {
+  minAmount: parseAmount(process.env.WITHDRAWAL_MIN_AMOUNT, 1000),
+  maxAmount: parseAmount(process.env.WITHDRAWAL_MAX_AMOUNT, 0),
+
+  // Totals across requests that weren't rejected or failed, per calendar day and month
+  dailyLimit: parseAmount(process.env.WITHDRAWAL_DAILY_LIMIT, 0),
+  monthlyLimit: parseAmount(process.env.WITHDRAWAL_MONTHLY_LIMIT, 0),
+
+  // Revenue from a delivered order can't be withdrawn until the buyer can no
+  // longer ask for a return
+  holdingPeriodDays: parseWholeNumber(process.env.WITHDRAWAL_HOLDING_PERIOD_DAYS, commerceConfig.returnWindowDays),
+
+  // Hours before an added or changed payout account can receive withdrawals
+  payoutAccountCoolingOffHours: parseWholeNumber(process.env.PAYOUT_ACCOUNT_COOLING_OFF_HOURS, 48),
+
+  // Sellers confirm each withdrawal with a code from their authenticator app
+  requireTwoFactor: process.env.WITHDRAWAL_REQUIRE_2FA !== 'false',
+
+  // Requests beyond these are accepted but flagged for an admin to review
+  // before approval
+  velocity: {
+    windowHours: parseInt(process.env.WITHDRAWAL_VELOCITY_WINDOW_HOURS) || 24,
+    maxRequests: parseInt(process.env.WITHDRAWAL_VELOCITY_MAX_REQUESTS) || 3,
+    maxAmount: parseAmount(process.env.WITHDRAWAL_VELOCITY_MAX_AMOUNT, 0)
+  }
+};
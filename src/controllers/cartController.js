@@ -0,0 +1,342 @@
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { isValidObjectId } = require('mongoose');
+const checkoutService = require('../services/checkoutService');
+
+const findOrCreateCart = async (userId) => {
+  let cart = await Cart.findOne({ user: userId });
+  if (!cart) {
+    cart = await Cart.create({ user: userId, items: [] });
+  }
+  return cart;
+};
+
+const toLines = (cart) => cart.items.map(item => ({
+  productId: item.product,
+  variantId: item.variant,
+  quantity: item.quantity
+}));
+
+// The variant's price and stock for variant items, the product's otherwise
+const findVariant = (product, variantId) => (variantId ? product.variants.id(variantId) : null);
+const unitPrice = (product, variantId) => findVariant(product, variantId)?.price ?? product.price;
+
+// Populate the cart and attach totals plus any stock problems for the client
+const buildCartResponse = async (cart) => {
+  await cart.populate({
+    path: 'items.product',
+    select: 'name price images stock shop options variants',
+    populate: { path: 'shop', select: 'name' }
+  });
+
+  const { issues } = await checkoutService.resolveLines(
+    cart.items
+      .filter(item => item.product)
+      .map(item => ({ productId: item.product._id, variantId: item.variant, quantity: item.quantity }))
+  );
+
+  const subtotal = cart.items.reduce(
+    (sum, item) => sum + (item.product ? unitPrice(item.product, item.variant) * item.quantity : 0),
+    0
+  );
+
+  return {
+    cart,
+    summary: {
+      itemCount: cart.items.reduce((sum, item) => sum + item.quantity, 0),
+      subtotal
+    },
+    issues
+  };
+};
+
+exports.getCart = async (req, res) => {
+  try {
+    const cart = await findOrCreateCart(req.user._id);
+
+    res.json({
+      success: true,
+      data: await buildCartResponse(cart),
+      errors: []
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      errors: [err.message]
+    });
+  }
+};
+
+exports.addItem = async (req, res) => {
+  try {
+    const { productId, variantId } = req.body;
+    const quantity = parseInt(req.body.quantity || 1);
+
+    if (!isValidObjectId(productId) || (variantId && !isValidObjectId(variantId)) || !(quantity > 0)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: ['A valid productId and a quantity of at least 1 are required']
+      });
+    }
+
+    const product = await Product.findById(productId).select('name stock options variants');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        errors: ['Product not found']
+      });
+    }
+
+    const variant = findVariant(product, variantId);
+    if (product.variants.length > 0 ? !variant : variantId) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: [variantId
+          ? 'Variant not found for this product'
+          : `Choose ${product.options.map(option => option.name).join(' and ')} for this product`]
+      });
+    }
+
+    const cart = await findOrCreateCart(req.user._id);
+    const existingItem = cart.items.find(item => item.product.equals(productId)
+      && String(item.variant || '') === String(variant?._id || ''));
+    const newQuantity = (existingItem?.quantity || 0) + quantity;
+    const stock = variant ? variant.stock : product.stock;
+
+    if (stock < newQuantity) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: [`Only ${stock} items available in stock`]
+      });
+    }
+
+    if (existingItem) {
+      existingItem.quantity = newQuantity;
+    } else {
+      cart.items.push({ product: productId, variant: variant?._id, quantity });
+    }
+    await cart.save();
+
+    res.json({
+      success: true,
+      data: await buildCartResponse(cart),
+      errors: []
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      errors: [err.message]
+    });
+  }
+};
+
+exports.updateItem = async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const quantity = parseInt(req.body.quantity);
+
+    if (!(quantity > 0)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: ['Quantity must be at least 1']
+      });
+    }
+
+    const cart = await findOrCreateCart(req.user._id);
+    const item = cart.items.id(itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        errors: ['Cart item not found']
+      });
+    }
+
+    const product = await Product.findById(item.product).select('stock variants');
+    const variant = product && findVariant(product, item.variant);
+    if (!product || (item.variant && !variant)) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        errors: ['Product not found']
+      });
+    }
+
+    const stock = variant ? variant.stock : product.stock;
+    if (stock < quantity) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: [`Only ${stock} items available in stock`]
+      });
+    }
+
+    item.quantity = quantity;
+    await cart.save();
+
+    res.json({
+      success: true,
+      data: await buildCartResponse(cart),
+      errors: []
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      errors: [err.message]
+    });
+  }
+};
+
+exports.removeItem = async (req, res) => {
+  try {
+    const cart = await findOrCreateCart(req.user._id);
+    const item = cart.items.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        errors: ['Cart item not found']
+      });
+    }
+
+    cart.items.pull(item._id);
+    await cart.save();
+
+    res.json({
+      success: true,
+      data: await buildCartResponse(cart),
+      errors: []
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      errors: [err.message]
+    });
+  }
+};
+
+exports.clearCart = async (req, res) => {
+  try {
+    const cart = await findOrCreateCart(req.user._id);
+    cart.items = [];
+    await cart.save();
+
+    res.json({
+      success: true,
+      data: await buildCartResponse(cart),
+      errors: []
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      errors: [err.message]
+    });
+  }
+};
+
+exports.validateCart = async (req, res) => {
+  try {
+    const cart = await findOrCreateCart(req.user._id);
+    const { issues } = await checkoutService.resolveLines(toLines(cart));
+
+    res.json({
+      success: true,
+      data: {
+        valid: cart.items.length > 0 && issues.length === 0,
+        issues
+      },
+      errors: []
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      errors: [err.message]
+    });
+  }
+};
+
+exports.getQuote = async (req, res) => {
+  try {
+    const cart = await findOrCreateCart(req.user._id);
+    const quote = await checkoutService.quote(toLines(cart), req.body.shippingAddress, {
+      couponCode: req.body.couponCode,
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      data: { quote },
+      errors: []
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({
+      success: false,
+      data: null,
+      errors: err.errors || [err.message]
+    });
+  }
+};
+
+exports.checkout = async (req, res) => {
+  try {
+    const { shippingAddress, paymentMethod, couponCode, paymentProvider } = req.body;
+
+    if (!shippingAddress || !paymentMethod) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: ['Missing required fields']
+      });
+    }
+
+    const cart = await findOrCreateCart(req.user._id);
+    if (cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: ['Your cart is empty']
+      });
+    }
+
+    const { checkoutReference, orders, payment } = await checkoutService.placeOrders({
+      userId: req.user._id,
+      lines: toLines(cart),
+      shippingAddress,
+      paymentMethod,
+      couponCode,
+      paymentProvider
+    });
+
+    cart.items = [];
+    await cart.save();
+
+    res.status(201).json({
+      success: true,
+      data: {
+        checkoutReference,
+        orders,
+        payment,
+        total: orders.reduce((sum, order) => sum + order.amounts.total, 0)
+      },
+      errors: []
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({
+      success: false,
+      data: null,
+      errors: err.errors || [err.message]
+    });
+  }
+};
@@ -1,5 +1,9 @@
 const Category = require('../models/Category');
 const Product = require('../models/Product');
+const productAttributeService = require('../services/productAttributeService');
+const searchService = require('../services/searchService');
+const AppError = require('../utils/AppError');
+const { mergeFilters } = require('../middleware/queryBuilder');
 const { uploadToCloudinary } = require('../config/cloudinary');
 
 // Validation helper
@@ -222,6 +226,11 @@ exports.updateCategory = async (req, res) => {
       });
     }
 
+    // Products are found by their category's name
+    if (req.body.name !== undefined) {
+      searchService.refresh({ category: category._id });
+    }
+
     res.json({
       success: true,
       errors: [],
@@ -302,22 +311,29 @@ exports.getCategoryProducts = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const sortBy = req.query.sortBy || 'createdAt';
-    const order = req.query.order === 'asc' ? 1 : -1;
 
-    const products = await Product.find({ category: req.params.id })
+    // Attributes defined on this category and the ones above it
+    const definitions = await productAttributeService.getDefinitions(req.params.id);
+    const filter = mergeFilters({
+      category: req.params.id,
+      ...productAttributeService.buildFilter(definitions, req.query.attributes)
+    }, req.listing.filter);
+
+    const products = await Product.find(filter)
       .populate('shop', 'name')
-      .sort({ [sortBy]: order })
+      .sort(req.listing.sort)
       .skip((page - 1) * limit)
       .limit(limit);
 
-    const total = await Product.countDocuments({ category: req.params.id });
+    const total = await Product.countDocuments(filter);
+    const facets = await productAttributeService.getFacets(filter, definitions);
 
     res.json({
       success: true,
       errors: [],
       data: {
         products,
+        facets,
         pagination: {
           current: page,
           total: Math.ceil(total / limit),
@@ -326,10 +342,10 @@ exports.getCategoryProducts = async (req, res) => {
       }
     });
   } catch (err) {
-    res.status(500).json({
+    res.status(err.status || 500).json({
       success: false,
       data: null,
-      errors: [err.message]
+      errors: err instanceof AppError ? err.errors : [err.message]
     });
   }
 };
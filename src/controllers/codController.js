@@ -0,0 +1,107 @@
+const { isValidObjectId, Types } = require('mongoose');
+const Order = require('../models/Order');
+const Shop = require('../models/Shop');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Cash on delivery reconciliation per shop: what was due, what riders
+ * actually collected, the commission owed on it, and cash still out on the
+ * road. A negative wallet balance is commission the shop has to pay in,
+ * reported as outstanding.
+ */
+exports.getReconciliation = async (req, res) => {
+  try {
+    const match = { paymentMethod: 'cash_on_delivery' };
+
+    if (req.query.shop) {
+      if (!isValidObjectId(req.query.shop)) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          errors: ['Invalid shop ID format']
+        });
+      }
+      match.shop = new Types.ObjectId(req.query.shop);
+    }
+
+    const collectedAt = {};
+    if (req.query.startDate) collectedAt.$gte = new Date(req.query.startDate);
+    if (req.query.endDate) collectedAt.$lte = new Date(req.query.endDate);
+
+    const [collected, inTransit] = await Promise.all([
+      Order.aggregate([
+        {
+          $match: {
+            ...match,
+            'cashOnDelivery.collectedAt': Object.keys(collectedAt).length ? collectedAt : { $ne: null },
+            'shipment.confirmedAt': { $ne: null }
+          }
+        },
+        {
+          $group: {
+            _id: '$shop',
+            deliveredOrders: { $sum: 1 },
+            amountDue: { $sum: '$amounts.total' },
+            amountCollected: { $sum: '$cashOnDelivery.collectedAmount' },
+            commissionOwed: { $sum: { $ifNull: ['$commission.amount', 0] } }
+          }
+        }
+      ]),
+      Order.aggregate([
+        { $match: { ...match, status: 'shipped' } },
+        {
+          $group: {
+            _id: '$shop',
+            ordersInTransit: { $sum: 1 },
+            amountInTransit: { $sum: '$amounts.total' }
+          }
+        }
+      ])
+    ]);
+
+    const shopIds = [...new Set([...collected, ...inTransit].map(row => row._id.toString()))];
+    const shops = await Shop.find({ _id: { $in: shopIds } }).select('name wallet');
+    const shopsById = new Map(shops.map(shop => [shop._id.toString(), shop]));
+    const inTransitByShop = new Map(inTransit.map(row => [row._id.toString(), row]));
+    const collectedByShop = new Map(collected.map(row => [row._id.toString(), row]));
+
+    const report = shopIds.map(shopId => {
+      const shop = shopsById.get(shopId);
+      const totals = collectedByShop.get(shopId) || {};
+      const transit = inTransitByShop.get(shopId) || {};
+      const walletBalance = shop?.wallet?.currentBalance || 0;
+
+      return {
+        shop: { _id: shopId, name: shop?.name },
+        deliveredOrders: totals.deliveredOrders || 0,
+        amountDue: roundAmount(totals.amountDue || 0),
+        amountCollected: roundAmount(totals.amountCollected || 0),
+        shortfall: roundAmount((totals.amountDue || 0) - (totals.amountCollected || 0)),
+        commissionOwed: roundAmount(totals.commissionOwed || 0),
+        ordersInTransit: transit.ordersInTransit || 0,
+        amountInTransit: roundAmount(transit.amountInTransit || 0),
+        walletBalance: roundAmount(walletBalance),
+        outstanding: roundAmount(Math.max(0, -walletBalance))
+      };
+    }).sort((a, b) => b.outstanding - a.outstanding);
+
+    const summary = report.reduce((acc, row) => {
+      ['amountDue', 'amountCollected', 'shortfall', 'commissionOwed', 'amountInTransit', 'outstanding']
+        .forEach(key => { acc[key] = roundAmount((acc[key] || 0) + row[key]); });
+      return acc;
+    }, {});
+
+    res.json({
+      success: true,
+      data: { shops: report, summary },
+      errors: []
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      errors: [err.message]
+    });
+  }
+};
@@ -0,0 +1,215 @@
+const { isValidObjectId } = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Product = require('../models/Product');
+const Shop = require('../models/Shop');
+const AppError = require('../utils/AppError');
+
+const EDITABLE_FIELDS = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'scope', 'shop', 'category',
+  'product', 'minSpend', 'usageLimit', 'perUserLimit', 'startsAt', 'expiresAt', 'isActive'
+];
+
+const pickEditable = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) {
+    fields[key] = body[key] === '' ? null : body[key];
+  }
+  return fields;
+}, {});
+
+// Admins manage every coupon; sellers only the coupons of their own shop
+const getManagerShop = async (user) => {
+  if (user.userType === 'ADMIN') {
+    return null;
+  }
+
+  const shop = await Shop.findOne({ owner: user._id }).select('_id');
+  if (!shop) {
+    throw new AppError('Only admins and shop owners can manage coupons', 403);
+  }
+  return shop;
+};
+
+// Keep seller coupons inside their own shop
+const applySellerScope = async (fields, shop) => {
+  if (fields.scope === 'platform') {
+    throw new AppError('Only admins can create platform-wide coupons', 403);
+  }
+
+  fields.shop = shop._id;
+  fields.scope = fields.scope || 'shop';
+
+  if (fields.product) {
+    const product = await Product.findOne({ _id: fields.product, shop: shop._id }).select('_id');
+    if (!product) {
+      throw new AppError('Product not found in your shop');
+    }
+  }
+};
+
+const loadManagedCoupon = async (req) => {
+  if (!isValidObjectId(req.params.id)) {
+    throw new AppError('Invalid coupon ID format');
+  }
+
+  const shop = await getManagerShop(req.user);
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon || (shop && !shop._id.equals(coupon.shop))) {
+    throw new AppError('Coupon not found', 404);
+  }
+
+  return { coupon, shop };
+};
+
+const sendError = (res, err) => res.status(
+  err.status || (err.name === 'ValidationError' ? 400 : err.code === 11000 ? 409 : 500)
+).json({
+  success: false,
+  data: null,
+  errors: err.code === 11000 ? ['A coupon with this code already exists'] : err.errors || [err.message]
+});
+
+exports.getCoupons = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const shop = await getManagerShop(req.user);
+
+    const query = {};
+    if (shop) {
+      query.shop = shop._id;
+    } else if (req.query.shop) {
+      query.shop = req.query.shop;
+    }
+    if (req.query.scope) {
+      query.scope = req.query.scope;
+    }
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    const coupons = await Coupon.find(query)
+      .populate('shop', 'name')
+      .populate('category', 'name')
+      .populate('product', 'name')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await Coupon.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        coupons,
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          totalRecords: total
+        }
+      },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.getCouponById = async (req, res) => {
+  try {
+    const { coupon } = await loadManagedCoupon(req);
+    const redemptions = await CouponRedemption.find({ coupon: coupon._id })
+      .populate('user', 'username email')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({
+      success: true,
+      data: { coupon, redemptions },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.createCoupon = async (req, res) => {
+  try {
+    const fields = pickEditable(req.body);
+
+    if (!fields.code || !fields.type || fields.value === undefined) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: ['Code, type and value are required']
+      });
+    }
+
+    const shop = await getManagerShop(req.user);
+    if (shop) {
+      await applySellerScope(fields, shop);
+    }
+
+    const coupon = await Coupon.create({
+      ...fields,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { coupon },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.updateCoupon = async (req, res) => {
+  try {
+    const { coupon, shop } = await loadManagedCoupon(req);
+    const fields = pickEditable(req.body);
+
+    if (shop) {
+      await applySellerScope({ ...fields, scope: fields.scope || coupon.scope }, shop);
+      delete fields.shop;
+    }
+
+    coupon.set(fields);
+    await coupon.save();
+
+    res.json({
+      success: true,
+      data: { coupon },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.deleteCoupon = async (req, res) => {
+  try {
+    const { coupon } = await loadManagedCoupon(req);
+
+    // Redeemed coupons stay on record for the orders that used them
+    if (coupon.redemptionCount > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+    } else {
+      await coupon.deleteOne();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: coupon.redemptionCount > 0
+          ? 'Coupon has been used, so it was deactivated instead of deleted'
+          : 'Coupon deleted successfully'
+      },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
@@ -1,29 +1,18 @@
 const Order = require('../models/Order');
-const Product = require('../models/Product');
-const { User } = require('../models/User');
 const Shop = require('../models/Shop')
 const mongoose = require('mongoose');
 const { isValidObjectId } = mongoose;
 const paymentService = require('../services/paymentService');
 const notificationService = require('../services/notificationService');
-
-const ORDER_STATUS_FLOW = {
-  pending_payment: ['pending', 'cancelled'],
-  pending: ['processing', 'cancelled'],
-  processing: ['shipped', 'cancelled'],
-  shipped: ['delivered', 'cancelled'],
-  delivered: [], // Final state
-  cancelled: [] // Final state
-};
-
-const isValidStatusTransition = (currentStatus, newStatus) => {
-  const allowedTransitions = ORDER_STATUS_FLOW[currentStatus] || [];
-  return allowedTransitions.includes(newStatus);
-};
+const checkoutService = require('../services/checkoutService');
+const orderStateService = require('../services/orderStateService');
+const invoiceService = require('../services/invoiceService');
+const shipmentService = require('../services/shipmentService');
+const { ORDER_STATUS_FLOW } = require('../utils/orderStatus');
 
 exports.createOrder = async (req, res) => {
   try {
-    const { productId, quantity, shippingAddress, paymentMethod } = req.body;
+    const { productId, variantId, quantity, shippingAddress, paymentMethod, couponCode, paymentProvider } = req.body;
     const userId = req.user._id;
 
     // Validate input
@@ -35,165 +24,15 @@ exports.createOrder = async (req, res) => {
       });
     }
 
-    // ✅ FIXED: Populate shop with owner field
-    const product = await Product.findById(productId)
-      .populate({
-        path: 'shop',
-        select: 'name email owner'
-      })
-      .populate('category', 'name');
-
-    if (!product) {
-      return res.status(400).json({
-        success: false,
-        data: null,
-        errors: ['Product not found']
-      });
-    }
-
-    // Check stock availability
-    if (product.stock < quantity) {
-      return res.status(400).json({
-        success: false,
-        data: null,
-        errors: [`Only ${product.stock} items available in stock`]
-      });
-    }
-
-    // Calculate total amount
-    const subtotal = product.price * quantity;
-    const totalAmount = subtotal;
-
-    // Prepare order data
-    const orderData = {
-      user: userId,
-      shop: product.shop._id,
-      items: [{
-        product: productId,
-        quantity,
-        price: product.price,
-        name: product.name
-      }],
+    const { orders } = await checkoutService.placeOrders({
+      userId,
+      lines: [{ productId, variantId, quantity }],
       shippingAddress,
       paymentMethod,
-      amounts: {
-        subtotal,
-        total: totalAmount
-      },
-      status: paymentMethod === 'mobile_money' ? 'pending_payment' : 'pending',
-      paymentStatus: 'pending'
-    };
-
-    // Process payment first if mobile money is selected
-    if (paymentMethod === 'mobile_money') {
-      const user = await User.findById(userId);
-      const paymentResult = await paymentService.processPayment({
-        amounts: orderData.amounts,
-        user: {
-          name: user.username,
-          email: user.email
-        },
-        shippingAddress
-      });
-
-      console.log("paymentResults:", paymentResult);
-
-      if (!paymentResult.success) {
-        return res.status(400).json({
-          success: false,
-          data: null,
-          errors: ['Payment processing failed']
-        });
-      }
-
-      // Add payment details to order data
-      orderData.paymentDetails = {
-        transactionId: paymentResult.message.order_id,
-        provider: 'zenopay',
-        status: 'pending',
-        message: paymentResult.message.message,
-        initiatedAt: new Date()
-      };
-    }
-
-    // Create and save order
-    const order = new Order(orderData);
-    await order.save();
-
-    // Update product stock and add order reference
-    await Product.findByIdAndUpdate(
-      productId,
-      {
-        $inc: { stock: -quantity },
-        $push: { orders: order._id }
-      }
-    );
-
-    // Update user's orders
-    await User.findByIdAndUpdate(
-      userId,
-      { $push: { orders: order._id } }
-    );
-
-    // Create notifications for both shop owner and buyer
-    const orderNotifications = {
-      shop: {
-        message: `New order #${order.orderNumber} for ${product.name}`,
-        userId: product.shop.owner 
-      },
-      buyer: {
-        message: `Order #${order.orderNumber} placed successfully! We'll notify you about updates.`,
-        userId: userId
-      }
-    };
-
-    // ✅ FIXED: Fetch the correct users
-    const [shopOwner, buyer] = await Promise.all([
-      User.findById(product.shop.owner).select('username email expoPushToken'), 
-      User.findById(userId).select('username email expoPushToken')
-    ]);
-
-    // Create persistent notifications for both users
-    await Promise.all([
-      notificationService.createPersistentNotification(
-        orderNotifications.shop.userId,
-        orderNotifications.shop.message,
-        order._id
-      ),
-      notificationService.createPersistentNotification(
-        orderNotifications.buyer.userId,
-        orderNotifications.buyer.message,
-        order._id
-      )
-    ]);
-
-    // Send push notifications if users have expo tokens
-    const pushNotifications = [];
-
-    if (shopOwner?.expoPushToken) {
-      console.log('📱 Sending push to shop owner:', shopOwner.username);
-      pushNotifications.push(
-        notificationService.sendPushNotification(
-          shopOwner.expoPushToken,
-          orderNotifications.shop.message
-        )
-      );
-    }
-
-    if (buyer?.expoPushToken) {
-      console.log('📱 Sending push to buyer:', buyer.username);
-      pushNotifications.push(
-        notificationService.sendPushNotification(
-          buyer.expoPushToken,
-          orderNotifications.buyer.message
-        )
-      );
-    }
-
-    // Send push notifications concurrently if any exist
-    if (pushNotifications.length > 0) {
-      await Promise.all(pushNotifications);
-    }
+      couponCode,
+      paymentProvider
+    });
+    const order = orders[0];
 
     // Fetch the complete order with populated fields for response
     const populatedOrder = await Order.findById(order._id)
@@ -216,6 +55,9 @@ exports.createOrder = async (req, res) => {
               name: item.product.name,
               image: item.product.image
             },
+            variant: item.variant,
+            sku: item.sku,
+            options: item.options,
             quantity: item.quantity,
             price: item.price
           })),
@@ -228,10 +70,46 @@ exports.createOrder = async (req, res) => {
     });
 
   } catch (err) {
-    res.status(500).json({
+    res.status(err.status || 500).json({
       success: false,
       data: null,
-      errors: [err.message]
+      errors: err.errors || [err.message]
+    });
+  }
+};
+
+exports.getQuote = async (req, res) => {
+  try {
+    const { productId, variantId, quantity, shippingAddress, couponCode } = req.body;
+    const items = req.body.items || (productId ? [{ productId, variantId, quantity }] : []);
+
+    const invalidItem = (item) => !isValidObjectId(item.productId)
+      || (item.variantId && !isValidObjectId(item.variantId))
+      || !(parseInt(item.quantity) > 0);
+    if (items.length === 0 || items.some(invalidItem)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: ['Provide items as { productId, variantId, quantity } with a quantity of at least 1']
+      });
+    }
+
+    const quote = await checkoutService.quote(items, shippingAddress, {
+      couponCode,
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      data: { quote },
+      errors: []
+    });
+
+  } catch (err) {
+    res.status(err.status || 500).json({
+      success: false,
+      data: null,
+      errors: err.errors || [err.message]
     });
   }
 };
@@ -290,6 +168,114 @@ exports.getOrderById = async (req, res) => {
   }
 };
 
+exports.getOrderByNumber = async (req, res) => {
+  try {
+    const orderNumber = req.params.orderNumber.trim();
+
+    const order = await Order.findOne({ orderNumber })
+      .populate('user', 'name email')
+      .populate({
+        path: 'shop',
+        select: 'name email owner'
+      })
+      .populate('items.product', 'name image price');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        errors: ['Order not found']
+      });
+    }
+
+    // Support staff can look up any order read out to them
+    const isStaff = ['ADMIN', 'SUPPORT'].includes(req.user.userType);
+    const isBuyer = order.user._id.toString() === req.user._id.toString();
+    const isShopOwner = order.shop?.owner?.toString() === req.user._id.toString();
+
+    if (!isStaff && !isBuyer && !isShopOwner) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        errors: ['Order not found']
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { order },
+      errors: []
+    });
+
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      errors: [err.message]
+    });
+  }
+};
+
+exports.getOrderInvoice = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: ['Invalid order ID format']
+      });
+    }
+
+    const order = await Order.findById(id)
+      .populate('user', 'username email')
+      .populate('shop', 'name owner address contactInfo wallet.currency')
+      .populate('items.product', 'name');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        errors: ['Order not found']
+      });
+    }
+
+    const isBuyer = order.user._id.toString() === req.user._id.toString();
+    const isShopOwner = order.shop?.owner?.toString() === req.user._id.toString();
+
+    if (!isBuyer && !isShopOwner) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        errors: ['Not authorized to view this order']
+      });
+    }
+
+    const unpaidCancellation = order.status === 'cancelled' && order.paymentStatus !== 'completed';
+    if (order.status === 'pending_payment' || unpaidCancellation) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: ['No invoice is available for an unpaid order']
+      });
+    }
+
+    const invoice = await invoiceService.ensureInvoiceNumber(order);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${invoice.number}-${order.orderNumber}.pdf"`);
+    invoiceService.render(order).pipe(res);
+
+  } catch (err) {
+    res.status(err.status || 500).json({
+      success: false,
+      data: null,
+      errors: err.errors || [err.message]
+    });
+  }
+};
+
 exports.getUserOrders = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
@@ -337,8 +323,16 @@ exports.updateOrderStatus = async (req, res) => {
     const { orderId } = req.params;
     const { status } = req.body;
 
+    if (status === 'delivered') {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: ['Delivery is confirmed by the buyer or with the buyer\'s delivery code']
+      });
+    }
+
     // Validate status value
-    const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+    const validStatuses = ['pending', 'processing', 'shipped', 'cancelled'];
     if (!validStatuses.includes(status)) {
       return res.status(400).json({
         success: false,
@@ -378,90 +372,29 @@ exports.updateOrderStatus = async (req, res) => {
 
     console.log('✅ Authorization check passed');
 
-    // Validate status transition
-    if (!isValidStatusTransition(order.status, status)) {
+    if (['return_requested', 'return_approved', 'returned'].includes(order.status)) {
       return res.status(400).json({
         success: false,
         data: null,
-        errors: [`Cannot change status from ${order.status} to ${status}`]
+        errors: ['This order has an open return; update it through the return request']
       });
     }
 
-    // Update status and add status history
-    const statusUpdate = {
-      status,
-      updatedAt: Date.now(),
-      statusHistory: [
-        ...order.statusHistory || [],
-        {
-          status: order.status,
-          timestamp: new Date(),
-          updatedBy: req.user._id
-        }
-      ]
-    };
-
-    // Special handling for specific status transitions
-    if (status === 'cancelled') {
-      // If order is cancelled, restore product stock
-      await Promise.all(order.items.map(async (item) => {
-        await Product.findByIdAndUpdate(
-          item.product._id,
-          { $inc: { stock: item.quantity } }
-        );
-      }));
-
-      console.log('📦 Stock restored for cancelled order');
-    } else if (status === 'delivered' && order.status !== 'delivered') {
-      // Credit shop wallet when order is delivered
-      const shop = await Shop.findById(order.shop._id);
-      if (shop) {
-        if (!shop.wallet) {
-          shop.wallet = { currentBalance: 0, lockedBalance: 0 };
-        }
-        const orderRevenue = order.amounts.subtotal || order.amounts.total;
-        shop.wallet.currentBalance += orderRevenue;
-        shop.metrics.totalRevenue = (shop.metrics.totalRevenue || 0) + orderRevenue;
-        await shop.save();
-
-        console.log(`💰 Credited ${orderRevenue} to shop wallet`);
-      }
+    // Validates the transition, restores stock on cancellation and notifies the buyer
+    if (status === 'shipped') {
+      await shipmentService.ship(order, { ...req.body.shipment, note: req.body.note }, req.user._id);
+    } else {
+      await orderStateService.transition(order, status, {
+        actor: orderStateService.actors.user(req.user._id),
+        note: req.body.note
+      });
     }
 
-    // Update the order
-    const updatedOrder = await Order.findByIdAndUpdate(
-      orderId,
-      statusUpdate,
-      { new: true }
-    ).populate('shop', 'name')
+    const updatedOrder = await Order.findById(orderId)
+      .populate('shop', 'name')
       .populate('items.product', 'name image price')
       .populate('statusHistory.updatedBy', 'username');
 
-    // Send notification to customer about status change
-    const statusMessages = {
-      processing: `Your order #${order.orderNumber} is being processed`,
-      shipped: `Your order #${order.orderNumber} has been shipped!`,
-      delivered: `Your order #${order.orderNumber} has been delivered`,
-      cancelled: `Your order #${order.orderNumber} has been cancelled`
-    };
-
-    if (statusMessages[status]) {
-      await notificationService.createPersistentNotification(
-        order.user._id,
-        statusMessages[status],
-        order._id
-      );
-
-      // Send push notification if user has token
-      const buyer = await User.findById(order.user._id);
-      if (buyer?.expoPushToken) {
-        await notificationService.sendPushNotification(
-          buyer.expoPushToken,
-          statusMessages[status]
-        );
-      }
-    }
-
     console.log(`✅ Order ${order.orderNumber} status updated: ${order.status} → ${status}`);
 
     res.json({
@@ -472,10 +405,10 @@ exports.updateOrderStatus = async (req, res) => {
 
   } catch (err) {
     console.error('❌ Error updating order status:', err);
-    res.status(500).json({
+    res.status(err.status || 500).json({
       success: false,
       data: null,
-      errors: [err.message]
+      errors: err.errors || [err.message]
     });
   }
 };
@@ -511,7 +444,10 @@ exports.checkPaymentStatus = async (req, res) => {
       });
     }
 
-    const paymentStatus = await paymentService.checkPaymentStatus(order.paymentDetails.transactionId);
+    const paymentStatus = await paymentService.checkPaymentStatus(
+      order.paymentDetails.transactionId,
+      order.paymentDetails.provider
+    );
 
     res.json({
       success: true,
@@ -556,6 +492,22 @@ exports.getOrderStatuses = async (req, res) => {
           cancelled: {
             description: 'Order has been cancelled',
             nextPossibleStatuses: ORDER_STATUS_FLOW.cancelled
+          },
+          return_requested: {
+            description: 'Buyer has asked to return the order',
+            nextPossibleStatuses: ORDER_STATUS_FLOW.return_requested
+          },
+          return_approved: {
+            description: 'Return approved; waiting for the items to come back',
+            nextPossibleStatuses: ORDER_STATUS_FLOW.return_approved
+          },
+          returned: {
+            description: 'Returned items have been received by the shop',
+            nextPossibleStatuses: ORDER_STATUS_FLOW.returned
+          },
+          refunded: {
+            description: 'Buyer has been refunded',
+            nextPossibleStatuses: ORDER_STATUS_FLOW.refunded
           }
         }
       },
@@ -584,9 +536,17 @@ exports.updatePaymentStatus = async (req, res) => {
       });
     }
 
+    if (!['pending', 'completed', 'failed', 'cancelled'].includes(paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: ['Invalid payment status value']
+      });
+    }
+
     // Find the order
     const order = await Order.findById(orderId)
-      .populate('shop', 'name email')
+      .populate('shop', 'name email owner')
       .populate('user', 'name email');
 
     if (!order) {
@@ -597,40 +557,59 @@ exports.updatePaymentStatus = async (req, res) => {
       });
     }
 
+    // Providers confirm their own payments; by hand only admins, or the shop
+    // owner for cash they collect themselves
+    const isAdmin = req.user.userType === 'ADMIN';
+    const isShopOwner = order.shop?.owner?.equals(req.user._id);
+    if (!isAdmin && !(isShopOwner && order.paymentMethod === 'cash_on_delivery')) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        errors: ['Not authorized to update the payment status of this order']
+      });
+    }
+
     // Update payment details
     const updateData = {
+      paymentStatus,
       'paymentDetails.status': paymentStatus,
-      'paymentDetails.updatedAt': new Date(),
-      'paymentDetails.transactionId': transactionId || order.paymentDetails.transactionId,
-      ...paymentDetails && { 'paymentDetails.details': paymentDetails }
+      'paymentDetails.transactionId': transactionId || order.paymentDetails?.transactionId
     };
+    for (const field of ['paymentReference', 'message', 'failureReason']) {
+      if (typeof paymentDetails?.[field] === 'string') {
+        updateData[`paymentDetails.${field}`] = paymentDetails[field];
+      }
+    }
 
-    // If payment is successful, update order status to pending
-    if (paymentStatus === 'completed') {
-      updateData.status = 'pending';
-    } else if (paymentStatus === 'failed') {
-      updateData.status = 'cancelled';
+    // A successful payment releases a waiting order to the shop; a failed one cancels it
+    let nextStatus = null;
+    if (paymentStatus === 'completed' && order.status === 'pending_payment') {
+      nextStatus = 'pending';
+    } else if (paymentStatus === 'failed' && order.status !== 'cancelled') {
+      nextStatus = 'cancelled';
     }
 
-    // Update the order
-    const updatedOrder = await Order.findByIdAndUpdate(
-      orderId,
-      { $set: updateData },
-      { new: true }
-    ).populate('shop', 'name')
-      .populate('items.product', 'name image price');
+    if (nextStatus) {
+      await orderStateService.transition(order, nextStatus, {
+        actor: orderStateService.actors.user(req.user._id),
+        note: `Payment ${paymentStatus}`,
+        set: updateData
+      });
+    } else {
+      await Order.updateOne({ _id: orderId }, { $set: updateData });
 
-    // Send notification based on payment status
-    const notificationMessage = paymentStatus === 'completed'
-      ? `Payment successful for order #${order.orderNumber}`
-      : `Payment ${paymentStatus} for order #${order.orderNumber}`;
+      await notificationService.createPersistentNotification(
+        order.user._id,
+        paymentStatus === 'completed'
+          ? `Payment successful for order #${order.orderNumber}`
+          : `Payment ${paymentStatus} for order #${order.orderNumber}`,
+        order._id
+      );
+    }
 
-    // Notify customer
-    await notificationService.createPersistentNotification(
-      order.user._id,
-      notificationMessage,
-      order._id
-    );
+    const updatedOrder = await Order.findById(orderId)
+      .populate('shop', 'name')
+      .populate('items.product', 'name image price');
 
     res.json({
       success: true,
@@ -639,10 +618,10 @@ exports.updatePaymentStatus = async (req, res) => {
     });
 
   } catch (err) {
-    res.status(500).json({
+    res.status(err.status || 500).json({
       success: false,
       data: null,
-      errors: [err.message]
+      errors: err.errors || [err.message]
     });
   }
 };
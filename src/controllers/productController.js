@@ -1,5 +1,53 @@
+const { isValidObjectId } = require('mongoose');
 const Product = require('../models/Product');
 const Shop = require('../models/Shop');
+const Order = require('../models/Order');
+const productAttributeService = require('../services/productAttributeService');
+const searchService = require('../services/searchService');
+const searchQueryService = require('../services/searchQueryService');
+const AppError = require('../utils/AppError');
+const { mergeFilters } = require('../middleware/queryBuilder');
+
+// What sellers may set on a product; counters, ratings and the search
+// entry are kept by the system
+const EDITABLE_FIELDS = ['name', 'description', 'price', 'category', 'images', 'stock', 'options', 'variants', 'attributes', 'weight'];
+
+// Orders that can still put stock back on the variants they bought
+const RESTOCKING_ORDER_STATUSES = ['pending_payment', 'pending', 'processing', 'shipped', 'return_requested', 'return_approved'];
+
+const pickEditable = (body = {}) => Object.fromEntries(
+  Object.entries(body).filter(([field]) => EDITABLE_FIELDS.includes(field))
+);
+
+/**
+ * Variants sent without an _id keep the id of the existing variant with the
+ * same SKU, so orders keep pointing at them. Variants that disappear must not
+ * be on open orders.
+ */
+const matchVariants = async (product, variants) => {
+  if (!Array.isArray(variants)) {
+    throw new AppError('variants must be an array');
+  }
+
+  const idsBySku = new Map(product.variants.map(variant => [variant.sku, variant._id]));
+  const matched = variants.map(variant => {
+    if (variant?._id !== undefined && !product.variants.id(variant._id)) {
+      throw new AppError(`Variant ${variant._id} is not a variant of this product`);
+    }
+    return { ...variant, _id: variant?._id ?? idsBySku.get(variant?.sku) };
+  });
+
+  const kept = new Set(matched.filter(variant => variant._id).map(variant => variant._id.toString()));
+  const removed = product.variants.filter(variant => !kept.has(variant._id.toString())).map(variant => variant._id);
+  if (removed.length > 0 && await Order.exists({
+    'items.variant': { $in: removed },
+    status: { $in: RESTOCKING_ORDER_STATUSES }
+  })) {
+    throw new AppError('Variants on open orders cannot be removed', 409);
+  }
+
+  return matched;
+};
 
 const isNewView = async (product, ip, userId) => {
   // Check if this IP or user has viewed in the last 24 hours
@@ -34,11 +82,12 @@ exports.createProduct = async (req, res) => {
     }
 
     // Validate input
-    const { name, price, category } = req.body;
+    const { name, price, category, variants } = req.body;
     const errors = [];
 
     if (!name) errors.push('Product name is required');
-    if (!price) errors.push('Price is required');
+    // Products with variants take their price from the variants
+    if (!price && !variants?.length) errors.push('Price is required');
     if (!category) errors.push('Category is required');
 
     if (errors.length > 0) {
@@ -51,11 +100,13 @@ exports.createProduct = async (req, res) => {
 
     // Create new product with the shop ID
     const product = new Product({
-      ...req.body,
+      ...pickEditable(req.body),
+      attributes: await productAttributeService.validate(category, req.body.attributes),
       shop: shop._id  // Use the shop's ID
     });
 
     await product.save();
+    searchService.refresh({ _id: product._id });
 
     // Update shop metrics - increment total products
     await Shop.findByIdAndUpdate(
@@ -69,7 +120,14 @@ exports.createProduct = async (req, res) => {
       errors: []
     });
   } catch (err) {
-    res.status(500).json({
+    if (err instanceof AppError) {
+      return res.status(err.status).json({
+        success: false,
+        data: null,
+        errors: err.errors
+      });
+    }
+    res.status(err.name === 'ValidationError' ? 400 : 500).json({
       success: false,
       data: null,
       errors: [err.message]
@@ -89,28 +147,59 @@ exports.getAllProducts = async (req, res) => {
     if (req.query.category) {
       filter.category = req.query.category;
     }
+    let rankedIds = null;
     if (req.query.search) {
-      filter.name = { $regex: req.query.search, $options: 'i' };
+      rankedIds = await searchService.findIds(req.query.search);
+      if (!rankedIds) {
+        throw new AppError('Enter a word to search for');
+      }
+      filter._id = { $in: rankedIds };
+    }
+
+    // Attribute filters and facets need a category to define the attributes
+    let definitions = [];
+    if (req.query.category) {
+      definitions = await productAttributeService.getDefinitions(req.query.category);
+      Object.assign(filter, productAttributeService.buildFilter(definitions, req.query.attributes));
+    } else if (req.query.attributes !== undefined) {
+      throw new AppError('Filter by category to use attribute filters');
     }
 
-    // Sorting
-    const sortField = req.query.sortBy || 'createdAt';
-    const sortOrder = req.query.order === 'asc' ? 1 : -1;
-    const sort = { [sortField]: sortOrder };
+    // Shared listing filters and sort (see middleware/queryBuilder)
+    const conditions = mergeFilters(filter, req.listing.filter);
+    const { sort } = req.listing;
 
     // Query products with pagination
-    const totalProducts = await Product.countDocuments(filter);
-    const products = await Product.find(filter)
-      .populate('category', 'name')
-      .populate('shop', 'name')
-      .sort(sort)
-      .limit(limit)
-      .skip(skipIndex);
+    let totalProducts;
+    let products;
+    if (rankedIds && !req.query.sortBy) {
+      // Searches list the best matches first unless another order is asked for
+      const matching = new Set((await Product.find(conditions).distinct('_id')).map(id => id.toString()));
+      const ranked = rankedIds.filter(id => matching.has(id.toString()));
+      const pageIds = ranked.slice(skipIndex, skipIndex + limit);
+      const found = await Product.find({ _id: { $in: pageIds } })
+        .populate('category', 'name')
+        .populate('shop', 'name');
+      const byId = new Map(found.map(product => [product._id.toString(), product]));
+
+      totalProducts = ranked.length;
+      products = pageIds.map(id => byId.get(id.toString())).filter(Boolean);
+    } else {
+      totalProducts = await Product.countDocuments(conditions);
+      products = await Product.find(conditions)
+        .populate('category', 'name')
+        .populate('shop', 'name')
+        .sort(sort)
+        .limit(limit)
+        .skip(skipIndex);
+    }
+    const facets = await productAttributeService.getFacets(conditions, definitions);
 
     res.json({
       success: true,
       data: {
         products,
+        facets,
         pagination: {
           currentPage: page,
           totalPages: Math.ceil(totalProducts / limit),
@@ -121,15 +210,58 @@ exports.getAllProducts = async (req, res) => {
       errors: []
     });
   } catch (err) {
-    res.status(500).json({
+    res.status(err.status || 500).json({
       success: false,
       data: null,
-      errors: [err.message]
+      errors: err instanceof AppError ? err.errors : [err.message]
     });
   }
 };
 
 
+// Ranked full-text search with highlights and facets
+exports.searchProducts = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 30, 1), 100);
+
+    const { products, facets, total } = await searchService.search({
+      q: req.query.q,
+      page,
+      limit,
+      category: req.query.category,
+      attributes: req.query.attributes,
+      filter: req.listing.filter
+    });
+
+    // Later pages are the same search
+    if (page === 1) {
+      searchQueryService.record({ text: req.query.q, user: req.user, ip: req.ip, resultCount: total });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        products,
+        facets,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalProducts: total,
+          limit
+        }
+      },
+      errors: []
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({
+      success: false,
+      data: null,
+      errors: err instanceof AppError ? err.errors : [err.message]
+    });
+  }
+};
+
 exports.getProductById = async (req, res) => {
   try {
     const product = await Product.findById(req.params.id)
@@ -178,11 +310,7 @@ exports.getProductById = async (req, res) => {
 
 exports.updateProduct = async (req, res) => {
   try {
-    const product = await Product.findByIdAndUpdate(
-      req.params.id, 
-      req.body, 
-      { new: true, runValidators: true }
-    );
+    const product = await Product.findById(req.params.id);
 
     if (!product) {
       return res.status(404).json({
@@ -192,15 +320,37 @@ exports.updateProduct = async (req, res) => {
       });
     }
 
+    if (!await Shop.exists({ _id: product.shop, owner: req.user.id })) {
+      return res.status(403).json({
+        success: false,
+        errors: ['Not authorized to update this product'],
+        data: null
+      });
+    }
+
+    // Saved as a document so options and variants are validated together
+    const { attributes, ...updates } = pickEditable(req.body);
+    if (updates.variants !== undefined) {
+      updates.variants = await matchVariants(product, updates.variants);
+    }
+    product.set(updates);
+    // A new category brings its own attribute definitions, so the values are
+    // checked again even when they weren't sent
+    if (attributes !== undefined || product.isModified('category')) {
+      product.attributes = await productAttributeService.validate(product.category, attributes ?? product.attributes);
+    }
+    await product.save();
+    searchService.refresh({ _id: product._id });
+
     res.json({
       success: true,
       data: { product },
       errors: []
     });
   } catch (err) {
-    res.status(400).json({
+    res.status(err.status || 400).json({
       success: false,
-      errors: [err.message],
+      errors: err instanceof AppError ? err.errors : [err.message],
       data: null
     });
   }
@@ -223,6 +373,7 @@ exports.deleteProduct = async (req, res) => {
 
     // Delete the product
     await Product.findByIdAndDelete(req.params.id);
+    await searchService.removeProduct(product._id);
 
     // Update shop metrics - decrement total products
     await Shop.findByIdAndUpdate(
@@ -326,4 +477,76 @@ exports.getProductViewStats = async (req, res) => {
       data: null
     });
   }
-};
\ No newline at end of file
+};
+
+// Seller: change one variant's price, stock, SKU, barcode or images without
+// resending the whole product
+exports.updateVariant = async (req, res) => {
+  try {
+    const { id, variantId } = req.params;
+    if (!isValidObjectId(id) || !isValidObjectId(variantId)) {
+      return res.status(400).json({
+        success: false,
+        errors: ['Invalid product or variant ID format'],
+        data: null
+      });
+    }
+
+    const product = await Product.findOne({ _id: id, 'variants._id': variantId }).select('shop variants.sku variants._id');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        errors: ['Variant not found'],
+        data: null
+      });
+    }
+
+    if (!await Shop.exists({ _id: product.shop, owner: req.user.id })) {
+      return res.status(403).json({
+        success: false,
+        errors: ['Not authorized to update this product'],
+        data: null
+      });
+    }
+
+    const { price, stock, sku, barcode, images } = req.body;
+    const errors = [];
+    if (price !== undefined && !(Number(price) >= 0)) errors.push('price must be 0 or more');
+    if (stock !== undefined && !(Number.isInteger(Number(stock)) && Number(stock) >= 0)) errors.push('stock must be a whole number, 0 or more');
+    if (sku !== undefined && (!String(sku).trim()
+      || product.variants.some(variant => variant.sku === String(sku).trim() && !variant._id.equals(variantId)))) {
+      errors.push('sku must be set and different from the other variants');
+    }
+    if (images !== undefined && !Array.isArray(images)) errors.push('images must be an array of URLs');
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors, data: null });
+    }
+
+    const changes = {};
+    if (price !== undefined) changes['variants.$.price'] = Number(price);
+    if (stock !== undefined) changes['variants.$.stock'] = Number(stock);
+    if (sku !== undefined) changes['variants.$.sku'] = String(sku).trim();
+    if (barcode !== undefined) changes['variants.$.barcode'] = barcode;
+    if (images !== undefined) changes['variants.$.images'] = images;
+
+    await Product.updateOne({ _id: id, 'variants._id': variantId }, { $set: changes });
+    // Recompute the product's listing price and total stock from the variants
+    const updated = await Product.findOneAndUpdate(
+      { _id: id },
+      [{ $set: { price: { $min: '$variants.price' }, stock: { $sum: '$variants.stock' } } }],
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      data: { product: updated, variant: updated.variants.id(variantId) },
+      errors: []
+    });
+  } catch (err) {
+    res.status(err.code === 11000 ? 409 : 500).json({
+      success: false,
+      errors: [err.code === 11000 ? 'Another product in your shop already uses this SKU' : err.message],
+      data: null
+    });
+  }
+};
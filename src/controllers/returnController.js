@@ -0,0 +1,511 @@
+const mongoose = require('mongoose');
+const { isValidObjectId } = mongoose;
+const fs = require('fs').promises;
+const ReturnRequest = require('../models/ReturnRequest');
+const Order = require('../models/Order');
+const Shop = require('../models/Shop');
+const { User } = require('../models/User');
+const notificationService = require('../services/notificationService');
+const orderNotificationService = require('../services/orderNotificationService');
+const paymentService = require('../services/paymentService');
+const pricingService = require('../services/pricingService');
+const orderStateService = require('../services/orderStateService');
+const ledgerService = require('../services/ledgerService');
+const stockReservationService = require('../services/stockReservationService');
+const { uploadToCloudinary } = require('../config/cloudinary');
+const commerceConfig = require('../config/commerce');
+const AppError = require('../utils/AppError');
+
+const OPEN_RETURN_STATUSES = ['requested', 'approved', 'returned'];
+
+const getDeliveredAt = (order) => {
+  if (order.deliveredAt) {
+    return order.deliveredAt;
+  }
+  const deliveredEntry = [...(order.statusHistory || [])]
+    .reverse()
+    .find(entry => entry.status === 'delivered');
+  return deliveredEntry?.timestamp || order.updatedAt;
+};
+
+// Move the order along the return flow inside the caller's transaction.
+// The returned change is published once the transaction commits.
+const moveOrder = (orderId, from, to, { userId, note, set }, session) => orderStateService.transition(
+  orderId,
+  to,
+  { actor: orderStateService.actors.user(userId), from, note, set, session }
+);
+
+const loadManagedReturn = async (req) => {
+  if (!isValidObjectId(req.params.id)) {
+    throw new AppError('Invalid return request ID format');
+  }
+
+  const returnRequest = await ReturnRequest.findById(req.params.id).populate('shop', 'name owner');
+  if (!returnRequest) {
+    throw new AppError('Return request not found', 404);
+  }
+
+  const isShopOwner = returnRequest.shop.owner.equals(req.user._id);
+  const isAdmin = req.user.userType === 'ADMIN';
+  if (!isShopOwner && !isAdmin) {
+    throw new AppError('Not authorized to manage this return', 403);
+  }
+
+  return returnRequest;
+};
+
+const notifyUser = async (userId, message, orderId) => {
+  try {
+    await notificationService.createPersistentNotification(userId, message, orderId);
+
+    const user = await User.findById(userId).select('expoPushToken');
+    if (user?.expoPushToken) {
+      await notificationService.sendPushNotification(user.expoPushToken, message);
+    }
+  } catch (error) {
+    console.error('Error sending return notification:', error);
+  }
+};
+
+const uploadPhotos = async (files = []) => {
+  const photos = [];
+  for (const file of files) {
+    photos.push(await uploadToCloudinary(file, 'return-photos'));
+    await fs.unlink(file.path).catch(() => {});
+  }
+  return photos;
+};
+
+const sendError = (res, err) => res.status(err.status || 500).json({
+  success: false,
+  data: null,
+  errors: err.errors || [err.message]
+});
+
+exports.requestReturn = async (req, res) => {
+  try {
+    const { orderId, reason, details } = req.body;
+    let items = req.body.items;
+    try {
+      items = typeof items === 'string' ? JSON.parse(items) : items;
+    } catch (error) {
+      items = null;
+    }
+    if (items !== undefined && !Array.isArray(items)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: ['Items must be a JSON array']
+      });
+    }
+
+    if (!isValidObjectId(orderId) || !reason) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: ['A valid orderId and a reason are required']
+      });
+    }
+
+    const order = await Order.findById(orderId).populate('shop', 'name owner');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        errors: ['Order not found']
+      });
+    }
+
+    if (!order.user.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        errors: ['Not authorized to return this order']
+      });
+    }
+
+    if (order.status !== 'delivered') {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: ['Only delivered orders can be returned']
+      });
+    }
+
+    const windowEnds = new Date(
+      getDeliveredAt(order).getTime() + commerceConfig.returnWindowDays * 24 * 60 * 60 * 1000
+    );
+    if (windowEnds < new Date()) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: [`Returns must be requested within ${commerceConfig.returnWindowDays} days of delivery`]
+      });
+    }
+
+    // Default to returning the whole order
+    const requestedItems = items?.length ? items : order.items.map(item => ({
+      productId: item.product,
+      variantId: item.variant,
+      quantity: item.quantity
+    }));
+
+    // Quantities per order item, so repeating an item can't return more than was bought
+    const quantities = new Map();
+    for (const requested of requestedItems) {
+      // Variants of one product are separate order items
+      const orderItem = isValidObjectId(requested?.productId) && order.items.find(item => (
+        item.product.equals(requested.productId)
+        && String(item.variant || '') === String(requested.variantId || '')
+      ));
+      const quantity = parseInt(requested?.quantity);
+      const key = orderItem && orderItem._id.toString();
+      const total = (quantities.get(key)?.quantity || 0) + quantity;
+
+      if (!orderItem || !(quantity > 0) || total > orderItem.quantity) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          errors: ['Returned items must match the items and quantities on the order']
+        });
+      }
+
+      quantities.set(key, { orderItem, quantity: total });
+    }
+
+    const returnItems = [...quantities.values()].map(({ orderItem, quantity }) => ({
+      product: orderItem.product,
+      variant: orderItem.variant,
+      name: orderItem.name,
+      quantity,
+      price: orderItem.price
+    }));
+
+    const photos = [
+      ...(Array.isArray(req.body.photos) ? req.body.photos : []),
+      ...await uploadPhotos(req.files)
+    ];
+
+    let returnRequest;
+    let change;
+    await mongoose.connection.transaction(async (session) => {
+      [returnRequest] = await ReturnRequest.create([{
+        order: order._id,
+        user: req.user._id,
+        shop: order.shop._id,
+        items: returnItems,
+        reason,
+        details,
+        photos,
+        refundAmount: pricingService.calculateRefund(order, returnItems)
+      }], { session });
+
+      change = await moveOrder(order._id, 'delivered', 'return_requested', {
+        userId: req.user._id,
+        note: `Return requested: ${reason}`
+      }, session);
+    });
+    orderStateService.publish(change);
+
+    await notifyUser(
+      order.shop.owner,
+      `Return requested for order #${order.orderNumber}. Please review it.`,
+      order._id
+    );
+
+    res.status(201).json({
+      success: true,
+      data: { returnRequest },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.getReturns = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const query = {};
+
+    // Admins see everything; others see returns they raised or that were raised against their shop
+    if (req.user.userType !== 'ADMIN') {
+      const shop = await Shop.findOne({ owner: req.user._id }).select('_id');
+      query.$or = [{ user: req.user._id }];
+      if (shop) {
+        query.$or.push({ shop: shop._id });
+      }
+    }
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const returnRequests = await ReturnRequest.find(query)
+      .populate('order', 'orderNumber status amounts')
+      .populate('shop', 'name')
+      .populate('user', 'username email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await ReturnRequest.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        returnRequests,
+        pagination: {
+          current: page,
+          total: Math.ceil(total / limit),
+          totalRecords: total
+        }
+      },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.getReturnById = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: ['Invalid return request ID format']
+      });
+    }
+
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+      .populate('order', 'orderNumber status amounts statusHistory')
+      .populate('shop', 'name owner')
+      .populate('user', 'username email');
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        errors: ['Return request not found']
+      });
+    }
+
+    const isBuyer = returnRequest.user._id.equals(req.user._id);
+    const isShopOwner = returnRequest.shop.owner.equals(req.user._id);
+    if (!isBuyer && !isShopOwner && req.user.userType !== 'ADMIN') {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        errors: ['Not authorized to view this return']
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { returnRequest },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.decideReturn = async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: ['Decision must be approve or reject']
+      });
+    }
+
+    const returnRequest = await loadManagedReturn(req);
+    if (returnRequest.status !== 'requested') {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: ['This return has already been decided']
+      });
+    }
+
+    // The approver may settle on a partial refund, but never more than was paid
+    if (decision === 'approve') {
+      const order = await Order.findById(returnRequest.order).select('amounts items');
+      const total = order.amounts?.total ?? pricingService.calculateRefund(order, order.items);
+      const refundAmount = req.body.refundAmount === undefined
+        ? returnRequest.refundAmount
+        : Number(req.body.refundAmount);
+      if (!(refundAmount >= 0)) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          errors: ['Refund amount must be a positive number']
+        });
+      }
+      if (req.body.refundAmount !== undefined && refundAmount > total) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          errors: ['Refund amount cannot exceed the order total']
+        });
+      }
+      returnRequest.refundAmount = Math.min(refundAmount, total);
+    }
+
+    returnRequest.status = decision === 'approve' ? 'approved' : 'rejected';
+    returnRequest.decision = { by: req.user._id, note, at: new Date() };
+
+    let change;
+    await mongoose.connection.transaction(async (session) => {
+      await returnRequest.save({ session });
+
+      if (decision === 'approve') {
+        change = await moveOrder(returnRequest.order, 'return_requested', 'return_approved', {
+          userId: req.user._id,
+          note: note || 'Return approved'
+        }, session);
+      } else {
+        change = await moveOrder(returnRequest.order, 'return_requested', 'delivered', {
+          userId: req.user._id,
+          note: `Return rejected${note ? `: ${note}` : ''}`
+        }, session);
+      }
+    });
+    orderStateService.publish(change);
+
+    const order = await Order.findById(returnRequest.order).select('orderNumber');
+    await notifyUser(
+      returnRequest.user,
+      decision === 'approve'
+        ? `Your return for order #${order.orderNumber} was approved. Please send the items back.`
+        : `Your return for order #${order.orderNumber} was rejected${note ? `: ${note}` : ''}`,
+      returnRequest.order
+    );
+
+    res.json({
+      success: true,
+      data: { returnRequest },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.markReturned = async (req, res) => {
+  try {
+    const returnRequest = await loadManagedReturn(req);
+    if (returnRequest.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: ['Only approved returns can be marked as received']
+      });
+    }
+
+    returnRequest.status = 'returned';
+    returnRequest.receivedAt = new Date();
+
+    let change;
+    await mongoose.connection.transaction(async (session) => {
+      await returnRequest.save({ session });
+
+      change = await moveOrder(returnRequest.order, 'return_approved', 'returned', {
+        userId: req.user._id,
+        note: 'Returned items received by the shop'
+      }, session);
+
+      // Returned goods go back on sale
+      for (const item of returnRequest.items) {
+        await stockReservationService.restock(item, item.quantity, session);
+      }
+    });
+    orderStateService.publish(change);
+
+    res.json({
+      success: true,
+      data: { returnRequest },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.refundReturn = async (req, res) => {
+  try {
+    const returnRequest = await loadManagedReturn(req);
+    if (returnRequest.status !== 'returned') {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: ['Items must be received back before the refund is issued']
+      });
+    }
+
+    returnRequest.status = 'refunded';
+    returnRequest.refundedAt = new Date();
+    returnRequest.refundedBy = req.user._id;
+
+    let change;
+    await mongoose.connection.transaction(async (session) => {
+      await returnRequest.save({ session });
+
+      change = await moveOrder(returnRequest.order, 'returned', 'refunded', {
+        userId: req.user._id,
+        note: `Refunded ${returnRequest.refundAmount}`,
+        set: { paymentStatus: 'refunded' }
+      }, session);
+
+      // The shop was credited on delivery, so the refund comes out of its wallet
+      await ledgerService.recordRefund(returnRequest, change.order, session);
+      await Shop.updateOne(
+        { _id: returnRequest.shop._id },
+        { $inc: { 'metrics.totalRevenue': -returnRequest.refundAmount } },
+        { session }
+      );
+    });
+    orderStateService.publish(change);
+
+    // Pay the buyer back the way they paid; anything the provider can't
+    // refund is left for an admin to pay out by hand
+    const refund = await paymentService.refundOrder(
+      change.order,
+      returnRequest.refundAmount,
+      `Return for order #${change.order.orderNumber}`
+    );
+    returnRequest.refund = refund;
+    await ReturnRequest.updateOne({ _id: returnRequest._id }, { $set: { refund } });
+
+    if (refund.status === 'manual') {
+      await notifyUser(
+        returnRequest.user,
+        `Your refund of ${returnRequest.refundAmount} for order #${change.order.orderNumber} has been approved and will be paid back to you shortly`,
+        returnRequest.order
+      );
+      await orderNotificationService.notifyAdmins(
+        `Refund of ${returnRequest.refundAmount} for order #${change.order.orderNumber} needs to be paid out manually: ${refund.reason}`,
+        returnRequest.order
+      ).catch(error => console.error('Error sending refund notification:', error));
+    } else {
+      await notifyUser(
+        returnRequest.user,
+        `Your refund of ${returnRequest.refundAmount} for order #${change.order.orderNumber} has been sent to your original payment method`,
+        returnRequest.order
+      );
+    }
+
+    res.json({
+      success: true,
+      data: { returnRequest },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
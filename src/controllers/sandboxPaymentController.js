@@ -0,0 +1,105 @@
+const Order = require('../models/Order');
+const WithdrawalRequest = require('../models/WithdrawalRequest');
+const paymentService = require('../services/paymentService');
+const webhookEventService = require('../services/webhookEventService');
+const payoutService = require('../services/payoutService');
+
+const sendError = (res, err) => res.status(err.status || 500).json({
+  success: false,
+  data: null,
+  errors: err.errors || [err.message]
+});
+
+const summarizeOrders = (orders) => orders.map(order => ({
+  _id: order._id,
+  orderNumber: order.orderNumber,
+  status: order.status,
+  paymentStatus: order.paymentStatus
+}));
+
+exports.getTransaction = async (req, res) => {
+  try {
+    const sandbox = paymentService.getProvider('sandbox', 404);
+    const transaction = sandbox.getTransaction(req.params.transactionId);
+    const orders = await Order.find({
+      'paymentDetails.transactionId': transaction.order_id
+    }).select('orderNumber status paymentStatus');
+
+    res.json({
+      success: true,
+      data: { transaction, orders: summarizeOrders(orders) },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Settle a sandbox payment as success, failure or timeout and deliver the
+ * resulting callback through the same webhook log, verification and order
+ * updates a real provider's webhook goes through.
+ */
+exports.simulateOutcome = async (req, res) => {
+  try {
+    const sandbox = paymentService.getProvider('sandbox', 404);
+    const callback = sandbox.simulate(req.params.transactionId, req.params.outcome);
+
+    const webhookEvent = await webhookEventService.receive(sandbox.name, { ...callback, ip: req.ip });
+
+    const orders = await Order.find({
+      'paymentDetails.transactionId': req.params.transactionId
+    }).select('orderNumber status paymentStatus');
+
+    res.json({
+      success: true,
+      data: {
+        transaction: sandbox.getTransaction(req.params.transactionId),
+        callback: callback.body,
+        webhookEvent,
+        orders: summarizeOrders(orders)
+      },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.getPayout = async (req, res) => {
+  try {
+    const sandbox = paymentService.getProvider('sandbox', 404);
+    const payout = sandbox.getPayout(req.params.payoutId);
+    const withdrawal = await WithdrawalRequest.findOne({ 'payout.reference': payout.id })
+      .select('amount status payout');
+
+    res.json({
+      success: true,
+      data: { payout, withdrawal },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// Settle a sandbox payout and apply it to its withdrawal right away
+exports.simulatePayoutOutcome = async (req, res) => {
+  try {
+    const sandbox = paymentService.getProvider('sandbox', 404);
+    const payout = sandbox.simulatePayout(req.params.payoutId, req.params.outcome);
+
+    let withdrawal = await WithdrawalRequest.findOne({ 'payout.reference': payout.id });
+    if (withdrawal) {
+      withdrawal = await payoutService.sync(withdrawal);
+    }
+
+    res.json({
+      success: true,
+      data: { payout, withdrawal },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
@@ -0,0 +1,55 @@
+const searchService = require('../services/searchService');
+const searchQueryService = require('../services/searchQueryService');
+const AppError = require('../utils/AppError');
+
+const MAX_SUGGEST_LENGTH = 100;
+
+const sendError = (res, err) => res.status(err.status || 500).json({
+  success: false,
+  errors: err instanceof AppError ? err.errors : [err.message],
+  data: null
+});
+
+// Autocomplete for the search bar; trending searches while it's empty
+exports.suggest = async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (q.length > MAX_SUGGEST_LENGTH) {
+      throw new AppError(`q must be at most ${MAX_SUGGEST_LENGTH} characters`);
+    }
+
+    const [suggestions, queries] = q
+      ? await Promise.all([
+        searchService.suggest(q),
+        searchQueryService.getPopular({ prefix: q, limit: 5 })
+      ])
+      : [[], await searchQueryService.getTrending({ limit: 5 })];
+
+    res.json({
+      success: true,
+      data: { query: q, suggestions, queries },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.getTrendingQueries = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    const [trending, popular] = await Promise.all([
+      searchQueryService.getTrending({ limit }),
+      searchQueryService.getPopular({ limit })
+    ]);
+
+    res.json({
+      success: true,
+      data: { trending, popular },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
@@ -0,0 +1,141 @@
+const { isValidObjectId } = require('mongoose');
+const Order = require('../models/Order');
+const shipmentService = require('../services/shipmentService');
+const AppError = require('../utils/AppError');
+
+// Orders a seller may ship or track: their own shop's, or any for admins
+const loadShopOrder = async (req) => {
+  if (!isValidObjectId(req.params.orderId)) {
+    throw new AppError('Invalid order ID format');
+  }
+
+  const order = await Order.findById(req.params.orderId).populate('shop', 'name owner');
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  const isShopOwner = order.shop.owner.equals(req.user._id);
+  if (!isShopOwner && req.user.userType !== 'ADMIN') {
+    throw new AppError('Not authorized to update this order', 403);
+  }
+
+  return order;
+};
+
+const sendError = (res, err) => res.status(err.status || 500).json({
+  success: false,
+  data: null,
+  errors: err.errors || [err.message]
+});
+
+exports.shipOrder = async (req, res) => {
+  try {
+    const order = await loadShopOrder(req);
+    const shippedOrder = await shipmentService.ship(order, req.body, req.user._id);
+
+    res.json({
+      success: true,
+      data: { order: shippedOrder },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.updateShipment = async (req, res) => {
+  try {
+    const order = await loadShopOrder(req);
+    const updatedOrder = await shipmentService.updateDetails(order, req.body);
+
+    res.json({
+      success: true,
+      data: { order: updatedOrder },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.addTrackingEvent = async (req, res) => {
+  try {
+    const order = await loadShopOrder(req);
+    const updatedOrder = await shipmentService.addTrackingEvent(order, req.body, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      data: { shipment: updatedOrder.shipment },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.recordCashCollection = async (req, res) => {
+  try {
+    const order = await loadShopOrder(req);
+    const updatedOrder = await shipmentService.recordCashCollection(
+      order,
+      req.body.collectedAmount,
+      req.user._id
+    );
+
+    res.json({
+      success: true,
+      data: { cashOnDelivery: updatedOrder.cashOnDelivery },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.confirmDelivery = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.orderId)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: ['Invalid order ID format']
+      });
+    }
+
+    const order = await shipmentService.confirmDelivery(req.params.orderId, {
+      user: req.user,
+      code: req.body.code,
+      collectedAmount: req.body.collectedAmount
+    });
+
+    res.json({
+      success: true,
+      data: { order },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.getDeliveryCode = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.orderId)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: ['Invalid order ID format']
+      });
+    }
+
+    const deliveryCode = await shipmentService.getDeliveryCode(req.params.orderId, req.user._id);
+
+    res.json({
+      success: true,
+      data: { deliveryCode },
+      errors: []
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
@@ -2,6 +2,10 @@ const Shop = require('../models/Shop');
 const Product = require('../models/Product');
 const { User } = require('../models/User');
 const { uploadToCloudinary } = require('../config/cloudinary');
+const payoutAccountService = require('../services/payoutAccountService');
+const statementService = require('../services/statementService');
+const searchService = require('../services/searchService');
+const { mergeFilters } = require('../middleware/queryBuilder');
 
 // Validation helper
 const validateShopInput = (data) => {
@@ -20,6 +24,17 @@ const validateShopInput = (data) => {
   return errors;
 };
 
+// Balances only change through the ledger, commission is set by admins and
+// payout accounts have their own endpoints
+const withoutManagedFields = ({ wallet, commissionRate, payoutAccounts, ...data }) => data;
+
+// Service errors (AppError) carry their own status
+const sendError = (res, err) => res.status(err.status || 500).json({
+  success: false,
+  errors: err.errors || [err.message],
+  data: null
+});
+
 exports.createShop = async (req, res) => {
   try {
     // Check if user is a seller
@@ -64,7 +79,7 @@ exports.createShop = async (req, res) => {
     }
 
     const shop = new Shop({
-      ...req.body,
+      ...withoutManagedFields(req.body),
       owner: req.user.id,
       logo: logoUrl,
       coverImage: coverImageUrl
@@ -175,6 +190,80 @@ exports.getUserShop = async (req, res) => {
   }
 };
 
+exports.getShippingRates = async (req, res) => {
+  try {
+    const shop = await Shop.findOne({ owner: req.user.id }).select('shippingRates');
+
+    if (!shop) {
+      return res.status(404).json({
+        success: false,
+        errors: ['No shop found for this user'],
+        data: null
+      });
+    }
+
+    res.json({
+      success: true,
+      errors: [],
+      data: { shippingRates: shop.shippingRates }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      errors: [err.message],
+      data: null
+    });
+  }
+};
+
+exports.updateShippingRates = async (req, res) => {
+  try {
+    const { shippingRates } = req.body;
+
+    if (!Array.isArray(shippingRates)) {
+      return res.status(400).json({
+        success: false,
+        errors: ['shippingRates must be an array'],
+        data: null
+      });
+    }
+
+    if (shippingRates.filter(rate => !rate.cities?.length).length > 1) {
+      return res.status(400).json({
+        success: false,
+        errors: ['Only one shipping rate can be the fallback (no cities)'],
+        data: null
+      });
+    }
+
+    const shop = await Shop.findOneAndUpdate(
+      { owner: req.user.id },
+      { shippingRates, updatedAt: Date.now() },
+      { new: true, runValidators: true }
+    ).select('shippingRates');
+
+    if (!shop) {
+      return res.status(404).json({
+        success: false,
+        errors: ['No shop found for this user'],
+        data: null
+      });
+    }
+
+    res.json({
+      success: true,
+      errors: [],
+      data: { shippingRates: shop.shippingRates }
+    });
+  } catch (err) {
+    res.status(err.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      errors: [err.message],
+      data: null
+    });
+  }
+};
+
 exports.getShopById = async (req, res) => {
   try {
     const shop = await Shop.findById(req.params.id)
@@ -225,7 +314,7 @@ exports.updateShop = async (req, res) => {
 
     const shop = await Shop.findOneAndUpdate(
       { _id: req.params.id, owner: req.user.id },
-      { ...req.body, updatedAt: Date.now() },
+      { ...withoutManagedFields(req.body), updatedAt: Date.now() },
       { new: true, runValidators: true }
     ).populate('categories', 'name');
 
@@ -237,6 +326,11 @@ exports.updateShop = async (req, res) => {
       });
     }
 
+    // Products are found by their shop's name
+    if (req.body.name !== undefined) {
+      searchService.refresh({ shop: shop._id });
+    }
+
     res.json({
       success: true,
       data: { shop },
@@ -297,18 +391,17 @@ exports.getShopProducts = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const sortBy = req.query.sortBy || 'createdAt';
-    const order = req.query.order === 'asc' ? 1 : -1;
     const category = req.query.category;
 
-    const query = { shop: req.params.id };
+    const base = { shop: req.params.id };
     if (category) {
-      query.category = category;
+      base.category = category;
     }
+    const query = mergeFilters(base, req.listing.filter);
 
     const products = await Product.find(query)
       .populate('category', 'name')
-      .sort({ [sortBy]: order })
+      .sort(req.listing.sort)
       .skip((page - 1) * limit)
       .limit(limit);
 
@@ -426,4 +519,166 @@ exports.updateShopVerification = async (req, res) => {
       data: null
     });
   }
-};
\ No newline at end of file
+};
+
+// Admin: set the shop's commission rate, or clear it with null to fall back
+// to category and platform rates
+exports.updateShopCommission = async (req, res) => {
+  try {
+    const { commissionRate } = req.body;
+    const clearing = commissionRate === null;
+    const rate = Number(commissionRate);
+
+    if (!clearing && (commissionRate === undefined || !Number.isFinite(rate) || rate < 0 || rate > 100)) {
+      return res.status(400).json({
+        success: false,
+        errors: ['commissionRate must be a percentage between 0 and 100, or null'],
+        data: null
+      });
+    }
+
+    const shop = await Shop.findByIdAndUpdate(
+      req.params.id,
+      clearing
+        ? { $unset: { commissionRate: 1 }, updatedAt: Date.now() }
+        : { commissionRate: rate, updatedAt: Date.now() },
+      { new: true }
+    ).select('name commissionRate');
+
+    if (!shop) {
+      return res.status(404).json({
+        success: false,
+        errors: ['Shop not found'],
+        data: null
+      });
+    }
+
+    res.json({
+      success: true,
+      errors: [],
+      data: { shop }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      errors: [err.message],
+      data: null
+    });
+  }
+};
+
+exports.getPayoutAccounts = async (req, res) => {
+  try {
+    const payoutAccounts = await payoutAccountService.list(req.user.id);
+
+    res.json({
+      success: true,
+      errors: [],
+      data: { payoutAccounts }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.addPayoutAccount = async (req, res) => {
+  try {
+    const payoutAccount = await payoutAccountService.add(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      errors: [],
+      data: { payoutAccount }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.updatePayoutAccount = async (req, res) => {
+  try {
+    const payoutAccount = await payoutAccountService.update(req.user.id, req.params.accountId, req.body);
+
+    res.json({
+      success: true,
+      errors: [],
+      data: { payoutAccount }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.setDefaultPayoutAccount = async (req, res) => {
+  try {
+    const payoutAccount = await payoutAccountService.setDefault(req.user.id, req.params.accountId);
+
+    res.json({
+      success: true,
+      errors: [],
+      data: { payoutAccount }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.deletePayoutAccount = async (req, res) => {
+  try {
+    const payoutAccounts = await payoutAccountService.remove(req.user.id, req.params.accountId);
+
+    res.json({
+      success: true,
+      errors: [],
+      data: { payoutAccounts }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// Seller: earnings statement for ?month=YYYY-MM as JSON, CSV or PDF (?format=)
+exports.getStatement = async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        errors: ['format must be json, csv or pdf'],
+        data: null
+      });
+    }
+
+    const shop = await Shop.findOne({ owner: req.user.id }).select('name wallet');
+    if (!shop) {
+      return res.status(404).json({
+        success: false,
+        errors: ['No shop found for this user'],
+        data: null
+      });
+    }
+
+    const statement = await statementService.build(shop, req.query.month);
+    const filename = `statement-${statement.month}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(statementService.toCsv(statement));
+    }
+
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return statementService.render(statement).pipe(res);
+    }
+
+    res.json({
+      success: true,
+      errors: [],
+      data: { statement }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
@@ -0,0 +1,123 @@
+const TaxRule = require('../models/TaxRule');
+
+exports.getTaxRules = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.country) {
+      query.country = req.query.country;
+    }
+    if (req.query.category) {
+      query.category = req.query.category;
+    }
+
+    const taxRules = await TaxRule.find(query)
+      .populate('category', 'name')
+      .sort({ country: 1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { taxRules },
+      errors: []
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      errors: [err.message]
+    });
+  }
+};
+
+exports.createTaxRule = async (req, res) => {
+  try {
+    const { name, rate, country, category, inclusive, isActive } = req.body;
+
+    if (!name || rate === undefined) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        errors: ['Name and rate are required']
+      });
+    }
+
+    const taxRule = await TaxRule.create({
+      name,
+      rate,
+      country: country || null,
+      category: category || null,
+      inclusive,
+      isActive,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { taxRule },
+      errors: []
+    });
+  } catch (err) {
+    res.status(err.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      data: null,
+      errors: [err.message]
+    });
+  }
+};
+
+exports.updateTaxRule = async (req, res) => {
+  try {
+    const { name, rate, country, category, inclusive, isActive } = req.body;
+
+    const taxRule = await TaxRule.findByIdAndUpdate(
+      req.params.id,
+      { name, rate, country, category, inclusive, isActive },
+      { new: true, runValidators: true, omitUndefined: true }
+    );
+
+    if (!taxRule) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        errors: ['Tax rule not found']
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { taxRule },
+      errors: []
+    });
+  } catch (err) {
+    res.status(err.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      data: null,
+      errors: [err.message]
+    });
+  }
+};
+
+exports.deleteTaxRule = async (req, res) => {
+  try {
+    const taxRule = await TaxRule.findByIdAndDelete(req.params.id);
+
+    if (!taxRule) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        errors: ['Tax rule not found']
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { message: 'Tax rule deleted successfully' },
+      errors: []
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      data: null,
+      errors: [err.message]
+    });
+  }
+};
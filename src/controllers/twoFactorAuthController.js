@@ -3,6 +3,14 @@ const { User } = require('../models/User');
 
 exports.verify2FA = async (req, res) => {
   try {
+    if (req.user._id.toString() !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        errors: ['You can only verify 2FA for your own account'],
+        data: null
+      });
+    }
+
     const { code } = req.body; // Changed from token to code
     const user = await User.findById(req.params.id);
 
@@ -14,8 +22,16 @@ exports.verify2FA = async (req, res) => {
       });
     }
 
+    if (!user.securitySettings?.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        errors: ['Start 2FA setup before verifying a code'],
+        data: null
+      });
+    }
+
     const isValid = TwoFactorAuthService.verifyToken(
-      code,
+      String(code || ''),
       user.securitySettings.twoFactorSecret
     );
 
@@ -44,4 +60,95 @@ exports.verify2FA = async (req, res) => {
       data: null
     });
   }
-};
\ No newline at end of file
+};
+
+// Start 2FA setup: a new secret to scan into an authenticator app, confirmed with verify2FA
+exports.setup2FA = async (req, res) => {
+  try {
+    if (req.user._id.toString() !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        errors: ['You can only set up 2FA for your own account'],
+        data: null
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        errors: ['User not found'],
+        data: null
+      });
+    }
+
+    // Replacing the secret of an enabled setup would lock the user out of their app
+    if (user.securitySettings.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        errors: ['2FA is already enabled'],
+        data: null
+      });
+    }
+
+    const secret = TwoFactorAuthService.generateSecret(user.username);
+    user.securitySettings.twoFactorSecret = secret.base32;
+    await user.save();
+
+    res.json({
+      success: true,
+      errors: [],
+      data: {
+        secret: secret.base32,
+        qrCode: await TwoFactorAuthService.generateQRCode(secret.otpauth_url),
+        otpAuthUrl: secret.otpauth_url
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      errors: [error.message],
+      data: null
+    });
+  }
+};
+
+// Admin reset for a user who lost their authenticator app; they set 2FA up again afterwards
+exports.reset2FA = async (req, res) => {
+  try {
+    if (req.user._id.toString() === req.params.id) {
+      return res.status(403).json({
+        success: false,
+        errors: ['Another admin has to reset your 2FA'],
+        data: null
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        errors: ['User not found'],
+        data: null
+      });
+    }
+
+    user.securitySettings.twoFactorEnabled = false;
+    user.securitySettings.twoFactorSecret = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      errors: [],
+      data: {
+        message: '2FA reset; the user has to set it up again'
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      errors: [error.message],
+      data: null
+    });
+  }
+};
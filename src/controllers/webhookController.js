@@ -1,182 +1,53 @@
+const { isValidObjectId } = require('mongoose');
 const Order = require('../models/Order');
-const notificationService = require('../services/notificationService');
-const { User } = require('../models/User');
-const crypto = require('crypto');
-const PaymentService = require('../services/paymentService');
+const paymentService = require('../services/paymentService');
+const paymentConfirmationService = require('../services/paymentConfirmationService');
+const webhookEventService = require('../services/webhookEventService');
+const orderStateService = require('../services/orderStateService');
+
+const sendError = (res, err) => res.status(err.status || 500).json({
+    success: false,
+    data: null,
+    errors: err.errors || [err.message]
+});
 
 /**
- * Handle ZenoPay payment webhook callbacks
- * This endpoint receives payment status updates from ZenoPay SDK
+ * Handle payment webhooks from any registered provider. The provider comes
+ * from the URL (/webhooks/:provider); the legacy ZenoPay callback URL has
+ * none. Every delivery is stored as a WebhookEvent before it is processed.
  */
-exports.handleZenopayCallback = async (req, res) => {
+exports.handleProviderWebhook = async (req, res) => {
+    let provider;
     try {
-        console.log('🔔 WEBHOOK RECEIVED');
-        console.log('📋 HEADERS:', JSON.stringify(req.headers, null, 2));
-        console.log('📋 RAW HEADERS:', req.rawHeaders);
-        console.log('📦 BODY:', JSON.stringify(req.body, null, 2));
-
-        const apiKey = req.headers['x-api-key'];
-
-        // Check if API key is present
-        if (apiKey) {
-            // Great! ZenoPay finally sent it
-            if (apiKey !== process.env.ZENOPAY_API_KEY) {
-                console.error('🚫 Invalid API key');
-                return res.status(401).json({ error: 'Unauthorized' });
-            }
-            console.log('✅ API key verified');
-        } else {
-            // No API key - fall back to API verification
-            console.warn('⚠️ No x-api-key header received (SDK issue?)');
-            console.warn('⚠️ Will verify with ZenoPay API instead');
-        }
-
-        const { order_id, payment_status, reference } = req.body;
-
-        if (!order_id) {
-            return res.status(400).json({ message: 'Missing order_id' });
-        }
-
-        // ✅ FIXED: Properly populate shop owner
-        const order = await Order.findOne({
-            'paymentDetails.transactionId': order_id
-        })
-        .populate('user', 'username email expoPushToken')
-        .populate({
-            path: 'shop',
-            populate: {
-                path: 'owner',
-                select: 'username email expoPushToken'
-            }
-        });
-
-        if (!order) {
-            return res.status(200).json({
-                status: 'received',
-                message: 'Order not found'
-            });
-        }
-
-        // ✅ ALWAYS verify with API (regardless of header presence)
-        console.log('🔍 Verifying with ZenoPay API...');
-        const verifyResult = await PaymentService.checkPaymentStatus(order_id);
-        const actualStatus = verifyResult.message?.payment_status;
+        provider = paymentService.getProvider(req.params.provider || 'zenopay', 404);
+    } catch (error) {
+        return res.status(error.status).json({ error: error.message });
+    }
 
-        if (actualStatus !== 'COMPLETED') {
-            console.warn(`⚠️ Payment not completed. Status: ${actualStatus}`);
-            return res.status(200).json({
-                status: 'received',
-                message: 'Payment not completed'
-            });
-        }
+    try {
+        const record = await webhookEventService.receive(provider.name, req);
+        console.log(`🔔 ${provider.name} webhook ${record._id}: ${record.status}`);
 
-        // Prevent duplicate processing
-        if (order.paymentStatus === 'completed') {
-            return res.status(200).json({
-                status: 'received',
-                message: 'Already processed'
-            });
+        if (record.status === 'rejected') {
+            return res.status(401).json({ error: 'Unauthorized' });
         }
 
-        console.log('✅ Payment verified - updating order');
-
-        // Update order
-        order.paymentStatus = 'completed';
-        order.status = 'pending';
-        order.paymentDetails.status = 'completed';
-        order.paymentDetails.reference = reference;
-        order.paymentDetails.completedAt = new Date();
-        await order.save();
-
-        console.log(`✅ Order ${order.orderNumber} completed`);
-        
-        try {
-            // ✅ FIXED: Get shop owner from shop.owner
-            let buyer = order.user;
-            let shopOwner = order.shop?.owner;
-
-            // Re-fetch if not fully populated
-            if (!buyer?.username || !buyer?.expoPushToken) {
-                buyer = await User.findById(order.user)
-                    .select('username email expoPushToken');
-            }
-            
-            if (!shopOwner?.username || !shopOwner?.expoPushToken) {
-                // Get shop owner ID from the shop
-                const shopOwnerId = order.shop?.owner?._id || order.shop?.owner;
-                if (shopOwnerId) {
-                    shopOwner = await User.findById(shopOwnerId)
-                        .select('username email expoPushToken');
-                }
-            }
-
-            const notifications = [];
-            const notificationMessages = {
-                buyer: `Payment confirmed for order #${order.orderNumber}! Your order is being processed.`,
-                shop: `Payment received for order #${order.orderNumber}. Please prepare the items for shipping.`
-            };
-
-            if (buyer) {
-                notifications.push(
-                    notificationService.createPersistentNotification(
-                        buyer._id,
-                        notificationMessages.buyer,
-                        order._id
-                    )
-                );
-
-                if (buyer.expoPushToken) {
-                    console.log('📱 Sending push to buyer:', buyer.username);
-                    notifications.push(
-                        notificationService.sendPushNotification(
-                            buyer.expoPushToken,
-                            notificationMessages.buyer
-                        )
-                    );
-                }
-            }
-
-            if (shopOwner) {
-                notifications.push(
-                    notificationService.createPersistentNotification(
-                        shopOwner._id,
-                        notificationMessages.shop,
-                        order._id
-                    )
-                );
-
-                if (shopOwner.expoPushToken) {
-                    console.log('📱 Sending push to shop owner:', shopOwner.username);
-                    notifications.push(
-                        notificationService.sendPushNotification(
-                            shopOwner.expoPushToken,
-                            notificationMessages.shop
-                        )
-                    );
-                } else {
-                    console.warn('⚠️ Shop owner has no expoPushToken');
-                }
-            } else {
-                console.warn('⚠️ Shop owner not found');
-            }
-
-            await Promise.allSettled(notifications);
-            console.log('✅ Notifications sent');
-        } catch (notifError) {
-            console.error('Error sending notifications:', notifError);
+        // Let the provider retry; its redelivery is another attempt at this event
+        if (record.status === 'failed') {
+            return res.status(500).json({ error: 'Processing failed' });
         }
 
-        res.status(200).json({ status: 'received' });
+        provider.acknowledge(res);
 
     } catch (error) {
         console.error('❌ Error:', error);
-        res.status(200).json({ status: 'received', error: error.message });
+        res.status(500).json({ error: 'Processing failed' });
     }
 };
 
 /**
  * Optional: Manual order status check endpoint
- * Use this to manually verify payment status with ZenoPay
+ * Use this to manually verify payment status with the payment provider
  */
 exports.checkPaymentStatus = async (req, res) => {
     try {
@@ -197,26 +68,24 @@ exports.checkPaymentStatus = async (req, res) => {
             });
         }
 
-        // Call ZenoPay API to check status
-        const paymentService = require('../services/paymentService');
+        // Ask the provider that took the payment
         const statusResult = await paymentService.checkPaymentStatus(
-            order.paymentDetails.transactionId
+            order.paymentDetails.transactionId,
+            order.paymentDetails.provider
         );
 
         console.log('Payment status check result:', statusResult);
 
         // Update order if status has changed
-        if (statusResult.success) {
-            const paymentStatus = statusResult.message?.status?.toUpperCase();
-
-            if (paymentStatus === 'COMPLETED' || paymentStatus === 'SUCCESS') {
-                order.paymentStatus = 'completed';
-                order.status = 'pending';
-                order.paymentDetails.status = 'completed';
-                order.paymentDetails.completedAt = new Date();
-                await order.save();
-
-                console.log(`✅ Order ${order.orderNumber} updated to completed`);
+        if (statusResult.status === 'completed') {
+            const confirmedOrders = await paymentConfirmationService.confirm(
+                order.paymentDetails.transactionId,
+                { actor: orderStateService.actors.system('payment-status-check') }
+            );
+            const updatedOrder = confirmedOrders.find(confirmed => confirmed._id.equals(order._id));
+            if (updatedOrder) {
+                order.paymentStatus = updatedOrder.paymentStatus;
+                order.status = updatedOrder.status;
             }
         }
 
@@ -227,7 +96,8 @@ exports.checkPaymentStatus = async (req, res) => {
                 orderNumber: order.orderNumber,
                 paymentStatus: order.paymentStatus,
                 orderStatus: order.status,
-                zenopayStatus: statusResult
+                provider: order.paymentDetails.provider || 'zenopay',
+                providerStatus: statusResult
             }
         });
 
@@ -250,4 +120,67 @@ exports.testWebhook = (req, res) => {
         message: 'Webhook endpoint is accessible',
         timestamp: new Date().toISOString()
     });
-};
\ No newline at end of file
+};
+
+exports.getWebhookEvents = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const { events, total } = await webhookEventService.list({
+            provider: req.query.provider,
+            status: req.query.status,
+            transactionId: req.query.transactionId,
+            page,
+            limit
+        });
+
+        res.json({
+            success: true,
+            data: {
+                events,
+                pagination: {
+                    current: page,
+                    total: Math.ceil(total / limit),
+                    totalRecords: total
+                }
+            },
+            errors: []
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+exports.getWebhookEventById = async (req, res) => {
+    try {
+        if (!isValidObjectId(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                data: null,
+                errors: ['Invalid webhook event ID format']
+            });
+        }
+
+        const event = await webhookEventService.get(req.params.id);
+        res.json({ success: true, data: event, errors: [] });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+exports.replayWebhookEvent = async (req, res) => {
+    try {
+        if (!isValidObjectId(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                data: null,
+                errors: ['Invalid webhook event ID format']
+            });
+        }
+
+        const event = await webhookEventService.replay(req.params.id, req.user._id);
+        res.json({ success: true, data: event, errors: [] });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
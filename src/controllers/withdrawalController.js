@@ -1,28 +1,29 @@
+const mongoose = require('mongoose');
 const WithdrawalRequest = require('../models/WithdrawalRequest');
 const Shop = require('../models/Shop');
+const LedgerEntry = require('../models/LedgerEntry');
+const ledgerService = require('../services/ledgerService');
+const payoutService = require('../services/payoutService');
+const withdrawalPolicyService = require('../services/withdrawalPolicyService');
+const payoutAccountService = require('../services/payoutAccountService');
+const AppError = require('../utils/AppError');
 
 exports.requestWithdrawal = async (req, res) => {
     try {
-        const { amount, paymentDetails } = req.body;
+        const { payoutAccountId, twoFactorCode } = req.body;
+        const amount = ['number', 'string'].includes(typeof req.body.amount) ? Number(req.body.amount) : NaN;
         const userId = req.user._id;
 
         // Validate input
-        if (!amount || amount <= 0) {
+        if (!Number.isFinite(amount) || amount <= 0) {
             return res.status(400).json({
                 success: false,
                 errors: ['Invalid amount']
             });
         }
 
-        if (!paymentDetails || !paymentDetails.type || !paymentDetails.details) {
-            return res.status(400).json({
-                success: false,
-                errors: ['Invalid payment details']
-            });
-        }
-
         // Find Shop owned by user
-        const shop = await Shop.findOne({ owner: userId });
+        const shop = await Shop.findOne({ owner: userId }).select('+payoutAccounts');
         if (!shop) {
             return res.status(404).json({
                 success: false,
@@ -30,45 +31,72 @@ exports.requestWithdrawal = async (req, res) => {
             });
         }
 
-        // Validate balance
-        // Ensure wallet exists (backward compatibility)
-        if (!shop.wallet) {
-            shop.wallet = { currentBalance: 0, lockedBalance: 0 };
-        }
-
-        if (shop.wallet.currentBalance < amount) {
-            return res.status(400).json({
-                success: false,
-                errors: ['Insufficient funds']
+        // Paid to a saved account, the default one unless payoutAccountId is given
+        const { payoutAccount, paymentDetails } = payoutAccountService.resolveForWithdrawal(shop, payoutAccountId);
+
+        // The limits are checked and the request saved under a lock on the
+        // shop, and the balance check and the lock are one conditional write,
+        // so concurrent requests can't pass the same caps, overdraw the wallet
+        // or dip into held revenue
+        let withdrawal;
+        let held;
+        let entry;
+        try {
+            await mongoose.connection.transaction(async (session) => {
+                const lockedShop = await withdrawalPolicyService.lockShop(shop._id, session);
+
+                // Limits, holding period and 2FA
+                const policy = await withdrawalPolicyService.check({
+                    shop: lockedShop,
+                    user: req.user,
+                    amount,
+                    twoFactorCode,
+                    session
+                });
+                held = policy.held;
+
+                withdrawal = new WithdrawalRequest({
+                    shop: shop._id,
+                    user: userId,
+                    amount,
+                    payoutAccount,
+                    paymentDetails,
+                    status: 'pending',
+                    review: {
+                        flagged: policy.flags.length > 0,
+                        reasons: policy.flags
+                    }
+                });
+                await withdrawal.save({ session });
+                entry = await ledgerService.lockWithdrawal(withdrawal, session, held);
             });
+        } catch (error) {
+            if (error.status === 409) {
+                return res.status(400).json({
+                    success: false,
+                    errors: ['Insufficient funds']
+                });
+            }
+            throw error;
         }
 
-        // Atomic transaction simulation (without actual mongo transactions for simplicity unless needed, but risk of race condition exists. Ideally use session transaction)
-        // Decrement currentBalance, Increment lockedBalance
-        shop.wallet.currentBalance -= amount;
-        shop.wallet.lockedBalance += amount;
-        await shop.save();
-
-        // Create Request
-        const withdrawal = new WithdrawalRequest({
-            shop: shop._id,
-            user: userId,
-            amount,
-            paymentDetails,
-            status: 'pending'
-        });
-
-        await withdrawal.save();
-
         res.status(201).json({
             success: true,
             data: {
                 withdrawal,
-                wallet: shop.wallet
+                wallet: {
+                    currentBalance: entry.balances.available,
+                    lockedBalance: entry.balances.locked,
+                    heldBalance: held,
+                    currency: entry.currency
+                }
             }
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, errors: error.errors });
+        }
         console.error('Withdrawal Request Error:', error);
         res.status(500).json({
             success: false,
@@ -79,7 +107,7 @@ exports.requestWithdrawal = async (req, res) => {
 
 exports.getWithdrawals = async (req, res) => {
     try {
-        const { status, page = 1, limit = 10 } = req.query;
+        const { status, flagged, page = 1, limit = 10 } = req.query;
         const skip = (page - 1) * limit;
 
         let query = {};
@@ -88,6 +116,8 @@ exports.getWithdrawals = async (req, res) => {
         // If Seller, can only see own shop's requests
         if (req.user.userType === 'ADMIN') {
             if (status) query.status = status;
+            // Requests waiting on a review
+            if (flagged !== undefined) query['review.flagged'] = flagged === 'true';
         } else {
             const shop = await Shop.findOne({ owner: req.user._id });
             if (!shop) {
@@ -151,38 +181,61 @@ exports.updateWithdrawalStatus = async (req, res) => {
             return res.status(404).json({ success: false, errors: ['Associated shop not found'] });
         }
 
-        if (status === 'approved') {
-            // Funds already locked. Burn them (remove from lockedBalance).
-            shop.wallet.lockedBalance -= withdrawal.amount;
-            withdrawal.status = 'approved';
-            withdrawal.processedBy = adminId;
-            withdrawal.processedAt = new Date();
-            withdrawal.adminNote = adminNote;
+        // An admin who is also a seller can't sign off their own payout or clear their own flags
+        if (status === 'approved' && (withdrawal.user.equals(adminId) || shop.owner.equals(adminId))) {
+            return res.status(403).json({
+                success: false,
+                errors: ['Another admin has to approve your own withdrawal']
+            });
+        }
 
-            await Promise.all([shop.save(), withdrawal.save()]);
+        const update = { status, processedBy: adminId, processedAt: new Date(), adminNote };
+        if (withdrawal.review?.flagged && status === 'approved') {
+            if (!adminNote || !adminNote.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    errors: [`This request was flagged for review (${withdrawal.review.reasons.join('; ')}); add an adminNote to approve it`]
+                });
+            }
+            update['review.clearedBy'] = adminId;
+            update['review.clearedAt'] = new Date();
+        }
 
-        } else if (status === 'rejected') {
-            // Refund the locked amount back to currentBalance
-            shop.wallet.lockedBalance -= withdrawal.amount;
-            shop.wallet.currentBalance += withdrawal.amount;
+        let result;
+        await mongoose.connection.transaction(async (session) => {
+            // Claim the request so a second admin can't process it as well
+            result = await WithdrawalRequest.findOneAndUpdate(
+                { _id: withdrawal._id, status: 'pending' },
+                { $set: update },
+                { new: true, session }
+            );
+            if (!result) {
+                throw new AppError('Request is already processed');
+            }
 
-            withdrawal.status = 'rejected';
-            withdrawal.processedBy = adminId;
-            withdrawal.processedAt = new Date();
-            withdrawal.adminNote = adminNote;
+            if (status === 'rejected') {
+                // Return the locked amount to the available balance
+                await ledgerService.releaseWithdrawal(withdrawal, 'Withdrawal rejected', session);
+            }
+        });
 
-            await Promise.all([shop.save(), withdrawal.save()]);
+        // The funds stay locked until the payout provider reports the transfer
+        if (status === 'approved') {
+            result = await payoutService.start(withdrawal._id) || await WithdrawalRequest.findById(withdrawal._id);
         }
 
         res.json({
             success: true,
             data: {
-                withdrawal,
-                message: `Withdrawal ${status}`
+                withdrawal: result,
+                message: `Withdrawal ${result.status}`
             }
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, errors: error.errors });
+        }
         console.error('Update Withdrawal Status Error:', error);
         res.status(500).json({
             success: false,
@@ -206,11 +259,12 @@ exports.getWalletBalance = async (req, res) => {
             });
         }
 
-        // Return the wallet data
+        // Return the wallet data, with what can be withdrawn right now
         res.status(200).json({
             success: true,
             data: {
-                wallet: shop.wallet
+                wallet: shop.wallet,
+                withdrawal: await withdrawalPolicyService.getAvailability(shop)
             }
         });
 
@@ -222,3 +276,149 @@ exports.getWalletBalance = async (req, res) => {
         });
     }
 };
+
+// Seller: own shop's ledger. Admin: any shop's, given ?shop=
+exports.getLedger = async (req, res) => {
+    try {
+        const { type, startDate, endDate } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        let shopId;
+        if (req.user.userType === 'ADMIN') {
+            if (!mongoose.isValidObjectId(req.query.shop)) {
+                return res.status(400).json({ success: false, errors: ['A valid shop ID is required'] });
+            }
+            shopId = req.query.shop;
+        } else {
+            const shop = await Shop.findOne({ owner: req.user._id }).select('_id');
+            if (!shop) {
+                return res.status(404).json({ success: false, errors: ['Shop not found'] });
+            }
+            shopId = shop._id;
+        }
+
+        if (type && !LedgerEntry.TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                errors: [`type must be one of: ${LedgerEntry.TYPES.join(', ')}`]
+            });
+        }
+
+        const { entries, total } = await ledgerService.getStatement(shopId, {
+            type,
+            startDate,
+            endDate,
+            page,
+            limit
+        });
+
+        res.json({
+            success: true,
+            data: {
+                entries,
+                pagination: {
+                    current: page,
+                    total: Math.ceil(total / limit),
+                    totalRecords: total
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get Ledger Error:', error);
+        res.status(500).json({
+            success: false,
+            errors: ['Server error fetching ledger']
+        });
+    }
+};
+
+exports.getLedgerReconciliation = async (req, res) => {
+    try {
+        if (req.query.shop && !mongoose.isValidObjectId(req.query.shop)) {
+            return res.status(400).json({ success: false, errors: ['Invalid shop ID format'] });
+        }
+
+        const shops = await ledgerService.reconcile({
+            shopId: req.query.shop,
+            mismatchedOnly: req.query.mismatchedOnly === 'true'
+        });
+
+        res.json({
+            success: true,
+            data: {
+                shops,
+                mismatched: shops.filter(row => !row.balanced).length
+            }
+        });
+
+    } catch (error) {
+        console.error('Ledger Reconciliation Error:', error);
+        res.status(500).json({
+            success: false,
+            errors: ['Server error reconciling wallets']
+        });
+    }
+};
+
+exports.resolveLedgerMismatch = async (req, res) => {
+    try {
+        const { shopId } = req.params;
+        if (!mongoose.isValidObjectId(shopId)) {
+            return res.status(400).json({ success: false, errors: ['Invalid shop ID format'] });
+        }
+
+        const result = await ledgerService.resolve(shopId, {
+            source: req.body.source,
+            note: req.body.note,
+            userId: req.user._id
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, errors: error.errors });
+        }
+        console.error('Resolve Ledger Mismatch Error:', error);
+        res.status(500).json({
+            success: false,
+            errors: ['Server error reconciling wallet']
+        });
+    }
+};
+
+// Admin: ask the payout provider about a processing withdrawal now
+exports.syncPayout = async (req, res) => {
+    try {
+        const withdrawal = await WithdrawalRequest.findById(req.params.id);
+        if (!withdrawal) {
+            return res.status(404).json({ success: false, errors: ['Withdrawal request not found'] });
+        }
+
+        if (withdrawal.status !== 'processing') {
+            return res.status(400).json({ success: false, errors: ['Withdrawal is not being paid out'] });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                withdrawal: await payoutService.sync(withdrawal)
+            }
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, errors: error.errors });
+        }
+        console.error('Sync Payout Error:', error);
+        res.status(500).json({
+            success: false,
+            errors: ['Server error checking payout']
+        });
+    }
+};
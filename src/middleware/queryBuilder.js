@@ -1,28 +1,174 @@
+const { isValidObjectId } = require('mongoose');
+const Shop = require('../models/Shop');
+const { escapeRegex } = require('../services/search/textAnalyzer');
+
 const buildSearchQuery = (searchTerm, fields) => {
     if (!searchTerm) return {};
-  
+
     const searchRegex = new RegExp(searchTerm, 'i');
     return {
       $or: fields.map(field => ({ [field]: searchRegex }))
     };
   };
-  
-  const buildFilterQuery = (filters) => {
-    const query = {};
-    
-    Object.entries(filters).forEach(([key, value]) => {
-      if (value !== undefined && value !== null && value !== '') {
-        if (key === 'minPrice') {
-          query.price = { ...query.price, $gte: Number(value) };
-        } else if (key === 'maxPrice') {
-          query.price = { ...query.price, $lte: Number(value) };
-        } else {
-          query[key] = value;
-        }
-      }
+
+// Named product sorts; ties fall back to the newest product
+const PRODUCT_SORTS = {
+  newest: { createdAt: -1 },
+  popular: { orderCount: -1, 'views.total': -1, createdAt: -1 },
+  'best-rated': { 'ratings.average': -1, 'ratings.count': -1, createdAt: -1 }
+};
+
+// Fields a listing can also be sorted by in either order
+const SORTABLE_FIELDS = ['createdAt', 'price', 'name'];
+
+const parseBoolean = (value, name, errors) => {
+  if (value === undefined || value === '') return undefined;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  errors.push(`${name} must be true or false`);
+  return undefined;
+};
+
+const parseNumber = (value, name, errors, { min = 0, max = Infinity } = {}) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (typeof value !== 'string' || !Number.isFinite(number) || number < min || number > max) {
+    errors.push(max === Infinity ? `${name} must be a number of ${min} or more` : `${name} must be a number from ${min} to ${max}`);
+    return undefined;
+  }
+  return number;
+};
+
+/**
+ * Product filters every listing accepts: minPrice, maxPrice, inStock,
+ * minRating, shop, and the shop's city and verification. Nothing else from
+ * the query string reaches the database. Resolves to { filter, errors }.
+ */
+const buildProductFilter = async (query) => {
+  const errors = [];
+  const filter = {};
+
+  const minPrice = parseNumber(query.minPrice, 'minPrice', errors);
+  const maxPrice = parseNumber(query.maxPrice, 'maxPrice', errors);
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filter.price = {};
+    if (minPrice !== undefined) filter.price.$gte = minPrice;
+    if (maxPrice !== undefined) filter.price.$lte = maxPrice;
+  }
+
+  if (parseBoolean(query.inStock, 'inStock', errors)) {
+    filter.stock = { $gt: 0 };
+  }
+
+  const minRating = parseNumber(query.minRating, 'minRating', errors, { max: 5 });
+  if (minRating !== undefined) {
+    filter['ratings.average'] = { $gte: minRating };
+  }
+
+  const shopConditions = [];
+  if (query.shop !== undefined && query.shop !== '') {
+    if (isValidObjectId(query.shop)) {
+      shopConditions.push({ $in: [query.shop] });
+    } else {
+      errors.push('Invalid shop ID');
+    }
+  }
+
+  // City and verification belong to the shop, so they become a list of shops
+  const shopFilter = {};
+  if (typeof query.city === 'string' && query.city.trim()) {
+    shopFilter['address.city'] = { $regex: `^${escapeRegex(query.city.trim())}$`, $options: 'i' };
+  } else if (query.city !== undefined && query.city !== '') {
+    errors.push('city must be a single city name');
+  }
+  if (parseBoolean(query.verified, 'verified', errors)) {
+    shopFilter['verificationStatus.isVerified'] = true;
+  }
+
+  if (errors.length > 0) {
+    return { filter, errors };
+  }
+
+  if (Object.keys(shopFilter).length > 0) {
+    shopConditions.push({ $in: await Shop.find(shopFilter).distinct('_id') });
+  }
+  if (shopConditions.length === 1) {
+    filter.shop = shopConditions[0];
+  } else if (shopConditions.length > 1) {
+    filter.$and = shopConditions.map(condition => ({ shop: condition }));
+  }
+
+  return { filter, errors };
+};
+
+/**
+ * Sort from sortBy: one of the named sorts (newest, popular, best-rated) or
+ * a sortable field with order=asc|desc. Defaults to newest. Returns
+ * { sort, errors }.
+ */
+const buildProductSort = ({ sortBy, order } = {}) => {
+  const errors = [];
+  let sort = PRODUCT_SORTS.newest;
+
+  if (sortBy !== undefined && sortBy !== '') {
+    if (PRODUCT_SORTS[sortBy]) {
+      sort = PRODUCT_SORTS[sortBy];
+    } else if (SORTABLE_FIELDS.includes(sortBy)) {
+      sort = { [sortBy]: order === 'asc' ? 1 : -1 };
+    } else {
+      errors.push(`sortBy must be one of: ${[...Object.keys(PRODUCT_SORTS), ...SORTABLE_FIELDS].join(', ')}`);
+    }
+  }
+
+  // A unique last key keeps pages from overlapping when values tie
+  return { sort: { ...sort, _id: Object.values(sort)[0] }, errors };
+};
+
+/**
+ * Parses the shared listing filters and sort into req.listing = { filter,
+ * sort }, or answers 400 listing every invalid parameter.
+ */
+const productListing = async (req, res, next) => {
+  try {
+    const filterResult = await buildProductFilter(req.query);
+    const sortResult = buildProductSort(req.query);
+    const errors = [...filterResult.errors, ...sortResult.errors];
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors,
+        data: null
+      });
+    }
+
+    req.listing = { filter: filterResult.filter, sort: sortResult.sort };
+    next();
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      errors: [err.message],
+      data: null
     });
-  
-    return query;
-  };
-  
-  module.exports = { buildSearchQuery, buildFilterQuery };
\ No newline at end of file
+  }
+};
+
+/**
+ * Combine a listing's own conditions (its category, its shop) with the
+ * shared filters. A field set on both must satisfy both, so a shop's
+ * listing can't be widened to another shop with ?shop=.
+ */
+const mergeFilters = (base, listingFilter = {}) => {
+  const merged = { ...base };
+  for (const [key, condition] of Object.entries(listingFilter)) {
+    if (key === '$and') {
+      merged.$and = [...(merged.$and || []), ...condition];
+    } else if (key in merged) {
+      merged.$and = [...(merged.$and || []), { [key]: condition }];
+    } else {
+      merged[key] = condition;
+    }
+  }
+  return merged;
+};
+
+module.exports = { buildSearchQuery, buildProductFilter, buildProductSort, productListing, mergeFilters };
@@ -56,6 +56,12 @@ const CategorySchema = new mongoose.Schema({
       default: 0
     }
   },
+  // Commission percentage for products in this category and its subcategories
+  commissionRate: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
   attributes: [{
     name: String,
     type: {
@@ -90,6 +96,21 @@ CategorySchema.pre('save', function(next) {
   next();
 });
 
+// Ids of a category followed by its ancestors, nearest first
+CategorySchema.statics.getLineage = async function(categoryId) {
+  const lineage = [];
+  let current = categoryId ? await this.findById(categoryId).select('parentCategory') : null;
+
+  while (current && !lineage.some(id => id.equals(current._id))) {
+    lineage.push(current._id);
+    current = current.parentCategory
+      ? await this.findById(current.parentCategory).select('parentCategory')
+      : null;
+  }
+
+  return lineage;
+};
+
 CategorySchema.set('toJSON', {
   transform: (doc, ret) => {
     delete ret.__v;
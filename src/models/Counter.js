@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Named sequences (e.g. one per shop for invoice numbers)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Atomically take the next value of a sequence, creating it on first use
+counterSchema.statics.next = async function(key, session) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const COUPON_SCOPES = ['platform', 'shop', 'category', 'product'];
+
+// A promotion code. Platform coupons are created by admins; seller coupons
+// always carry the seller's shop and only discount that shop's items.
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Upper bound for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  scope: {
+    type: String,
+    enum: COUPON_SCOPES,
+    default: 'platform'
+  },
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    default: null
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null
+  },
+  // Measured against the items the coupon applies to, not the whole cart
+  minSpend: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  usageLimit: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage discounts cannot exceed 100');
+  }
+  if (this.scope === 'shop' && !this.shop) {
+    this.invalidate('shop', 'Shop coupons need a shop');
+  }
+  if (this.scope === 'category' && !this.category) {
+    this.invalidate('category', 'Category coupons need a category');
+  }
+  if (this.scope === 'product' && !this.product) {
+    this.invalidate('product', 'Product coupons need a product');
+  }
+  if (this.startsAt && this.expiresAt && this.expiresAt <= this.startsAt) {
+    this.invalidate('expiresAt', 'Coupon must expire after it starts');
+  }
+  next();
+});
+
+couponSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+couponSchema.statics.SCOPES = COUPON_SCOPES;
+
+module.exports = mongoose.model('Coupon', couponSchema);
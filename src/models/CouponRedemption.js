@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon by a buyer; a multi-shop checkout is a single use
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  checkoutReference: String,
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  discount: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+
+couponRedemptionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+const TYPES = [
+  'order_credit',
+  'commission',
+  'refund',
+  'withdrawal_lock',
+  'withdrawal_release',
+  'payout',
+  'adjustment'
+];
+
+// shop_available and shop_locked are the shop's wallet balances; the rest are platform accounts
+const ACCOUNTS = [
+  'shop_available',
+  'shop_locked',
+  'payments_clearing',
+  'platform_revenue',
+  'payouts_clearing',
+  'adjustments'
+];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const ledgerLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: ACCOUNTS,
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+/**
+ * One balanced double-entry posting that involves a shop's wallet. Entries
+ * are never edited; mistakes are corrected with an adjustment entry.
+ */
+const ledgerEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: TYPES,
+    required: true
+  },
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  withdrawal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WithdrawalRequest'
+  },
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest'
+  },
+  currency: {
+    type: String,
+    default: 'TZS'
+  },
+  description: String,
+  lines: {
+    type: [ledgerLineSchema],
+    validate: {
+      validator: (lines) => lines.length >= 2,
+      message: 'A ledger entry needs at least two lines'
+    }
+  },
+  // The shop's wallet right after this entry was posted
+  balances: {
+    available: Number,
+    locked: Number
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+ledgerEntrySchema.index({ shop: 1, createdAt: -1 });
+ledgerEntrySchema.index({ order: 1 });
+ledgerEntrySchema.index({ withdrawal: 1 });
+
+ledgerEntrySchema.pre('validate', function(next) {
+  const debits = roundAmount(this.lines.reduce((sum, line) => sum + line.debit, 0));
+  const credits = roundAmount(this.lines.reduce((sum, line) => sum + line.credit, 0));
+
+  if (debits !== credits) {
+    this.invalidate('lines', `Debits (${debits}) and credits (${credits}) must balance`);
+  }
+  if (this.lines.some(line => (line.debit > 0) === (line.credit > 0))) {
+    this.invalidate('lines', 'Each line needs either a debit or a credit');
+  }
+  next();
+});
+
+ledgerEntrySchema.statics.TYPES = TYPES;
+ledgerEntrySchema.statics.ACCOUNTS = ACCOUNTS;
+
+ledgerEntrySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -1,10 +1,21 @@
 const mongoose = require('mongoose');
+const orderNumberService = require('../services/orderNumberService');
+
+const ORDER_STATUSES = [
+  'pending_payment', 'pending', 'processing', 'shipped', 'delivered', 'cancelled',
+  'return_requested', 'return_approved', 'returned', 'refunded'
+];
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
     unique: true
   },
+  // Shared by every order created from the same multi-shop checkout
+  checkoutReference: {
+    type: String,
+    index: true
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -30,13 +41,55 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
-    name: String
+    name: String,
+    // The variant bought, for products that have them
+    variant: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    options: {
+      type: Map,
+      of: String
+    }
   }],
   amounts: {
     subtotal: Number,
     tax: Number,
     shipping: Number,
-    total: Number
+    discount: {
+      type: Number,
+      default: 0
+    },
+    total: Number,
+    // Quote breakdown, stored exactly as it was shown to the buyer
+    taxLines: [{
+      _id: false,
+      rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TaxRule'
+      },
+      name: String,
+      rate: Number,
+      inclusive: Boolean,
+      taxableAmount: Number,
+      amount: Number
+    }],
+    shippingDetails: {
+      rate: String,
+      weightKg: Number,
+      fee: Number,
+      freeShippingApplied: Boolean
+    },
+    // The coupon behind `discount`, if any
+    discountDetails: {
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon'
+      },
+      code: String,
+      type: {
+        type: String
+      },
+      value: Number
+    }
   },
   shippingAddress: {
     street: String,
@@ -48,12 +101,12 @@ const orderSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['credit_card', 'debit_card', 'mobile_money'],
+    enum: ['credit_card', 'debit_card', 'mobile_money', 'cash_on_delivery'],
     required: true
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'cancelled'],
+    enum: ['pending', 'completed', 'failed', 'cancelled', 'refunded'],
     default: 'pending'
   },
   paymentDetails: {
@@ -73,24 +126,114 @@ const orderSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending_payment', 'pending', 'processing', 'shipped', 'delivered', 'cancelled'],
+    enum: ORDER_STATUSES,
     default: 'pending_payment'
   },
+  deliveredAt: Date,
+  // Platform's cut, worked out when delivery is confirmed
+  commission: {
+    rate: Number,
+    amount: Number
+  },
+  // Cash handed to the seller or rider at the door
+  cashOnDelivery: {
+    collectedAmount: Number,
+    collectedAt: Date,
+    collectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Payment that arrived after the order was cancelled and has to go back
+  // to the buyer; status 'manual' until an admin pays it back by hand
+  refund: {
+    status: {
+      type: String,
+      enum: ['completed', 'pending', 'manual']
+    },
+    amount: Number,
+    provider: String,
+    reference: String,
+    reason: String,
+    requestedAt: Date
+  },
+  shipment: {
+    carrier: String,
+    rider: {
+      name: String,
+      phone: String
+    },
+    trackingNumber: String,
+    estimatedDeliveryAt: Date,
+    shippedAt: Date,
+    // Given to the buyer, who hands it to the courier on delivery
+    deliveryCode: {
+      type: String,
+      select: false
+    },
+    deliveryCodeAttempts: {
+      type: Number,
+      default: 0
+    },
+    events: [{
+      status: String,
+      description: String,
+      location: String,
+      timestamp: {
+        type: Date,
+        default: Date.now
+      },
+      addedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }],
+    confirmedAt: Date,
+    confirmedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    confirmationMethod: {
+      type: String,
+      enum: ['buyer', 'code', 'auto']
+    }
+  },
+  // Numbered per shop when the first invoice is issued
+  invoice: {
+    number: String,
+    sequence: Number,
+    issuedAt: Date
+  },
+  // Stock held for this order; unpaid reservations expire at `expiresAt`
+  reservation: {
+    expiresAt: Date,
+    releasedAt: {
+      type: Date,
+      default: null
+    }
+  },
   statusHistory: [{
     status: {
       type: String,
-      enum: ['pending_payment', 'pending', 'processing', 'shipped', 'delivered', 'cancelled'],
+      enum: ORDER_STATUSES,
       required: true
     },
     timestamp: {
       type: Date,
       default: Date.now
     },
+    // Empty for changes made by webhooks and scheduled jobs
     updatedBy: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    }
+      ref: 'User'
+    },
+    actorType: {
+      type: String,
+      enum: ['user', 'webhook', 'system']
+    },
+    // Provider or job name for webhook and system changes
+    actor: String,
+    note: String
   }],
   createdAt: {
     type: Date,
@@ -110,30 +253,26 @@ orderSchema.set('toJSON', {
 });
 
 // Generate order number before saving
-orderSchema.pre('save', function(next) {
+orderSchema.pre('save', async function() {
   if (!this.orderNumber) {
-    // Generate a unique order number (you can customize this format)
-    this.orderNumber = 'ORD' + Date.now() + Math.floor(Math.random() * 1000);
+    this.orderNumber = await orderNumberService.generate({
+      shopId: this.shop,
+      date: this.createdAt
+    });
   }
-  
-  // Add status to history if it's changed
-  if (this.isModified('status')) {
-    if (!this.statusHistory) {
-      this.statusHistory = [];
-    }
-    
-    // Only add to history if this isn't a new document
-    if (!this.isNew) {
-      this.statusHistory.push({
-        status: this.status,
-        timestamp: new Date(),
-        updatedBy: this._updatedBy // This should be set before saving
-      });
-    }
+
+  // Later changes are recorded by the order state service
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      timestamp: new Date(),
+      updatedBy: this.user,
+      actorType: 'user',
+      note: 'Order placed'
+    });
   }
   
   this.updatedAt = Date.now();
-  next();
 });
 
 // Add a method to update payment status
@@ -147,4 +286,6 @@ orderSchema.methods.updatePaymentStatus = function(paymentData) {
   };
 };
 
+orderSchema.index({ status: 1, 'reservation.expiresAt': 1 });
+
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
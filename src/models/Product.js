@@ -1,5 +1,48 @@
 const mongoose = require('mongoose');
 
+// One purchasable combination of a product's options, e.g. size M in red
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Option name -> value, one entry for each of the product's options
+  options: {
+    type: Map,
+    of: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  images: [String],
+  barcode: {
+    type: String,
+    trim: true
+  }
+});
+
+// Stemmed terms the mongo search engine matches products on, written by
+// searchService rather than by product saves
+const searchEntrySchema = new mongoose.Schema({
+  fields: {
+    name: [String],
+    description: [String],
+    category: [String],
+    shop: [String]
+  },
+  terms: [String],
+  typoKeys: [String]
+}, { _id: false });
+
 const ProductSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -26,10 +69,44 @@ const ProductSchema = new mongoose.Schema({
     required: true
   },
   images: [String],
+  // With variants, price is the lowest variant price and stock their total
   stock: {
     type: Number,
     default: 0
   },
+  // Option axes the variants are built from, e.g. [{ name: 'Size', values: ['S', 'M'] }]
+  options: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    values: [{
+      type: String,
+      trim: true
+    }]
+  }],
+  variants: [variantSchema],
+  // Attribute name -> value for the attributes defined on the category and
+  // its parents, checked by productAttributeService
+  attributes: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  // Shipping weight in kilograms
+  weight: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Orders placed for the product, counted when stock is reserved and
+  // uncounted if the reservation is released (expired or cancelled orders)
+  orderCount: {
+    type: Number,
+    default: 0
+  },
   ratings: {
     average: {
       type: Number,
@@ -64,15 +141,81 @@ const ProductSchema = new mongoose.Schema({
       }
     }]
   },
+  search: {
+    type: searchEntrySchema,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// SKUs are unique within a shop
+ProductSchema.index(
+  { shop: 1, 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+// Attribute filters in listings
+ProductSchema.index({ 'attributes.$**': 1 });
+
+ProductSchema.index({ 'search.terms': 1 });
+ProductSchema.index({ 'search.typoKeys': 1 });
+
+ProductSchema.pre('validate', function(next) {
+  if (this.variants.length === 0) {
+    return next();
+  }
+
+  const axes = this.options.map(option => option.name);
+  if (axes.length === 0) {
+    this.invalidate('options', 'Products with variants need at least one option');
+    return next();
+  }
+
+  const seenCombinations = new Set();
+  const seenSkus = new Set();
+  this.variants.forEach((variant, index) => {
+    const values = variant.options || new Map();
+    const invalidOption = [...values.keys()].find(name => !axes.includes(name));
+    if (invalidOption) {
+      this.invalidate(`variants.${index}.options`, `${invalidOption} is not an option of this product`);
+    }
+
+    for (const option of this.options) {
+      if (!option.values.includes(values.get(option.name))) {
+        this.invalidate(`variants.${index}.options`, `${option.name} must be one of: ${option.values.join(', ')}`);
+      }
+    }
+
+    const combination = axes.map(name => values.get(name)).join('\u0000');
+    if (seenCombinations.has(combination)) {
+      this.invalidate(`variants.${index}.options`, 'Each variant needs a different combination of options');
+    }
+    seenCombinations.add(combination);
+
+    if (seenSkus.has(variant.sku)) {
+      this.invalidate(`variants.${index}.sku`, `SKU ${variant.sku} is used more than once`);
+    }
+    seenSkus.add(variant.sku);
+  });
+
+  // Listings, sorting and filters keep working off the product fields
+  this.price = Math.min(...this.variants.map(variant => variant.price));
+  this.stock = this.variants.reduce((sum, variant) => sum + variant.stock, 0);
+  next();
+});
+
+// "Size: M / Color: Red"
+ProductSchema.statics.describeVariant = function(variant) {
+  return [...(variant.options || new Map()).entries()].map(([name, value]) => `${name}: ${value}`).join(' / ');
+};
+
 ProductSchema.set('toJSON', {
   transform: (doc, ret) => {
     delete ret.__v;
+    delete ret.search;
     if (ret.views) {
       delete ret.views.history;
     }
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const returnRequestSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    name: String,
+    variant: mongoose.Schema.Types.ObjectId,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    price: {
+      type: Number,
+      required: true
+    }
+  }],
+  reason: {
+    type: String,
+    enum: ['damaged', 'defective', 'wrong_item', 'not_as_described', 'missing_parts', 'other'],
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true
+  },
+  photos: [String],
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'returned', 'refunded'],
+    default: 'requested'
+  },
+  refundAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  decision: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    at: Date
+  },
+  receivedAt: Date,
+  refundedAt: Date,
+  // How the buyer was paid back: through the payment provider, or by hand
+  // when the provider couldn't refund (status 'manual')
+  refund: {
+    status: {
+      type: String,
+      enum: ['completed', 'pending', 'manual']
+    },
+    provider: String,
+    reference: String,
+    reason: String
+  },
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+returnRequestSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const searchConfig = require('../config/search');
+
+// One product search, logged for popular and trending queries
+const searchQuerySchema = new mongoose.Schema({
+  // As typed, for display
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Lower-cased without accents or extra spaces, for grouping
+  normalized: {
+    type: String,
+    required: true
+  },
+  // The user, or a hash of the IP address for guests, so one person
+  // searching repeatedly counts once
+  visitor: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resultCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: searchConfig.queryLogRetentionDays * 24 * 60 * 60
+  }
+});
+
+searchQuerySchema.index({ normalized: 1, createdAt: -1 });
+
+searchQuerySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('SearchQuery', searchQuerySchema);
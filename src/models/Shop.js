@@ -1,5 +1,36 @@
 const mongoose = require('mongoose');
 
+// A saved destination for withdrawals. Added or changed accounts can't be
+// paid out to until availableAt, the end of the cooling-off period.
+const payoutAccountSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['bank', 'mobile_money'],
+    required: true
+  },
+  accountName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  accountNumber: { type: String, trim: true }, // For bank
+  bankName: { type: String, trim: true }, // For bank
+  phoneNumber: { type: String, trim: true }, // For mobile money
+  provider: { type: String, trim: true }, // For mobile money (e.g., M-Pesa, Tigo)
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // When the account name was matched against the shop owner's name
+  nameVerifiedAt: Date,
+  availableAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
 const ShopSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -17,6 +48,21 @@ const ShopSchema = new mongoose.Schema({
     trim: true,
     required: true
   },
+  // Used in order numbers when ORDER_NUMBER_FORMAT contains {SHOP}
+  orderNumberPrefix: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: /^[A-Z0-9]{2,8}$/,
+    unique: true,
+    sparse: true
+  },
+  // Commission percentage for this shop's orders; overrides category rates
+  commissionRate: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
   logo: {
     type: String,
     default: ''
@@ -79,6 +125,32 @@ const ShopSchema = new mongoose.Schema({
       default: false
     }
   }],
+  // Delivery pricing. A rate with no cities is the fallback for anywhere else.
+  shippingRates: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    cities: [{
+      type: String,
+      trim: true
+    }],
+    baseFee: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    perKgFee: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    freeShippingThreshold: {
+      type: Number,
+      min: 0
+    }
+  }],
   categories: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category'
@@ -135,8 +207,16 @@ const ShopSchema = new mongoose.Schema({
   wallet: {
   currentBalance: { type: Number, default: 0 },
   lockedBalance: { type: Number, default: 0 }, 
-  currency: { type: String, default: 'TZS' }
-}
+  currency: { type: String, default: 'TZS' },
+  // Written by every withdrawal request so concurrent requests conflict
+  // and are checked against each other's limits
+  lastWithdrawalRequestAt: Date
+},
+  // Only returned to the owner, through /shops/own/payout-accounts
+  payoutAccounts: {
+    type: [payoutAccountSchema],
+    select: false
+  }
 
 });
 
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A VAT rule. Leave country or category empty to apply it everywhere; when
+// several rules match an item the most specific one wins.
+const taxRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100 // Percentage, e.g. 18 for 18% VAT
+  },
+  country: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Inclusive: listed prices already contain the tax. Exclusive: tax is added on top.
+  inclusive: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+taxRuleSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('TaxRule', taxRuleSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['received', 'rejected', 'processing', 'processed', 'ignored', 'failed', 'duplicate'];
+
+// Every inbound payment webhook, kept for auditing, deduplication and replay
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  // The provider's id for the event; only set on the delivery that owns it,
+  // so redeliveries can't be processed twice
+  eventId: String,
+  transactionId: String,
+  ip: String,
+  headers: mongoose.Schema.Types.Mixed,
+  payload: mongoose.Schema.Types.Mixed,
+  verification: {
+    verified: {
+      type: Boolean,
+      default: false
+    },
+    reason: String,
+    verifiedAt: Date
+  },
+  // The verified event as the provider adapter normalised it; replays use this
+  event: {
+    status: String,
+    reference: String,
+    reason: String
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'received'
+  },
+  // What the event did, e.g. { paymentStatus: 'completed', orders: [...] }
+  outcome: mongoose.Schema.Types.Mixed,
+  error: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastAttemptAt: Date,
+  processedAt: Date,
+  // Redeliveries of an event that was already received
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookEvent'
+  },
+  replays: [{
+    replayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    replayedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index(
+  { provider: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { eventId: { $type: 'string' } } }
+);
+webhookEventSchema.index({ transactionId: 1 });
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+webhookEventSchema.statics.STATUSES = STATUSES;
+
+webhookEventSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
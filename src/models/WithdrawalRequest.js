@@ -16,11 +16,16 @@ const withdrawalRequestSchema = new mongoose.Schema({
         required: true,
         min: 1
     },
+    // approved -> processing (sent to the payout provider) -> paid | failed
     status: {
         type: String,
-        enum: ['pending', 'approved', 'rejected'],
+        enum: ['pending', 'approved', 'processing', 'paid', 'failed', 'rejected'],
         default: 'pending'
     },
+    // The shop's saved account this is paid to
+    payoutAccount: {
+        type: mongoose.Schema.Types.ObjectId
+    },
     paymentDetails: {
         // Basic snapshot of where the money should go. 
         type: {
@@ -36,6 +41,19 @@ const withdrawalRequestSchema = new mongoose.Schema({
             provider: String // For mobile money (e.g., M-Pesa, Tigo)
         }
     },
+    // Set when the request breaks a velocity rule; an admin has to clear it with a note
+    review: {
+        flagged: {
+            type: Boolean,
+            default: false
+        },
+        reasons: [String],
+        clearedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        clearedAt: Date
+    },
     adminNote: {
         type: String
     },
@@ -45,9 +63,27 @@ const withdrawalRequestSchema = new mongoose.Schema({
     },
     processedAt: {
         type: Date
+    },
+    payout: {
+        provider: String,
+        // The provider's id for the transfer; the withdrawal id until the
+        // provider answers, and for good if it never does
+        reference: String,
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        initiatedAt: Date,
+        paidAt: Date,
+        failedAt: Date,
+        failureReason: String
     }
 }, {
     timestamps: true
 });
 
+withdrawalRequestSchema.index({ status: 1, 'payout.initiatedAt': 1 });
+withdrawalRequestSchema.index({ shop: 1, createdAt: -1 });
+withdrawalRequestSchema.index({ 'review.flagged': 1, status: 1 });
+
 module.exports = mongoose.model('WithdrawalRequest', withdrawalRequestSchema);
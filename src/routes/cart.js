@@ -0,0 +1,179 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const cartController = require('../controllers/cartController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cart
+ *   description: Server-side shopping cart and multi-shop checkout
+ */
+
+router.use(auth);
+
+/**
+ * @swagger
+ * /api/v1/cart:
+ *   get:
+ *     tags: [Cart]
+ *     summary: Get the authenticated user's cart with totals and stock issues
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', cartController.getCart);
+
+/**
+ * @swagger
+ * /api/v1/cart:
+ *   delete:
+ *     tags: [Cart]
+ *     summary: Remove every item from the cart
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/', cartController.clearCart);
+
+/**
+ * @swagger
+ * /api/v1/cart/validate:
+ *   get:
+ *     tags: [Cart]
+ *     summary: Check every cart item against current stock
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/validate', cartController.validateCart);
+
+/**
+ * @swagger
+ * /api/v1/cart/items:
+ *   post:
+ *     tags: [Cart]
+ *     summary: Add a product to the cart (quantities are merged)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               variantId:
+ *                 type: string
+ *                 description: Required when the product has variants
+ *               quantity:
+ *                 type: number
+ *                 minimum: 1
+ *                 default: 1
+ */
+router.post('/items', cartController.addItem);
+
+/**
+ * @swagger
+ * /api/v1/cart/items/{itemId}:
+ *   patch:
+ *     tags: [Cart]
+ *     summary: Change the quantity of a cart item
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantity:
+ *                 type: number
+ *                 minimum: 1
+ */
+router.patch('/items/:itemId', cartController.updateItem);
+
+/**
+ * @swagger
+ * /api/v1/cart/items/{itemId}:
+ *   delete:
+ *     tags: [Cart]
+ *     summary: Remove an item from the cart
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.delete('/items/:itemId', cartController.removeItem);
+
+/**
+ * @swagger
+ * /api/v1/cart/quote:
+ *   post:
+ *     tags: [Cart]
+ *     summary: Price the cart with tax and shipping before checkout
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               shippingAddress:
+ *                 $ref: '#/components/schemas/ShippingAddress'
+ *               couponCode:
+ *                 type: string
+ */
+router.post('/quote', cartController.getQuote);
+
+/**
+ * @swagger
+ * /api/v1/cart/checkout:
+ *   post:
+ *     tags: [Cart]
+ *     summary: Check out the cart
+ *     description: Creates one order per shop, grouped under a single checkout reference. Mobile money checkouts send a single payment prompt for the combined total.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - shippingAddress
+ *               - paymentMethod
+ *             properties:
+ *               shippingAddress:
+ *                 $ref: '#/components/schemas/ShippingAddress'
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [credit_card, debit_card, mobile_money, cash_on_delivery]
+ *               couponCode:
+ *                 type: string
+ *               paymentProvider:
+ *                 type: string
+ *                 enum: [zenopay, mpesa, selcom, flutterwave]
+ *     responses:
+ *       201:
+ *         description: Orders created
+ *       400:
+ *         description: Empty cart, invalid input or insufficient stock
+ */
+router.post('/checkout', cartController.checkout);
+
+module.exports = router;
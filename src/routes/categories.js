@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const categoryController = require('../controllers/categoryController');
 const auth = require('../middleware/auth');
+const { productListing } = require('../middleware/queryBuilder');
 const upload = require('../middleware/upload');
 
 /**
@@ -194,22 +195,31 @@ router.get('/:id', categoryController.getCategoryById);
  *         name: limit
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/ListingMinPrice'
+ *       - $ref: '#/components/parameters/ListingMaxPrice'
+ *       - $ref: '#/components/parameters/ListingInStock'
+ *       - $ref: '#/components/parameters/ListingMinRating'
+ *       - $ref: '#/components/parameters/ListingShop'
+ *       - $ref: '#/components/parameters/ListingCity'
+ *       - $ref: '#/components/parameters/ListingVerified'
+ *       - $ref: '#/components/parameters/ListingSortBy'
+ *       - $ref: '#/components/parameters/ListingOrder'
  *       - in: query
- *         name: sortBy
+ *         name: attributes
+ *         style: deepObject
+ *         explode: true
  *         schema:
- *           type: string
- *       - in: query
- *         name: order
- *         schema:
- *           type: string
- *           enum: [asc, desc]
+ *           type: object
+ *         description: Attribute filters. attributes[Brand]=Tecno,Infinix matches any listed value; number and date attributes also take attributes[RAM][min]=4 and attributes[RAM][max]=8.
  *     responses:
  *       200:
- *         description: List of products in category
+ *         description: List of products in category, with facets counting the products per attribute value (see AttributeFacet)
+ *       400:
+ *         description: Unknown attribute, invalid filter value or unknown sort
  *       404:
  *         description: Category not found
  */
-router.get('/:id/products', categoryController.getCategoryProducts);
+router.get('/:id/products', productListing, categoryController.getCategoryProducts);
 
 /**
  * @swagger
@@ -257,6 +267,9 @@ router.get('/:id/products', categoryController.getCategoryProducts);
  *         displayOrder:
  *           type: number
  *           description: Order for display
+ *         commissionRate:
+ *           type: number
+ *           description: Commission percentage for products in this category and its subcategories, unless the shop has its own rate
  *         metadata:
  *           type: object
  *           properties:
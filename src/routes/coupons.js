@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const couponController = require('../controllers/couponController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Coupons
+ *   description: Promotion codes. Admins manage all coupons; sellers manage their own shop's.
+ */
+
+router.use(auth);
+
+/**
+ * @swagger
+ * /api/v1/coupons:
+ *   get:
+ *     tags: [Coupons]
+ *     summary: List coupons
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [platform, shop, category, product]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: shop
+ *         schema:
+ *           type: string
+ *         description: Admins only
+ */
+router.get('/', couponController.getCoupons);
+
+/**
+ * @swagger
+ * /api/v1/coupons:
+ *   post:
+ *     tags: [Coupons]
+ *     summary: Create a coupon
+ *     description: Seller coupons are always tied to the seller's shop and cannot be platform-wide.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - type
+ *               - value
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: KARIBU10
+ *               description:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [percentage, fixed]
+ *               value:
+ *                 type: number
+ *                 example: 10
+ *               maxDiscount:
+ *                 type: number
+ *                 description: Cap for percentage discounts
+ *               scope:
+ *                 type: string
+ *                 enum: [platform, shop, category, product]
+ *               shop:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               product:
+ *                 type: string
+ *               minSpend:
+ *                 type: number
+ *               usageLimit:
+ *                 type: number
+ *               perUserLimit:
+ *                 type: number
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               isActive:
+ *                 type: boolean
+ */
+router.post('/', couponController.createCoupon);
+
+/**
+ * @swagger
+ * /api/v1/coupons/{id}:
+ *   get:
+ *     tags: [Coupons]
+ *     summary: Get a coupon with its most recent redemptions
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id', couponController.getCouponById);
+
+/**
+ * @swagger
+ * /api/v1/coupons/{id}:
+ *   patch:
+ *     tags: [Coupons]
+ *     summary: Update a coupon
+ *     security:
+ *       - bearerAuth: []
+ */
+router.patch('/:id', couponController.updateCoupon);
+
+/**
+ * @swagger
+ * /api/v1/coupons/{id}:
+ *   delete:
+ *     tags: [Coupons]
+ *     summary: Delete a coupon
+ *     description: Coupons that have been redeemed are deactivated instead.
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id', couponController.deleteCoupon);
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
+const shipmentController = require('../controllers/shipmentController');
+const codController = require('../controllers/codController');
 const auth = require('../middleware/auth');
 
 /**
@@ -43,6 +45,9 @@ const auth = require('../middleware/auth');
  *         productId:
  *           type: string
  *           description: ID of the product to order
+ *         variantId:
+ *           type: string
+ *           description: Required when the product has variants
  *         quantity:
  *           type: number
  *           minimum: 1
@@ -51,8 +56,15 @@ const auth = require('../middleware/auth');
  *           $ref: '#/components/schemas/ShippingAddress'
  *         paymentMethod:
  *           type: string
- *           enum: [credit_card, debit_card, paypal, stripe]
+ *           enum: [credit_card, debit_card, mobile_money, cash_on_delivery]
  *           description: Payment method for the order
+ *         couponCode:
+ *           type: string
+ *           description: Optional promotion code
+ *         paymentProvider:
+ *           type: string
+ *           enum: [zenopay, mpesa, selcom, flutterwave]
+ *           description: Mobile money provider; defaults to the one used in the shipping country
  *     
  *     Order:
  *       type: object
@@ -174,6 +186,52 @@ const auth = require('../middleware/auth');
 router.use(auth);
 router.post('/', orderController.createOrder);
 
+/**
+ * @swagger
+ * /api/v1/orders/quote:
+ *   post:
+ *     summary: Get the price breakdown for items before ordering
+ *     description: Returns subtotal, tax (per VAT rule), shipping and total for each shop, plus combined totals. The same figures are stored on the order when it is placed.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     variantId:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *               productId:
+ *                 type: string
+ *                 description: Shorthand for a single item
+ *               variantId:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               shippingAddress:
+ *                 $ref: '#/components/schemas/ShippingAddress'
+ *               couponCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Quote breakdown
+ *       400:
+ *         description: Invalid items
+ */
+router.post('/quote', orderController.getQuote);
+
 /**
  * @swagger
  * /api/v1/orders/my-orders:
@@ -421,6 +479,63 @@ router.get('/shop', auth, orderController.getShopOrders);
  */
 router.get('/my-shop', auth, orderController.getMyShop);
 
+/**
+ * @swagger
+ * /api/v1/orders/cod/reconciliation:
+ *   get:
+ *     summary: Cash on delivery reconciliation per shop (admin only)
+ *     description: Cash due and collected on delivered COD orders, commission owed, cash still in transit and the amount each shop has to pay in.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: shop
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by collection date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Reconciliation rows per shop with a summary
+ *       403:
+ *         description: Admin rights required
+ */
+router.get('/cod/reconciliation', auth.isAdmin, codController.getReconciliation);
+
+/**
+ * @swagger
+ * /api/v1/orders/by-number/{orderNumber}:
+ *   get:
+ *     summary: Find an order by the number printed on its receipt
+ *     description: Buyers and shop owners can look up their own orders; admins and support staff can look up any order.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: SW-2026-000123
+ *     responses:
+ *       200:
+ *         description: Order details
+ *       404:
+ *         description: Order not found
+ */
+router.get('/by-number/:orderNumber', orderController.getOrderByNumber);
+
 /**
  * @swagger
  * /api/v1/orders/{id}:
@@ -468,6 +583,39 @@ router.get('/my-shop', auth, orderController.getMyShop);
  */
 router.get('/:id', orderController.getOrderById);
 
+/**
+ * @swagger
+ * /api/v1/orders/{id}/invoice:
+ *   get:
+ *     summary: Download the invoice for an order as a PDF
+ *     description: Available to the buyer and the shop owner once the order is paid or placed with a non mobile money method. The invoice number is assigned on first download and runs sequentially per shop.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: PDF invoice
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Order is unpaid
+ *       403:
+ *         description: Forbidden - User not authorized to view this order
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id/invoice', orderController.getOrderInvoice);
+
 /**
  * @swagger
  * /api/v1/orders/{orderId}/payment-status:
@@ -535,7 +683,12 @@ router.get('/:orderId/payment-status',auth, orderController.checkPaymentStatus);
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, processing, shipped, delivered, cancelled]
+ *                 enum: [pending, processing, shipped, cancelled]
+ *                 description: Delivery is confirmed through confirm-delivery, not set here
+ *               note:
+ *                 type: string
+ *               shipment:
+ *                 $ref: '#/components/schemas/ShipmentDetails'
  *             example:
  *               status: shipped
  *     responses:
@@ -583,6 +736,7 @@ router.patch('/:orderId/status', auth, orderController.updateOrderStatus);
  * /api/v1/orders/{orderId}/payment-status:
  *   patch:
  *     summary: Update order payment status
+ *     description: Admins only, or the shop owner for cash on delivery orders. Completing the payment of an order waiting for it releases it to the shop; a failed payment cancels the order.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -606,8 +760,196 @@ router.patch('/:orderId/status', auth, orderController.updateOrderStatus);
  *                 type: string
  *               paymentDetails:
  *                 type: object
+ *                 properties:
+ *                   paymentReference:
+ *                     type: string
+ *                   message:
+ *                     type: string
+ *                   failureReason:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Payment status updated
+ *       400:
+ *         description: Invalid payment status
+ *       403:
+ *         description: Not an admin, or not the shop owner of a cash on delivery order
  */
 router.patch('/:orderId/payment-status', auth, orderController.updatePaymentStatus);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShipmentDetails:
+ *       type: object
+ *       properties:
+ *         carrier:
+ *           type: string
+ *           example: DHL
+ *         rider:
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *             phone:
+ *               type: string
+ *         trackingNumber:
+ *           type: string
+ *         estimatedDeliveryAt:
+ *           type: string
+ *           format: date-time
+ *         note:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/orders/{orderId}/shipment:
+ *   post:
+ *     summary: Ship an order
+ *     description: Moves a processing order to shipped, records the carrier or rider and sends the buyer a one-time delivery code.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShipmentDetails'
+ *   patch:
+ *     summary: Update the carrier, tracking number or estimated delivery of a shipped order
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShipmentDetails'
+ */
+router.post('/:orderId/shipment', shipmentController.shipOrder);
+router.patch('/:orderId/shipment', shipmentController.updateShipment);
+
+/**
+ * @swagger
+ * /api/v1/orders/{orderId}/shipment/events:
+ *   post:
+ *     summary: Add a tracking event to a shipped order
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 example: in_transit
+ *               description:
+ *                 type: string
+ *                 example: Left the Dar es Salaam sorting centre
+ *               location:
+ *                 type: string
+ */
+router.post('/:orderId/shipment/events', shipmentController.addTrackingEvent);
+
+/**
+ * @swagger
+ * /api/v1/orders/{orderId}/confirm-delivery:
+ *   post:
+ *     summary: Confirm that a shipped order was delivered
+ *     description: The buyer confirms without a code. The shop owner (or their rider) confirms with the delivery code the buyer hands over. The shop's wallet is credited once delivery is confirmed.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Required when the shop confirms
+ *               collectedAmount:
+ *                 type: number
+ *                 description: Cash taken for a cash on delivery order; defaults to the order total
+ */
+router.post('/:orderId/confirm-delivery', shipmentController.confirmDelivery);
+
+/**
+ * @swagger
+ * /api/v1/orders/{orderId}/cod-collection:
+ *   post:
+ *     summary: Record the cash collected for a cash on delivery order
+ *     description: For the seller or rider to record a payment at the door before delivery is confirmed with the buyer's code.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - collectedAmount
+ *             properties:
+ *               collectedAmount:
+ *                 type: number
+ */
+router.post('/:orderId/cod-collection', shipmentController.recordCashCollection);
+
+/**
+ * @swagger
+ * /api/v1/orders/{orderId}/delivery-code:
+ *   get:
+ *     summary: Get the delivery code for a shipped order (buyer only)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/:orderId/delivery-code', shipmentController.getDeliveryCode);
+
 
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/productController');
 const auth = require('../middleware/auth');
+const { productListing } = require('../middleware/queryBuilder');
 
 /**
  * @swagger
@@ -24,7 +25,7 @@ const auth = require('../middleware/auth');
  *           description: Product description
  *         price:
  *           type: number
- *           description: Product price
+ *           description: Product price. With variants, the lowest variant price (set automatically)
  *         images:
  *           type: array
  *           items:
@@ -38,14 +39,34 @@ const auth = require('../middleware/auth');
  *           description: Shop ID
  *         stock:
  *           type: number
- *           description: Available stock quantity
+ *           description: Available stock quantity. With variants, their total (set automatically)
+ *         options:
+ *           type: array
+ *           description: Option axes the variants are built from
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Size
+ *               values:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [S, M, L]
+ *         variants:
+ *           type: array
+ *           description: One entry per purchasable combination of options. Buyers must pick one when ordering.
+ *           items:
+ *             $ref: '#/components/schemas/ProductVariant'
  *         status:
  *           type: string
  *           enum: [active, inactive, outOfStock]
  *           description: Product status
  *         attributes:
  *           type: object
- *           description: Category-specific attributes
+ *           description: Values for the attributes defined on the category and its parent categories, by attribute name. Checked against each attribute's type and options; required attributes must be given.
+ *           example: { Brand: Tecno, RAM: 8, Dual SIM: true }
  *         ratings:
  *           type: object
  *           properties:
@@ -59,6 +80,116 @@ const auth = require('../middleware/auth');
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     ProductVariant:
+ *       type: object
+ *       required:
+ *         - sku
+ *         - options
+ *         - price
+ *       properties:
+ *         sku:
+ *           type: string
+ *           description: Unique within the shop
+ *         options:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           example: { Size: M, Color: Red }
+ *         price:
+ *           type: number
+ *         stock:
+ *           type: number
+ *         images:
+ *           type: array
+ *           items:
+ *             type: string
+ *         barcode:
+ *           type: string
+ *     AttributeFacet:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [text, number, boolean, select, date]
+ *         values:
+ *           type: array
+ *           description: Products per value, most common first (numbers in ascending order). Not given for dates.
+ *           items:
+ *             type: object
+ *             properties:
+ *               value: {}
+ *               count:
+ *                 type: number
+ *         min:
+ *           description: Lowest value, for number and date attributes
+ *         max:
+ *           description: Highest value, for number and date attributes
+ *         count:
+ *           type: number
+ *           description: Products with a value, for number and date attributes
+ *   parameters:
+ *     ListingMinPrice:
+ *       in: query
+ *       name: minPrice
+ *       schema:
+ *         type: number
+ *         minimum: 0
+ *     ListingMaxPrice:
+ *       in: query
+ *       name: maxPrice
+ *       schema:
+ *         type: number
+ *         minimum: 0
+ *     ListingInStock:
+ *       in: query
+ *       name: inStock
+ *       schema:
+ *         type: boolean
+ *       description: Only products with stock left
+ *     ListingMinRating:
+ *       in: query
+ *       name: minRating
+ *       schema:
+ *         type: number
+ *         minimum: 0
+ *         maximum: 5
+ *       description: Lowest average rating
+ *     ListingShop:
+ *       in: query
+ *       name: shop
+ *       schema:
+ *         type: string
+ *       description: Shop ID
+ *     ListingCity:
+ *       in: query
+ *       name: city
+ *       schema:
+ *         type: string
+ *       description: Only products from shops in this city (the shop's address, ignoring case)
+ *     ListingVerified:
+ *       in: query
+ *       name: verified
+ *       schema:
+ *         type: boolean
+ *       description: Only products from verified shops
+ *     ListingSortBy:
+ *       in: query
+ *       name: sortBy
+ *       schema:
+ *         type: string
+ *         enum: [newest, popular, best-rated, createdAt, price, name]
+ *         default: newest
+ *       description: popular ranks by orders then views; best-rated by average rating then number of ratings. createdAt, price and name follow order.
+ *     ListingOrder:
+ *       in: query
+ *       name: order
+ *       schema:
+ *         type: string
+ *         enum: [asc, desc]
+ *         default: desc
+ *       description: Direction for the createdAt, price and name sorts
  */
 
 /**
@@ -91,39 +222,33 @@ const auth = require('../middleware/auth');
  *         name: search
  *         schema:
  *           type: string
- *         description: Search term
+ *         description: Search text. Matches the same products as /api/v1/products/search, best matches first unless sortBy is given. Text with no searchable words is refused with a 400.
  *       - in: query
  *         name: category
  *         schema:
  *           type: string
  *         description: Category ID
  *       - in: query
- *         name: shop
- *         schema:
- *           type: string
- *         description: Shop ID
- *       - in: query
- *         name: minPrice
+ *         name: attributes
+ *         style: deepObject
+ *         explode: true
  *         schema:
- *           type: number
- *       - in: query
- *         name: maxPrice
- *         schema:
- *           type: number
+ *           type: object
+ *         description: Attribute filters, which need a category. attributes[Brand]=Tecno,Infinix matches any listed value; number and date attributes also take attributes[RAM][min]=4 and attributes[RAM][max]=8.
+ *       - $ref: '#/components/parameters/ListingMinPrice'
+ *       - $ref: '#/components/parameters/ListingMaxPrice'
+ *       - $ref: '#/components/parameters/ListingInStock'
+ *       - $ref: '#/components/parameters/ListingMinRating'
+ *       - $ref: '#/components/parameters/ListingShop'
+ *       - $ref: '#/components/parameters/ListingCity'
+ *       - $ref: '#/components/parameters/ListingVerified'
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
  *           enum: [active, inactive, outOfStock]
- *       - in: query
- *         name: sortBy
- *         schema:
- *           type: string
- *       - in: query
- *         name: order
- *         schema:
- *           type: string
- *           enum: [asc, desc]
+ *       - $ref: '#/components/parameters/ListingSortBy'
+ *       - $ref: '#/components/parameters/ListingOrder'
  *     responses:
  *       200:
  *         description: List of products
@@ -145,6 +270,11 @@ const auth = require('../middleware/auth');
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/Product'
+ *                     facets:
+ *                       type: array
+ *                       description: Value counts for the category's attributes across the matching products; empty without a category
+ *                       items:
+ *                         $ref: '#/components/schemas/AttributeFacet'
  *                     pagination:
  *                       type: object
  *                       properties:
@@ -181,7 +311,150 @@ const auth = require('../middleware/auth');
 router.post('/', auth, productController.createProduct);
 
 // Get all products (public route)
-router.get('/', productController.getAllProducts);
+router.get('/', productListing, productController.getAllProducts);
+
+/**
+ * @swagger
+ * /api/v1/products/search:
+ *   get:
+ *     tags:
+ *       - Products
+ *     summary: Search products
+ *     description: >
+ *       Full-text search over product names, descriptions, category names and
+ *       shop names, in English and Swahili. Results are ranked by relevance:
+ *       matches in the name count most, then category, shop and description.
+ *       Products matching every word come first. Plurals and word endings are
+ *       matched (phones, phone; vitabu, kitabu), the last word matches as a
+ *       prefix while it is being typed, and one-letter typos are tolerated in
+ *       names, categories and shops.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Search text
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category ID
+ *       - $ref: '#/components/parameters/ListingMinPrice'
+ *       - $ref: '#/components/parameters/ListingMaxPrice'
+ *       - $ref: '#/components/parameters/ListingInStock'
+ *       - $ref: '#/components/parameters/ListingMinRating'
+ *       - $ref: '#/components/parameters/ListingShop'
+ *       - $ref: '#/components/parameters/ListingCity'
+ *       - $ref: '#/components/parameters/ListingVerified'
+ *       - in: query
+ *         name: attributes
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *         description: Attribute filters, which need a category (see GET /api/v1/products)
+ *     responses:
+ *       200:
+ *         description: Matching products, best first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     products:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Product'
+ *                           - type: object
+ *                             properties:
+ *                               relevance:
+ *                                 type: number
+ *                               highlights:
+ *                                 type: object
+ *                                 description: HTML-escaped text of the fields that matched, with the matching words in <em>. The description is cut to a snippet around the first match.
+ *                                 properties:
+ *                                   name:
+ *                                     type: string
+ *                                   description:
+ *                                     type: string
+ *                                   category:
+ *                                     type: string
+ *                                   shop:
+ *                                     type: string
+ *                     facets:
+ *                       type: object
+ *                       description: Counted over every match, not just this page
+ *                       properties:
+ *                         categories:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                               name:
+ *                                 type: string
+ *                               count:
+ *                                 type: number
+ *                         shops:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                               name:
+ *                                 type: string
+ *                               count:
+ *                                 type: number
+ *                         price:
+ *                           type: object
+ *                           nullable: true
+ *                           properties:
+ *                             min:
+ *                               type: number
+ *                             max:
+ *                               type: number
+ *                         attributes:
+ *                           type: array
+ *                           description: Only with a category
+ *                           items:
+ *                             $ref: '#/components/schemas/AttributeFacet'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         currentPage:
+ *                           type: number
+ *                         totalPages:
+ *                           type: number
+ *                         totalProducts:
+ *                           type: number
+ *                         limit:
+ *                           type: number
+ *       400:
+ *         description: No search words, or an invalid filter
+ */
+router.get('/search', productListing, productController.searchProducts);
 
 
 /**
@@ -207,6 +480,7 @@ router.get('/', productController.getAllProducts);
  *     tags:
  *       - Products
  *     summary: Update product
+ *     description: Only the product's own fields can be set (not its shop, order count, ratings or views). Variants sent without an _id keep the id of the existing variant with the same SKU; variants on open orders can't be removed.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -230,6 +504,8 @@ router.get('/', productController.getAllProducts);
  *         description: Forbidden - Product owner only
  *       404:
  *         description: Product not found
+ *       409:
+ *         description: A removed variant is on an open order
  *
  *   delete:
  *     tags:
@@ -261,6 +537,60 @@ router.put('/:id', auth, productController.updateProduct);
 // Delete a product (protected route)
 router.delete('/:id', auth, productController.deleteProduct);
 
+/**
+ * @swagger
+ * /api/v1/products/{id}/variants/{variantId}:
+ *   patch:
+ *     tags:
+ *       - Products
+ *     summary: Update one variant
+ *     description: Change a variant's price, stock, SKU, barcode or images (Product owner only). The product's price and stock are recomputed from its variants.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               price:
+ *                 type: number
+ *               stock:
+ *                 type: number
+ *               sku:
+ *                 type: string
+ *               barcode:
+ *                 type: string
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Variant updated
+ *       400:
+ *         description: Invalid values
+ *       403:
+ *         description: Forbidden - Product owner only
+ *       404:
+ *         description: Variant not found
+ *       409:
+ *         description: SKU already used in the shop
+ */
+router.patch('/:id/variants/:variantId', auth, productController.updateVariant);
+
 
 /**
  * @swagger
@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const upload = require('../middleware/upload');
+const returnController = require('../controllers/returnController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Returns
+ *   description: Return and refund requests for delivered orders
+ */
+
+router.use(auth);
+
+/**
+ * @swagger
+ * /api/v1/returns:
+ *   post:
+ *     tags: [Returns]
+ *     summary: Ask to return a delivered order
+ *     description: Must be raised within the return window (RETURN_WINDOW_DAYS, default 7) after delivery. Leave out items to return the whole order. The refund is the items' share of what was paid, after any coupon discount; shipping is only refunded when the whole order comes back.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *               - reason
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 enum: [damaged, defective, wrong_item, not_as_described, missing_parts, other]
+ *               details:
+ *                 type: string
+ *               items:
+ *                 type: string
+ *                 description: JSON array of { productId, variantId, quantity }; variantId for items bought as a variant
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Return requested
+ *       400:
+ *         description: Order not returnable or outside the return window
+ */
+router.post('/', upload.array('photos', 5), returnController.requestReturn);
+
+/**
+ * @swagger
+ * /api/v1/returns:
+ *   get:
+ *     tags: [Returns]
+ *     summary: List returns raised by or against the current user (admins see all)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, rejected, returned, refunded]
+ */
+router.get('/', returnController.getReturns);
+
+/**
+ * @swagger
+ * /api/v1/returns/{id}:
+ *   get:
+ *     tags: [Returns]
+ *     summary: Get a return request
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id', returnController.getReturnById);
+
+/**
+ * @swagger
+ * /api/v1/returns/{id}/decision:
+ *   patch:
+ *     tags: [Returns]
+ *     summary: Approve or reject a return (shop owner or admin)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approve, reject]
+ *               note:
+ *                 type: string
+ *               refundAmount:
+ *                 type: number
+ *                 description: Optional partial refund when approving; at most the order total
+ */
+router.patch('/:id/decision', returnController.decideReturn);
+
+/**
+ * @swagger
+ * /api/v1/returns/{id}/received:
+ *   patch:
+ *     tags: [Returns]
+ *     summary: Confirm the returned items arrived (shop owner or admin)
+ *     security:
+ *       - bearerAuth: []
+ */
+router.patch('/:id/received', returnController.markReturned);
+
+/**
+ * @swagger
+ * /api/v1/returns/{id}/refund:
+ *   post:
+ *     tags: [Returns]
+ *     summary: Refund the buyer, debiting the shop wallet (shop owner or admin)
+ *     description: The refund goes back through the payment provider the order was paid with. When that isn't possible (cash on delivery, a provider without refunds) it is recorded with refund.status manual and admins are notified to pay it out by hand. The platform's commission on the refunded share is returned to the shop first.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Refunded
+ *       409:
+ *         description: The shop's available balance does not cover the refund
+ */
+router.post('/:id/refund', returnController.refundReturn);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const sandboxPaymentController = require('../controllers/sandboxPaymentController');
+
+/**
+ * Development-only endpoints for the sandbox payment provider. Only mounted
+ * when PAYMENT_SANDBOX=true outside production, so no auth middleware.
+ */
+
+/**
+ * GET /api/v1/sandbox/payments/transactions/:transactionId
+ * Current state of a sandbox transaction and the orders it pays for
+ */
+router.get('/transactions/:transactionId', sandboxPaymentController.getTransaction);
+
+/**
+ * POST /api/v1/sandbox/payments/transactions/:transactionId/:outcome
+ * Settle a pending payment as success, failure or timeout and deliver the callback
+ */
+router.post('/transactions/:transactionId/:outcome', sandboxPaymentController.simulateOutcome);
+
+/**
+ * GET /api/v1/sandbox/payments/payouts/:payoutId
+ * Current state of a sandbox payout and the withdrawal it pays
+ */
+router.get('/payouts/:payoutId', sandboxPaymentController.getPayout);
+
+/**
+ * POST /api/v1/sandbox/payments/payouts/:payoutId/:outcome
+ * Settle a pending payout as success or failure and update the withdrawal
+ */
+router.post('/payouts/:payoutId/:outcome', sandboxPaymentController.simulatePayoutOutcome);
+
+module.exports = router;
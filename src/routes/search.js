@@ -0,0 +1,143 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Search
+ *   description: Search bar autocomplete and popular searches
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SearchQuerySuggestion:
+ *       type: object
+ *       properties:
+ *         text:
+ *           type: string
+ *           example: simu ya samsung
+ *         searchers:
+ *           type: number
+ *           description: People who searched it in the period
+ */
+
+/**
+ * @swagger
+ * /api/v1/search/suggest:
+ *   get:
+ *     tags:
+ *       - Search
+ *     summary: Autocomplete suggestions
+ *     description: >
+ *       For the search bar while the user types. Returns up to 5 products
+ *       whose names match (the last word matches as a prefix), and up to 3
+ *       categories and 3 shops with a word in their name starting with the
+ *       text, ranked together by popularity: views plus weighted orders (for
+ *       categories and shops, those of their products). queries holds past
+ *       searches starting with the text. Without q, suggestions is empty and
+ *       queries holds trending searches.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *         description: Text typed so far
+ *     responses:
+ *       200:
+ *         description: Suggestions, most popular first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     query:
+ *                       type: string
+ *                     suggestions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           type:
+ *                             type: string
+ *                             enum: [product, category, shop]
+ *                           _id:
+ *                             type: string
+ *                           text:
+ *                             type: string
+ *                           highlighted:
+ *                             type: string
+ *                             description: HTML-escaped text with the matching words in <em>
+ *                           image:
+ *                             type: string
+ *                           popularity:
+ *                             type: number
+ *                     queries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SearchQuerySuggestion'
+ *       400:
+ *         description: q is too long
+ */
+router.get('/suggest', searchController.suggest);
+
+/**
+ * @swagger
+ * /api/v1/search/trending:
+ *   get:
+ *     tags:
+ *       - Search
+ *     summary: Trending and popular searches
+ *     description: >
+ *       Built from product searches that found something, counting each
+ *       person once per query. trending holds queries searched by more
+ *       people in the last 24 hours than the 7 days before would predict (both
+ *       configurable); popular
+ *       holds the most searched queries of the last 30 days.
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Trending and popular searches
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     trending:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SearchQuerySuggestion'
+ *                     popular:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SearchQuerySuggestion'
+ */
+router.get('/trending', searchController.getTrendingQueries);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const shopController = require('../controllers/shopController');
 const auth = require('../middleware/auth');
+const { productListing } = require('../middleware/queryBuilder');
 const upload = require('../middleware/upload');
 
 // Multer configuration for shop images
@@ -130,6 +131,205 @@ const shopImageUpload = upload.fields([
  */
 router.get('/own', auth, shopController.getUserShop);
 
+/**
+ * @swagger
+ * /api/v1/shops/own/shipping-rates:
+ *   get:
+ *     tags:
+ *       - Shops
+ *     summary: Get the authenticated seller's shipping rates
+ *     security:
+ *       - bearerAuth: []
+ *   put:
+ *     tags:
+ *       - Shops
+ *     summary: Replace the authenticated seller's shipping rates
+ *     description: Each rate applies to the listed cities. One rate with no cities may act as the fallback for everywhere else. Orders at or above freeShippingThreshold ship free.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               shippingRates:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - name
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       example: Dar es Salaam
+ *                     cities:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     baseFee:
+ *                       type: number
+ *                     perKgFee:
+ *                       type: number
+ *                     freeShippingThreshold:
+ *                       type: number
+ */
+router.get('/own/shipping-rates', auth, shopController.getShippingRates);
+router.put('/own/shipping-rates', auth, shopController.updateShippingRates);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PayoutAccountInput:
+ *       type: object
+ *       required:
+ *         - type
+ *         - accountName
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [bank, mobile_money]
+ *         accountName:
+ *           type: string
+ *           description: Must contain the shop owner's first and last name
+ *         accountNumber:
+ *           type: string
+ *           description: Required for bank accounts
+ *         bankName:
+ *           type: string
+ *           description: Required for bank accounts
+ *         phoneNumber:
+ *           type: string
+ *           description: Required for mobile money
+ *         provider:
+ *           type: string
+ *           example: M-Pesa
+ *
+ * /api/v1/shops/own/payout-accounts:
+ *   get:
+ *     tags:
+ *       - Shops
+ *     summary: List the authenticated seller's payout accounts
+ *     security:
+ *       - bearerAuth: []
+ *   post:
+ *     tags:
+ *       - Shops
+ *     summary: Add a payout account
+ *     description: The first account becomes the default. Added accounts can't receive withdrawals until the cooling-off period (PAYOUT_ACCOUNT_COOLING_OFF_HOURS) has passed, except a new shop's first account. The owner is notified of every change.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PayoutAccountInput'
+ *               - type: object
+ *                 properties:
+ *                   isDefault:
+ *                     type: boolean
+ *     responses:
+ *       201:
+ *         description: Account added
+ *       400:
+ *         description: Invalid account, or the name doesn't match the shop owner
+ *       404:
+ *         description: No shop found for this user
+ *
+ * /api/v1/shops/own/payout-accounts/{accountId}:
+ *   put:
+ *     tags:
+ *       - Shops
+ *     summary: Update a payout account
+ *     description: Changing where the account pays out restarts its cooling-off period.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PayoutAccountInput'
+ *   delete:
+ *     tags:
+ *       - Shops
+ *     summary: Remove a payout account
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: string
+ *
+ * /api/v1/shops/own/payout-accounts/{accountId}/default:
+ *   patch:
+ *     tags:
+ *       - Shops
+ *     summary: Make a payout account the default for withdrawals
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/own/payout-accounts', auth, shopController.getPayoutAccounts);
+router.post('/own/payout-accounts', auth, shopController.addPayoutAccount);
+router.put('/own/payout-accounts/:accountId', auth, shopController.updatePayoutAccount);
+router.delete('/own/payout-accounts/:accountId', auth, shopController.deletePayoutAccount);
+router.patch('/own/payout-accounts/:accountId/default', auth, shopController.setDefaultPayoutAccount);
+
+/**
+ * @swagger
+ * /api/v1/shops/own/statements:
+ *   get:
+ *     tags:
+ *       - Shops
+ *     summary: Monthly earnings statement for the authenticated seller
+ *     description: Orders delivered, gross sales, commission, refunds, withdrawals paid out and the opening and closing wallet balances for one month (UTC), with every wallet transaction. CSV and PDF are returned as downloads.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: string
+ *           example: 2026-09
+ *         description: YYYY-MM; defaults to the current month
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: The statement
+ *         content:
+ *           application/json: {}
+ *           text/csv: {}
+ *           application/pdf: {}
+ *       400:
+ *         description: Invalid month or format
+ *       404:
+ *         description: No shop found for this user
+ */
+router.get('/own/statements', auth, shopController.getStatement);
+
 /**
  * @swagger
  * components:
@@ -341,13 +541,23 @@ router.get('/:id', shopController.getShopById);
  *         name: category
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/ListingMinPrice'
+ *       - $ref: '#/components/parameters/ListingMaxPrice'
+ *       - $ref: '#/components/parameters/ListingInStock'
+ *       - $ref: '#/components/parameters/ListingMinRating'
+ *       - $ref: '#/components/parameters/ListingCity'
+ *       - $ref: '#/components/parameters/ListingVerified'
+ *       - $ref: '#/components/parameters/ListingSortBy'
+ *       - $ref: '#/components/parameters/ListingOrder'
  *     responses:
  *       200:
  *         description: List of shop products
+ *       400:
+ *         description: Invalid filter value or unknown sort
  *       404:
  *         description: Shop not found
  */
-router.get('/:id/products', shopController.getShopProducts);
+router.get('/:id/products', productListing, shopController.getShopProducts);
 
 
 // Seller routes
@@ -418,4 +628,49 @@ router.patch('/:id/verify',
   shopController.updateShopVerification
 );
 
+/**
+ * @swagger
+ * /api/v1/shops/{id}/commission:
+ *   patch:
+ *     tags:
+ *       - Shops
+ *     summary: Set the shop's commission rate
+ *     description: Overrides category and platform rates for this shop's orders. Send null to remove the override.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               commissionRate:
+ *                 type: number
+ *                 nullable: true
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 description: Percentage of the order total
+ *     responses:
+ *       200:
+ *         description: Commission rate updated
+ *       400:
+ *         description: Invalid rate
+ *       403:
+ *         description: Forbidden - Admin only
+ *       404:
+ *         description: Shop not found
+ */
+router.patch('/:id/commission',
+  auth,
+  auth.isAdmin,
+  shopController.updateShopCommission
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const taxRuleController = require('../controllers/taxRuleController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tax Rules
+ *   description: VAT rules applied to order quotes (admin only)
+ */
+
+router.use(auth, auth.isAdmin);
+
+/**
+ * @swagger
+ * /api/v1/tax-rules:
+ *   get:
+ *     tags: [Tax Rules]
+ *     summary: List tax rules
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ */
+router.get('/', taxRuleController.getTaxRules);
+
+/**
+ * @swagger
+ * /api/v1/tax-rules:
+ *   post:
+ *     tags: [Tax Rules]
+ *     summary: Create a tax rule
+ *     description: Leave country or category empty to apply the rule everywhere. The most specific matching rule wins.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - rate
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Tanzania VAT
+ *               rate:
+ *                 type: number
+ *                 example: 18
+ *               country:
+ *                 type: string
+ *                 example: Tanzania
+ *               category:
+ *                 type: string
+ *               inclusive:
+ *                 type: boolean
+ *                 default: true
+ *               isActive:
+ *                 type: boolean
+ *                 default: true
+ */
+router.post('/', taxRuleController.createTaxRule);
+
+/**
+ * @swagger
+ * /api/v1/tax-rules/{id}:
+ *   patch:
+ *     tags: [Tax Rules]
+ *     summary: Update a tax rule
+ *     security:
+ *       - bearerAuth: []
+ */
+router.patch('/:id', taxRuleController.updateTaxRule);
+
+/**
+ * @swagger
+ * /api/v1/tax-rules/{id}:
+ *   delete:
+ *     tags: [Tax Rules]
+ *     summary: Delete a tax rule
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id', taxRuleController.deleteTaxRule);
+
+module.exports = router;
@@ -260,10 +260,11 @@ const upload = require('../middleware/upload');
  *           schema:
  *             type: object
  *             required:
- *               - token
+ *               - code
  *             properties:
- *               token:
+ *               code:
  *                 type: string
+ *                 description: 6-digit code from the authenticator app
  *     responses:
  *       200:
  *         description: 2FA enabled successfully
@@ -465,19 +466,22 @@ router.patch("/:userId/push-notification-token", auth, userManagementController.
 //   userManagementController.updateUserProfile
 // );
 
-// router.post('/:id/2fa',
-//     auth,
-//     twoFactorAuthController.setup2FA
-//   );
-  
-//   router.put('/:id/2fa',
-//     auth,
-//     twoFactorAuthController.verify2FA
-//   );
-  
-//   router.delete('/:id/2fa',
-//     auth,
-//     twoFactorAuthController.disable2FA
-//   );
+// Set up 2FA, then confirm it with a code from the authenticator app
+router.post('/:id/2fa',
+  auth,
+  twoFactorAuthController.setup2FA
+);
+
+router.put('/:id/2fa',
+  auth,
+  twoFactorAuthController.verify2FA
+);
+
+// Turn a user's 2FA off so they can set it up again, e.g. after losing their phone (Admin)
+router.delete('/:id/2fa',
+  auth,
+  auth.isAdmin,
+  twoFactorAuthController.reset2FA
+);
 
 module.exports = router;
\ No newline at end of file
@@ -1,15 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const webhookController = require('../controllers/webhookController');
+const auth = require('../middleware/auth');
 
 /**
  * POST /api/webhooks/zenopay/callback
- * Receives payment status callbacks from ZenoPay
+ * Receives payment status callbacks from ZenoPay. Kept for callback URLs
+ * registered before POST /:provider existed.
  * 
  * IMPORTANT: This route should NOT have authentication middleware
  * because it's called by ZenoPay's servers, not your users
  */
-router.post('/zenopay/callback', webhookController.handleZenopayCallback);
+router.post('/zenopay/callback', webhookController.handleProviderWebhook);
 
 /**
  * GET /api/webhooks/zenopay/test
@@ -24,4 +26,83 @@ router.get('/zenopay/test', webhookController.testWebhook);
  */
 router.get('/orders/:orderId/payment-status', webhookController.checkPaymentStatus);
 
+/**
+ * @swagger
+ * /api/v1/webhooks/events:
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: List received payment webhooks (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [received, rejected, processing, processed, ignored, failed, duplicate]
+ *       - in: query
+ *         name: transactionId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ */
+router.get('/events', auth, auth.isAdmin, webhookController.getWebhookEvents);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/events/{id}:
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: Inspect a webhook with its headers, payload and outcome (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/events/:id', auth, auth.isAdmin, webhookController.getWebhookEventById);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/events/{id}/replay:
+ *   post:
+ *     tags: [Webhooks]
+ *     summary: Process a failed webhook again (admin only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The event after the replay
+ *       409:
+ *         description: The event did not fail
+ */
+router.post('/events/:id/replay', auth, auth.isAdmin, webhookController.replayWebhookEvent);
+
+/**
+ * POST /api/webhooks/:provider
+ * Receives payment callbacks from zenopay, mpesa, selcom or flutterwave.
+ * Each provider's adapter verifies its own callbacks, so no auth middleware.
+ */
+router.post('/:provider', webhookController.handleProviderWebhook);
+
 module.exports = router;
\ No newline at end of file
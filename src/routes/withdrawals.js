@@ -1,15 +1,37 @@
 const express = require('express');
 const router = express.Router();
-const { requestWithdrawal, getWithdrawals, updateWithdrawalStatus, getWalletBalance } = require('../controllers/withdrawalController');
+const {
+    requestWithdrawal,
+    getWithdrawals,
+    updateWithdrawalStatus,
+    getWalletBalance,
+    getLedger,
+    getLedgerReconciliation,
+    resolveLedgerMismatch,
+    syncPayout
+} = require('../controllers/withdrawalController');
 const auth = require('../middleware/auth');
 
 // Request a withdrawal (Any authenticated user with a Shop?) -> Actually logic checks for Shop ownership
+// Body: amount, twoFactorCode and optionally payoutAccountId (else the default account); limits are in src/config/withdrawals.js
 router.post('/', auth, requestWithdrawal);
+// Wallet plus what can be withdrawn now (held revenue, remaining caps)
 router.get('/balance', auth, getWalletBalance);
 
-// Get withdrawals (Admin sees all, Seller sees own)
+// Wallet statement, paginated (Seller sees own, Admin passes ?shop=)
+router.get('/ledger', auth, getLedger);
+
+// Wallets compared with their ledgers (Admin only)
+router.get('/ledger/reconciliation', auth, auth.isAdmin, getLedgerReconciliation);
+router.post('/ledger/reconciliation/:shopId', auth, auth.isAdmin, resolveLedgerMismatch);
+
+// Get withdrawals (Admin sees all and can filter ?flagged=true, Seller sees own)
 router.get('/', auth, getWithdrawals);
 
-router.patch('/:id/status', auth, updateWithdrawalStatus);
+// Approving sends the payout; rejecting returns the funds. Flagged requests need an adminNote (Admin)
+router.patch('/:id/status', auth, auth.isAdmin, updateWithdrawalStatus);
+
+// Check a processing payout with the provider now instead of waiting for the next sync (Admin)
+router.post('/:id/payout/sync', auth, auth.isAdmin, syncPayout);
 
 module.exports = router;
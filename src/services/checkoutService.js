@@ -0,0 +1,368 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { User } = require('../models/User');
+const paymentService = require('./paymentService');
+const notificationService = require('./notificationService');
+const stockReservationService = require('./stockReservationService');
+const pricingService = require('./pricingService');
+const couponService = require('./couponService');
+const orderStateService = require('./orderStateService');
+const commerceConfig = require('../config/commerce');
+const AppError = require('../utils/AppError');
+
+class CheckoutService {
+  // Merge duplicate lines so the same product or variant is only checked and reserved once
+  mergeLines(lines) {
+    const merged = new Map();
+
+    for (const line of lines) {
+      const variantId = line.variantId ? line.variantId.toString() : undefined;
+      const key = `${line.productId}:${variantId || ''}`;
+      const quantity = parseInt(line.quantity);
+      merged.set(key, {
+        productId: line.productId.toString(),
+        variantId,
+        quantity: (merged.get(key)?.quantity || 0) + quantity
+      });
+    }
+
+    return [...merged.values()];
+  }
+
+  /**
+   * Load the products behind a set of lines and check them against stock.
+   * Lines for products with variants must name one, and use its price and
+   * stock. Problems are returned as `issues` rather than thrown so the cart
+   * can show them to the buyer before checkout.
+   */
+  async resolveLines(lines) {
+    const mergedLines = this.mergeLines(lines);
+    const products = await Product.find({
+      _id: { $in: mergedLines.map(line => line.productId) }
+    }).populate({
+      path: 'shop',
+      select: 'name email owner status shippingRates'
+    });
+
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+    const items = [];
+    const issues = [];
+
+    for (const line of mergedLines) {
+      const product = productsById.get(line.productId);
+
+      if (!product) {
+        issues.push({
+          productId: line.productId,
+          code: 'not_found',
+          message: 'Product not found'
+        });
+        continue;
+      }
+
+      if (!product.shop || product.shop.status !== 'active') {
+        issues.push({
+          productId: line.productId,
+          code: 'shop_unavailable',
+          message: `${product.name} is not available from an active shop`
+        });
+        continue;
+      }
+
+      let variant;
+      if (product.variants.length > 0) {
+        variant = mongoose.isValidObjectId(line.variantId) && product.variants.id(line.variantId);
+        if (!variant) {
+          issues.push({
+            productId: line.productId,
+            variantId: line.variantId,
+            code: line.variantId ? 'variant_not_found' : 'variant_required',
+            message: line.variantId
+              ? `The selected option of ${product.name} is no longer available`
+              : `Choose ${product.options.map(option => option.name).join(' and ')} for ${product.name}`
+          });
+          continue;
+        }
+      } else if (line.variantId) {
+        issues.push({
+          productId: line.productId,
+          variantId: line.variantId,
+          code: 'variant_not_found',
+          message: `${product.name} has no options to choose from`
+        });
+        continue;
+      }
+
+      const stock = variant ? variant.stock : product.stock;
+      const label = variant ? `${product.name} (${Product.describeVariant(variant)})` : product.name;
+      if (stock < line.quantity) {
+        issues.push({
+          productId: line.productId,
+          variantId: line.variantId,
+          code: 'insufficient_stock',
+          available: stock,
+          message: `Only ${stock} items of ${label} available in stock`
+        });
+      }
+
+      items.push({
+        product,
+        variant,
+        price: variant ? variant.price : product.price,
+        quantity: line.quantity
+      });
+    }
+
+    return { items, issues };
+  }
+
+  groupByShop(items) {
+    const groups = new Map();
+
+    for (const item of items) {
+      const shopId = item.product.shop._id.toString();
+      if (!groups.has(shopId)) {
+        groups.set(shopId, { shop: item.product.shop, items: [] });
+      }
+      groups.get(shopId).items.push(item);
+    }
+
+    return [...groups.values()];
+  }
+
+  /**
+   * Price a set of lines without placing anything: one breakdown per shop
+   * plus the combined totals the buyer would pay.
+   */
+  async quote(lines, shippingAddress, { couponCode, userId } = {}) {
+    const { items, issues } = await this.resolveLines(lines);
+    const groups = this.groupByShop(items);
+    let amounts = await pricingService.quote(groups, shippingAddress);
+
+    if (couponCode && groups.length > 0) {
+      ({ amounts } = await couponService.apply(couponCode, { userId, groups, amounts }));
+    }
+
+    const shops = groups.map((group, index) => ({
+      shop: {
+        _id: group.shop._id,
+        name: group.shop.name
+      },
+      items: group.items.map(({ product, variant, price, quantity }) => ({
+        product: product._id,
+        variant: variant?._id,
+        name: product.name,
+        options: variant?.options,
+        price,
+        quantity
+      })),
+      amounts: amounts[index]
+    }));
+
+    const totals = ['subtotal', 'tax', 'shipping', 'discount', 'total'].reduce((acc, key) => {
+      const sum = amounts.reduce((total, shopAmounts) => total + (shopAmounts[key] || 0), 0);
+      acc[key] = Math.round(sum * 100) / 100;
+      return acc;
+    }, {});
+
+    return { shops, totals, issues };
+  }
+
+  generateCheckoutReference() {
+    return `CHK${Date.now()}${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+  }
+
+  /**
+   * Turn a list of { productId, variantId, quantity } lines into one order per shop.
+   * All orders share a checkout reference and, for mobile money, a single
+   * payment request covering the combined total. An optional coupon is
+   * validated against the whole checkout and counted once. The payment
+   * provider is the buyer's choice or the one used in their country.
+   */
+  async placeOrders({ userId, lines, shippingAddress, paymentMethod, couponCode, paymentProvider }) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new AppError('No items to order');
+    }
+
+    // Fail before anything is reserved if the provider can't take the payment
+    const provider = paymentMethod === 'mobile_money'
+      ? paymentService.selectProvider({ provider: paymentProvider, country: shippingAddress?.country })
+      : null;
+
+    if (lines.some(line => !line.productId || !(parseInt(line.quantity) > 0))) {
+      throw new AppError('Each item needs a productId and a quantity of at least 1');
+    }
+
+    const { items, issues } = await this.resolveLines(lines);
+    if (issues.length > 0) {
+      throw new AppError(issues.map(issue => issue.message));
+    }
+
+    const checkoutReference = this.generateCheckoutReference();
+    const reservationExpiresAt = paymentMethod === 'mobile_money'
+      ? new Date(Date.now() + commerceConfig.pendingPaymentTimeoutMinutes * 60 * 1000)
+      : undefined;
+
+    const groups = this.groupByShop(items);
+    let amounts = await pricingService.quote(groups, shippingAddress);
+
+    let coupon = null;
+    if (couponCode) {
+      ({ coupon, amounts } = await couponService.apply(couponCode, { userId, groups, amounts }));
+    }
+
+    const orders = groups.map((group, index) => new Order({
+      user: userId,
+      shop: group.shop._id,
+      checkoutReference,
+      items: group.items.map(item => ({
+        product: item.product._id,
+        quantity: item.quantity,
+        price: item.price,
+        name: item.product.name,
+        ...(item.variant && {
+          variant: item.variant._id,
+          sku: item.variant.sku,
+          options: item.variant.options
+        })
+      })),
+      shippingAddress,
+      paymentMethod,
+      amounts: amounts[index],
+      status: paymentMethod === 'mobile_money' ? 'pending_payment' : 'pending',
+      paymentStatus: 'pending',
+      reservation: { expiresAt: reservationExpiresAt }
+    }));
+
+    // Orders, stock, coupon use and the buyer's order list either all change
+    // or none do. Transactions need MongoDB to run as a replica set (Atlas always does).
+    await mongoose.connection.transaction(async (session) => {
+      for (const order of orders) {
+        await order.save({ session });
+        await stockReservationService.reserve(order, session);
+      }
+
+      if (coupon) {
+        await couponService.redeem(coupon, {
+          userId,
+          checkoutReference,
+          orders,
+          discount: orders.reduce((sum, order) => sum + order.amounts.discount, 0)
+        }, session);
+      }
+
+      await User.updateOne(
+        { _id: userId },
+        { $push: { orders: { $each: orders.map(order => order._id) } } },
+        { session }
+      );
+    });
+
+    // One payment prompt for the whole checkout, however many shops are involved
+    if (provider) {
+      let paymentResult;
+      try {
+        const user = await User.findById(userId);
+        const total = orders.reduce((sum, order) => sum + order.amounts.total, 0);
+        paymentResult = await paymentService.initiate(provider.name, {
+          reference: checkoutReference,
+          amount: Math.round(total * 100) / 100,
+          customer: {
+            name: user.username,
+            email: user.email,
+            phone: shippingAddress.phone
+          }
+        });
+      } catch (error) {
+        console.error(`Error starting ${provider.name} payment:`, error.message);
+        paymentResult = null;
+      }
+
+      if (!paymentResult) {
+        await this.abandonOrders(orders);
+        throw new AppError('Payment processing failed');
+      }
+
+      const paymentDetails = {
+        transactionId: paymentResult.transactionId,
+        provider: provider.name,
+        status: 'pending',
+        message: paymentResult.message,
+        initiatedAt: new Date()
+      };
+
+      await Order.updateMany(
+        { _id: { $in: orders.map(order => order._id) } },
+        { $set: { paymentDetails } }
+      );
+      orders.forEach(order => order.set('paymentDetails', paymentDetails));
+    }
+
+    await this.notifyOrdersPlaced(orders, userId, items);
+
+    return {
+      checkoutReference,
+      orders,
+      payment: orders[0].paymentDetails?.transactionId ? orders[0].paymentDetails : null
+    };
+  }
+
+  // Undo a checkout whose payment could not be started
+  async abandonOrders(orders) {
+    let changes;
+    await mongoose.connection.transaction(async (session) => {
+      changes = [];
+      for (const order of orders) {
+        changes.push(await orderStateService.transition(order, 'cancelled', {
+          actor: orderStateService.actors.system('checkout'),
+          note: 'Payment could not be started',
+          set: { paymentStatus: 'failed' },
+          session
+        }));
+      }
+
+      await couponService.release(orders[0].checkoutReference, session);
+    });
+    changes.forEach(change => orderStateService.publish(change));
+  }
+
+  async notifyOrdersPlaced(orders, userId, items) {
+    try {
+      const buyer = await User.findById(userId).select('username email expoPushToken');
+      const pushNotifications = [];
+
+      for (const order of orders) {
+        const shop = items.find(item => item.product.shop._id.equals(order.shop)).product.shop;
+        const shopOwner = await User.findById(shop.owner).select('username email expoPushToken');
+        const itemNames = order.items.map(item => item.name).join(', ');
+        const shopMessage = `New order #${order.orderNumber} for ${itemNames}`;
+        const buyerMessage = `Order #${order.orderNumber} placed successfully! We'll notify you about updates.`;
+
+        await Promise.all([
+          notificationService.createPersistentNotification(shop.owner, shopMessage, order._id),
+          notificationService.createPersistentNotification(userId, buyerMessage, order._id)
+        ]);
+
+        if (shopOwner?.expoPushToken) {
+          pushNotifications.push(
+            notificationService.sendPushNotification(shopOwner.expoPushToken, shopMessage)
+          );
+        }
+
+        if (buyer?.expoPushToken) {
+          pushNotifications.push(
+            notificationService.sendPushNotification(buyer.expoPushToken, buyerMessage)
+          );
+        }
+      }
+
+      await Promise.allSettled(pushNotifications);
+    } catch (error) {
+      console.error('Error sending order notifications:', error);
+    }
+  }
+}
+
+module.exports = new CheckoutService();
@@ -0,0 +1,76 @@
+const commerceConfig = require('../config/commerce');
+const Shop = require('../models/Shop');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+class CommissionService {
+  /**
+   * Percentage the platform keeps from an order. A rate set on the shop
+   * wins; otherwise each item uses the rate of its category (or the nearest
+   * parent category with one), falling back to the platform rate, and the
+   * order's rate is their average weighted by item value.
+   */
+  async getRate(order) {
+    if (!order) {
+      return commerceConfig.platformCommissionRate;
+    }
+
+    const shop = await Shop.findById(order.shop).select('commissionRate');
+    if (typeof shop?.commissionRate === 'number') {
+      return shop.commissionRate;
+    }
+
+    const products = await Product.find({ _id: { $in: order.items.map(item => item.product) } })
+      .select('category');
+    const categoryByProduct = new Map(products.map(product => [product._id.toString(), product.category]));
+    const ratesByCategory = new Map();
+
+    let weightedRate = 0;
+    let totalValue = 0;
+    for (const item of order.items) {
+      const categoryId = categoryByProduct.get(item.product.toString());
+      const key = String(categoryId);
+      if (!ratesByCategory.has(key)) {
+        ratesByCategory.set(key, await this.getCategoryRate(categoryId));
+      }
+
+      const value = item.price * item.quantity;
+      weightedRate += ratesByCategory.get(key) * value;
+      totalValue += value;
+    }
+
+    return totalValue > 0
+      ? Math.round(weightedRate / totalValue * 10000) / 10000
+      : commerceConfig.platformCommissionRate;
+  }
+
+  async getCategoryRate(categoryId) {
+    const lineage = await Category.getLineage(categoryId);
+    if (lineage.length > 0) {
+      const categories = await Category.find({
+        _id: { $in: lineage },
+        commissionRate: { $type: 'number' }
+      }).select('commissionRate');
+      const rates = new Map(categories.map(category => [category._id.toString(), category.commissionRate]));
+
+      // Nearest category first
+      const match = lineage.find(id => rates.has(id.toString()));
+      if (match) {
+        return rates.get(match.toString());
+      }
+    }
+    return commerceConfig.platformCommissionRate;
+  }
+
+  async calculate(order) {
+    const rate = await this.getRate(order);
+    return {
+      rate,
+      amount: roundAmount(order.amounts.total * rate / 100)
+    };
+  }
+}
+
+module.exports = new CommissionService();
@@ -0,0 +1,175 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Category = require('../models/Category');
+const AppError = require('../utils/AppError');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+class CouponService {
+  async findByCode(code) {
+    const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+    if (!coupon || !coupon.isActive) {
+      throw new AppError('Coupon code is not valid');
+    }
+
+    const now = new Date();
+    if (coupon.startsAt && coupon.startsAt > now) {
+      throw new AppError('This coupon is not active yet');
+    }
+    if (coupon.expiresAt && coupon.expiresAt <= now) {
+      throw new AppError('This coupon has expired');
+    }
+    if (coupon.usageLimit && coupon.redemptionCount >= coupon.usageLimit) {
+      throw new AppError('This coupon has been fully redeemed');
+    }
+
+    return coupon;
+  }
+
+  async checkUserLimit(coupon, userId, session) {
+    if (!coupon.perUserLimit || !userId) {
+      return;
+    }
+
+    const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId })
+      .session(session || null);
+    if (used >= coupon.perUserLimit) {
+      throw new AppError('You have already used this coupon the maximum number of times');
+    }
+  }
+
+  async isEligible(coupon, product) {
+    if (coupon.shop && !product.shop._id.equals(coupon.shop)) {
+      return false;
+    }
+
+    switch (coupon.scope) {
+      case 'product':
+        return product._id.equals(coupon.product);
+      case 'category': {
+        const lineage = await Category.getLineage(product.category);
+        return lineage.some(id => id.equals(coupon.category));
+      }
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Work out what a coupon takes off a checkout. `groups` are the per-shop
+   * { shop, items } groups and `amounts` their priced amounts; the discount
+   * is split across the shops in proportion to their eligible items.
+   * Returns one discount per group.
+   */
+  async calculate(coupon, groups, amounts) {
+    const eligibleTotals = [];
+    for (const group of groups) {
+      let eligible = 0;
+      for (const { product, price, quantity } of group.items) {
+        if (await this.isEligible(coupon, product)) {
+          eligible += price * quantity;
+        }
+      }
+      eligibleTotals.push(eligible);
+    }
+
+    const eligibleTotal = eligibleTotals.reduce((sum, amount) => sum + amount, 0);
+    if (eligibleTotal === 0) {
+      throw new AppError('This coupon does not apply to any of these items');
+    }
+    if (eligibleTotal < coupon.minSpend) {
+      throw new AppError(`Spend at least ${coupon.minSpend} on eligible items to use this coupon`);
+    }
+
+    let discount = coupon.type === 'percentage'
+      ? eligibleTotal * coupon.value / 100
+      : coupon.value;
+    if (coupon.maxDiscount != null) {
+      discount = Math.min(discount, coupon.maxDiscount);
+    }
+    discount = roundAmount(Math.min(discount, eligibleTotal));
+
+    // The last eligible shop takes the rounding remainder
+    const lastEligible = eligibleTotals.map(amount => amount > 0).lastIndexOf(true);
+    let allocated = 0;
+    return eligibleTotals.map((eligible, index) => {
+      let share = index === lastEligible
+        ? roundAmount(discount - allocated)
+        : roundAmount(discount * eligible / eligibleTotal);
+      share = Math.min(share, amounts[index].total);
+      allocated += share;
+      return share;
+    });
+  }
+
+  /**
+   * Validate a code against a checkout and return the amounts with the
+   * discount applied, ready to store on each order.
+   */
+  async apply(code, { userId, groups, amounts }) {
+    const coupon = await this.findByCode(code);
+    await this.checkUserLimit(coupon, userId);
+    const discounts = await this.calculate(coupon, groups, amounts);
+
+    return {
+      coupon,
+      amounts: amounts.map((shopAmounts, index) => ({
+        ...shopAmounts,
+        discount: discounts[index],
+        discountDetails: discounts[index] > 0
+          ? { coupon: coupon._id, code: coupon.code, type: coupon.type, value: coupon.value }
+          : undefined,
+        total: roundAmount(shopAmounts.total - discounts[index])
+      }))
+    };
+  }
+
+  /**
+   * Count a redemption inside the checkout transaction. The conditional
+   * increment enforces the total cap, and because every redemption writes the
+   * coupon document, concurrent checkouts using the same coupon conflict and
+   * are retried, so the per-user count read afterwards is reliable.
+   */
+  async redeem(coupon, { userId, checkoutReference, orders, discount }, session) {
+    const updated = await Coupon.findOneAndUpdate(
+      {
+        _id: coupon._id,
+        isActive: true,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$redemptionCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { redemptionCount: 1 } },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      throw new AppError('This coupon has been fully redeemed', 409);
+    }
+
+    await this.checkUserLimit(updated, userId, session);
+
+    await CouponRedemption.create([{
+      coupon: coupon._id,
+      user: userId,
+      checkoutReference,
+      orders: orders.map(order => order._id),
+      discount
+    }], { session });
+  }
+
+  // Give a use back when the checkout it belonged to never went ahead
+  async release(checkoutReference, session) {
+    const redemption = await CouponRedemption.findOneAndDelete({ checkoutReference }, { session });
+    if (redemption) {
+      await Coupon.updateOne(
+        { _id: redemption.coupon },
+        { $inc: { redemptionCount: -1 } },
+        { session }
+      );
+    }
+  }
+}
+
+module.exports = new CouponService();
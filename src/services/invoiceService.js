@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Counter = require('../models/Counter');
+const AppError = require('../utils/AppError');
+
+const formatMoney = (amount, currency) => `${currency} ${Number(amount || 0).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+class InvoiceService {
+  /**
+   * Give an order its invoice number the first time an invoice is issued.
+   * Numbers run per shop with no gaps: the counter and the order are
+   * updated in one transaction, so a lost race rolls the counter back.
+   */
+  async ensureInvoiceNumber(order) {
+    if (order.invoice?.number) {
+      return order.invoice;
+    }
+
+    const shopId = order.shop._id || order.shop;
+    let invoice;
+
+    try {
+      await mongoose.connection.transaction(async (session) => {
+        const sequence = await Counter.next(`invoice:${shopId}`, session);
+        invoice = {
+          number: `INV-${String(sequence).padStart(6, '0')}`,
+          sequence,
+          issuedAt: new Date()
+        };
+
+        const result = await Order.updateOne(
+          { _id: order._id, 'invoice.number': null },
+          { $set: { invoice } },
+          { session }
+        );
+
+        if (result.modifiedCount === 0) {
+          throw new AppError('Invoice already issued', 409);
+        }
+      });
+    } catch (error) {
+      if (error.status !== 409) {
+        throw error;
+      }
+      // Another request issued it first; use that number
+      ({ invoice } = await Order.findById(order._id).select('invoice'));
+    }
+
+    order.set('invoice', invoice);
+    return invoice;
+  }
+
+  /**
+   * Render an invoice for an order whose shop, buyer and item products are
+   * populated. Returns the PDF document stream; the caller pipes it out.
+   */
+  render(order) {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const { shop, amounts } = order;
+    const money = (amount) => formatMoney(amount, shop.wallet?.currency || 'TZS');
+
+    // Header: shop details on the left, invoice details on the right
+    doc.fontSize(20).text(shop.name, 50, 50);
+    doc.fontSize(9)
+      .text([shop.address?.street, shop.address?.city, shop.address?.country].filter(Boolean).join(', '))
+      .text(shop.contactInfo?.email || '')
+      .text(shop.contactInfo?.phone || '');
+    if (shop.contactInfo?.website) {
+      doc.text(shop.contactInfo.website);
+    }
+
+    doc.fontSize(16).text('INVOICE', 350, 50, { align: 'right' });
+    doc.fontSize(9)
+      .text(`Invoice no: ${order.invoice.number}`, { align: 'right' })
+      .text(`Invoice date: ${formatDate(order.invoice.issuedAt)}`, { align: 'right' })
+      .text(`Order no: ${order.orderNumber}`, { align: 'right' })
+      .text(`Order date: ${formatDate(order.createdAt)}`, { align: 'right' });
+
+    // Bill to
+    const address = order.shippingAddress || {};
+    doc.fontSize(10).text('Bill to', 50, 150, { underline: true });
+    doc.fontSize(9)
+      .text(order.user?.username || order.user?.email || '')
+      .text([address.street, address.city, address.state, address.country].filter(Boolean).join(', '))
+      .text(address.phone || '');
+
+    // Items
+    let y = 230;
+    const columns = { item: 50, quantity: 320, price: 380, total: 470 };
+    doc.fontSize(9).font('Helvetica-Bold')
+      .text('Item', columns.item, y)
+      .text('Qty', columns.quantity, y)
+      .text('Unit price', columns.price, y)
+      .text('Amount', columns.total, y);
+    doc.moveTo(50, y + 14).lineTo(545, y + 14).stroke();
+    doc.font('Helvetica');
+    y += 22;
+
+    for (const item of order.items) {
+      if (y > 720) {
+        doc.addPage();
+        y = 50;
+      }
+      const name = item.name || item.product?.name || '';
+      doc.text(item.variant ? `${name} (${Product.describeVariant(item)})` : name, columns.item, y, { width: 260 })
+        .text(String(item.quantity), columns.quantity, y)
+        .text(money(item.price), columns.price, y)
+        .text(money(item.price * item.quantity), columns.total, y);
+      y += 18;
+    }
+
+    // Amounts breakdown
+    doc.moveTo(320, y).lineTo(545, y).stroke();
+    y += 8;
+    const lines = [['Subtotal', amounts.subtotal]];
+    for (const taxLine of amounts.taxLines || []) {
+      lines.push([
+        `${taxLine.name} ${taxLine.rate}%${taxLine.inclusive ? ' (included)' : ''}`,
+        taxLine.amount
+      ]);
+    }
+    if (!amounts.taxLines?.length && amounts.tax) {
+      lines.push(['Tax', amounts.tax]);
+    }
+    lines.push(['Shipping', amounts.shipping]);
+    if (amounts.discount) {
+      lines.push([`Discount${amounts.discountDetails?.code ? ` (${amounts.discountDetails.code})` : ''}`, -amounts.discount]);
+    }
+
+    for (const [label, amount] of lines) {
+      doc.text(label, columns.quantity, y).text(money(amount), columns.total, y);
+      y += 16;
+    }
+    doc.font('Helvetica-Bold')
+      .text('Total', columns.quantity, y)
+      .text(money(amounts.total), columns.total, y);
+    doc.font('Helvetica');
+
+    // Payment
+    y += 40;
+    const payment = order.paymentDetails || {};
+    doc.fontSize(10).text('Payment', 50, y, { underline: true });
+    doc.fontSize(9)
+      .text(`Method: ${order.paymentMethod.replace(/_/g, ' ')}`)
+      .text(`Status: ${order.paymentStatus}`);
+    if (payment.paymentReference || payment.transactionId) {
+      doc.text(`Reference: ${payment.paymentReference || payment.transactionId}`);
+    }
+    if (payment.paidAt) {
+      doc.text(`Paid on: ${formatDate(payment.paidAt)}`);
+    }
+
+    doc.end();
+    return doc;
+  }
+}
+
+module.exports = new InvoiceService();
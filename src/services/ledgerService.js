@@ -0,0 +1,360 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Shop = require('../models/Shop');
+const AppError = require('../utils/AppError');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Ledger accounts mirrored on the shop document for fast reads
+const WALLET_FIELDS = {
+  shop_available: 'wallet.currentBalance',
+  shop_locked: 'wallet.lockedBalance'
+};
+
+const debit = (account, amount) => ({ account, debit: roundAmount(amount), credit: 0 });
+const credit = (account, amount) => ({ account, debit: 0, credit: roundAmount(amount) });
+
+/**
+ * Every change to a shop's wallet is posted here as a balanced ledger entry.
+ * Shop accounts are liabilities, so credits raise the wallet and debits
+ * lower it. The wallet fields on Shop are a running total of the ledger.
+ */
+class LedgerService {
+  /**
+   * Post an entry and apply it to the shop's wallet in the same write.
+   * `requireAvailable` refuses the posting (409) unless the shop's
+   * available balance covers that amount.
+   */
+  async post({ type, shop, lines, requireAvailable, ...refs }, session) {
+    const changes = {};
+    for (const line of lines) {
+      const field = WALLET_FIELDS[line.account];
+      if (field) {
+        changes[field] = roundAmount((changes[field] || 0) + line.credit - line.debit);
+      }
+    }
+
+    const filter = { _id: shop };
+    if (requireAvailable !== undefined) {
+      filter['wallet.currentBalance'] = { $gte: requireAvailable };
+    }
+
+    const updated = await Shop.findOneAndUpdate(filter, { $inc: changes }, { new: true, session })
+      .select('wallet');
+
+    if (!updated) {
+      const exists = await Shop.exists({ _id: shop }).session(session || null);
+      throw exists
+        ? new AppError('Insufficient funds', 409)
+        : new AppError('Shop not found', 404);
+    }
+
+    const [entry] = await LedgerEntry.create([{
+      type,
+      shop,
+      lines,
+      currency: updated.wallet.currency,
+      balances: {
+        available: updated.wallet.currentBalance,
+        locked: updated.wallet.lockedBalance
+      },
+      ...refs
+    }], { session });
+
+    return entry;
+  }
+
+  /**
+   * A confirmed delivery: the buyer's payment moves to the shop, and the
+   * platform takes its commission. Cash on delivery never passed through
+   * the platform, so only the commission is posted, leaving the shop owing it.
+   */
+  async recordDelivery(order, commission, session) {
+    const entries = [];
+
+    if (order.paymentMethod !== 'cash_on_delivery') {
+      entries.push(await this.post({
+        type: 'order_credit',
+        shop: order.shop,
+        order: order._id,
+        description: `Order #${order.orderNumber} delivered`,
+        lines: [
+          debit('payments_clearing', order.amounts.total),
+          credit('shop_available', order.amounts.total)
+        ]
+      }, session));
+    }
+
+    if (commission.amount > 0) {
+      entries.push(await this.post({
+        type: 'commission',
+        shop: order.shop,
+        order: order._id,
+        description: `${commission.rate}% commission on order #${order.orderNumber}`,
+        lines: [
+          debit('shop_available', commission.amount),
+          credit('platform_revenue', commission.amount)
+        ]
+      }, session));
+    }
+
+    return entries;
+  }
+
+  /**
+   * A refund comes out of the shop's wallet. The platform gives back its
+   * commission on the refunded share of the order first, so the shop only
+   * pays back what it was credited. Refused (409) when the available
+   * balance doesn't cover the rest.
+   */
+  async recordRefund(returnRequest, order, session) {
+    const shop = returnRequest.shop._id || returnRequest.shop;
+    const amount = returnRequest.refundAmount;
+    const entries = [];
+
+    const share = order.amounts?.total > 0 ? Math.min(amount / order.amounts.total, 1) : 0;
+    const commission = roundAmount((order.commission?.amount || 0) * share);
+    if (commission > 0) {
+      entries.push(await this.post({
+        type: 'commission',
+        shop,
+        order: order._id,
+        returnRequest: returnRequest._id,
+        description: `Commission returned on the refund for order #${order.orderNumber}`,
+        lines: [
+          debit('platform_revenue', commission),
+          credit('shop_available', commission)
+        ]
+      }, session));
+    }
+
+    try {
+      entries.push(await this.post({
+        type: 'refund',
+        shop,
+        order: order._id,
+        returnRequest: returnRequest._id,
+        requireAvailable: amount,
+        description: `Refund for order #${order.orderNumber}`,
+        lines: [
+          debit('shop_available', amount),
+          credit('payments_clearing', amount)
+        ]
+      }, session));
+    } catch (error) {
+      if (error.status === 409) {
+        throw new AppError(`The shop's available balance does not cover the refund of ${amount}`, 409);
+      }
+      throw error;
+    }
+
+    return entries;
+  }
+
+  // `reserve` is an amount that has to stay in the available balance (e.g. revenue on hold)
+  async lockWithdrawal(withdrawal, session, reserve = 0) {
+    return this.post({
+      type: 'withdrawal_lock',
+      shop: withdrawal.shop,
+      withdrawal: withdrawal._id,
+      requireAvailable: roundAmount(withdrawal.amount + reserve),
+      description: 'Withdrawal requested',
+      lines: [
+        debit('shop_available', withdrawal.amount),
+        credit('shop_locked', withdrawal.amount)
+      ]
+    }, session);
+  }
+
+  async releaseWithdrawal(withdrawal, description, session) {
+    return this.post({
+      type: 'withdrawal_release',
+      shop: withdrawal.shop,
+      withdrawal: withdrawal._id,
+      description,
+      lines: [
+        debit('shop_locked', withdrawal.amount),
+        credit('shop_available', withdrawal.amount)
+      ]
+    }, session);
+  }
+
+  async recordPayout(withdrawal, session) {
+    return this.post({
+      type: 'payout',
+      shop: withdrawal.shop,
+      withdrawal: withdrawal._id,
+      description: 'Withdrawal paid out',
+      lines: [
+        debit('shop_locked', withdrawal.amount),
+        credit('payouts_clearing', withdrawal.amount)
+      ]
+    }, session);
+  }
+
+  // What one entry did to the shop's available and locked balances
+  walletChange(entry) {
+    return Object.fromEntries(['shop_available', 'shop_locked'].map(account => [
+      account === 'shop_available' ? 'available' : 'locked',
+      roundAmount(entry.lines
+        .filter(line => line.account === account)
+        .reduce((sum, line) => sum + line.credit - line.debit, 0))
+    ]));
+  }
+
+  async getStatement(shopId, { type, startDate, endDate, page = 1, limit = 20 } = {}) {
+    const query = { shop: shopId };
+    if (type) query.type = type;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(query)
+        .populate('order', 'orderNumber')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LedgerEntry.countDocuments(query)
+    ]);
+
+    return {
+      entries: entries.map(entry => ({ ...entry.toJSON(), change: this.walletChange(entry) })),
+      total
+    };
+  }
+
+  // Wallet balances as the ledger has them, per shop; as of `before` if given
+  async getLedgerBalances(shopIds, { before } = {}) {
+    const match = shopIds ? { shop: { $in: shopIds.map(id => new mongoose.Types.ObjectId(id)) } } : {};
+    if (before) {
+      match.createdAt = { $lt: before };
+    }
+
+    const rows = await LedgerEntry.aggregate([
+      { $match: match },
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': { $in: Object.keys(WALLET_FIELDS) } } },
+      {
+        $group: {
+          _id: { shop: '$shop', account: '$lines.account' },
+          balance: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } }
+        }
+      }
+    ]);
+
+    const balances = new Map();
+    for (const row of rows) {
+      const shopId = row._id.shop.toString();
+      const shopBalances = balances.get(shopId) || { available: 0, locked: 0 };
+      shopBalances[row._id.account === 'shop_available' ? 'available' : 'locked'] = roundAmount(row.balance);
+      balances.set(shopId, shopBalances);
+    }
+    return balances;
+  }
+
+  /**
+   * Compare each shop's wallet with its ledger. Shops whose wallet predates
+   * the ledger show up here until an opening adjustment is posted.
+   */
+  async reconcile({ shopId, mismatchedOnly = false } = {}) {
+    const shopQuery = shopId
+      ? { _id: shopId }
+      : { $or: [{ 'wallet.currentBalance': { $ne: 0 } }, { 'wallet.lockedBalance': { $ne: 0 } }] };
+
+    const ledgerBalances = await this.getLedgerBalances(shopId ? [shopId] : undefined);
+    const shopIds = new Set([
+      ...(await Shop.find(shopQuery).distinct('_id')).map(id => id.toString()),
+      ...ledgerBalances.keys()
+    ]);
+    const shops = await Shop.find({ _id: { $in: [...shopIds] } }).select('name wallet');
+
+    const report = shops.map(shop => {
+      const wallet = {
+        available: roundAmount(shop.wallet?.currentBalance || 0),
+        locked: roundAmount(shop.wallet?.lockedBalance || 0)
+      };
+      const ledger = ledgerBalances.get(shop._id.toString()) || { available: 0, locked: 0 };
+      const difference = {
+        available: roundAmount(wallet.available - ledger.available),
+        locked: roundAmount(wallet.locked - ledger.locked)
+      };
+
+      return {
+        shop: { _id: shop._id, name: shop.name },
+        wallet,
+        ledger,
+        difference,
+        balanced: difference.available === 0 && difference.locked === 0
+      };
+    });
+
+    return mismatchedOnly ? report.filter(row => !row.balanced) : report;
+  }
+
+  /**
+   * Settle a mismatch. With source 'ledger' the wallet is reset to the
+   * ledger's balances; with source 'wallet' an adjustment entry brings the
+   * ledger in line with the wallet (e.g. opening balances).
+   */
+  async resolve(shopId, { source, note, userId }) {
+    if (!['ledger', 'wallet'].includes(source)) {
+      throw new AppError("source must be 'ledger' or 'wallet'");
+    }
+
+    const [row] = await this.reconcile({ shopId });
+    if (!row) {
+      throw new AppError('Shop not found', 404);
+    }
+    if (row.balanced) {
+      return row;
+    }
+
+    if (source === 'ledger') {
+      // Only overwrite the wallet if nothing was posted since it was read
+      const updated = await Shop.findOneAndUpdate(
+        {
+          _id: shopId,
+          'wallet.currentBalance': row.wallet.available,
+          'wallet.lockedBalance': row.wallet.locked
+        },
+        {
+          $set: {
+            'wallet.currentBalance': row.ledger.available,
+            'wallet.lockedBalance': row.ledger.locked
+          }
+        }
+      );
+      if (!updated) {
+        throw new AppError('The wallet changed while it was being reconciled; please retry', 409);
+      }
+    } else {
+      const lines = [];
+      for (const [account, key] of [['shop_available', 'available'], ['shop_locked', 'locked']]) {
+        const amount = row.difference[key];
+        if (amount > 0) {
+          lines.push(credit(account, amount), debit('adjustments', amount));
+        } else if (amount < 0) {
+          lines.push(debit(account, -amount), credit('adjustments', -amount));
+        }
+      }
+
+      // Posted straight to the ledger: the wallet already holds these amounts
+      await LedgerEntry.create({
+        type: 'adjustment',
+        shop: shopId,
+        description: note || 'Ledger brought in line with wallet',
+        lines,
+        balances: row.wallet,
+        createdBy: userId
+      });
+    }
+
+    const [after] = await this.reconcile({ shopId });
+    return after;
+  }
+}
+
+module.exports = new LedgerService();
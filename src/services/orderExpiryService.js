@@ -0,0 +1,120 @@
+const cron = require('node-cron');
+const Order = require('../models/Order');
+const paymentService = require('./paymentService');
+const paymentConfirmationService = require('./paymentConfirmationService');
+const orderStateService = require('./orderStateService');
+const commerceConfig = require('../config/commerce');
+
+class OrderExpiryService {
+  constructor() {
+    // Sweep for stale unpaid orders every 5 minutes
+    cron.schedule('*/5 * * * *', () => {
+      this.expireUnpaidOrders();
+    }, { scheduled: process.env.NODE_ENV !== 'test' });
+  }
+
+  /**
+   * Find mobile money orders still waiting for payment after the configured
+   * timeout. Each one is checked with the payment provider first, so a
+   * payment whose callback never arrived is confirmed instead of cancelled.
+   * Orders that are still unpaid are cancelled and their stock released.
+   * While the provider can't be reached orders are kept, up to a deadline.
+   */
+  async expireUnpaidOrders() {
+    try {
+      const now = Date.now();
+      const cutoff = new Date(now - commerceConfig.pendingPaymentTimeoutMinutes * 60 * 1000);
+      const staleOrders = await Order.find({
+        status: 'pending_payment',
+        $or: [
+          { 'reservation.expiresAt': { $lte: new Date(now) } },
+          // Orders placed before reservations had an expiry
+          { 'reservation.expiresAt': null, createdAt: { $lte: cutoff } }
+        ]
+      });
+
+      // Orders from one checkout share a transaction, so only ask once per transaction
+      const paymentStates = new Map();
+      let cancelled = 0;
+
+      for (const order of staleOrders) {
+        // One order failing mustn't hold up the rest of the sweep
+        try {
+          const transactionId = order.paymentDetails?.transactionId;
+
+          if (transactionId) {
+            if (!paymentStates.has(transactionId)) {
+              paymentStates.set(transactionId, await this.getPaymentState(order.paymentDetails));
+            }
+
+            const paymentState = paymentStates.get(transactionId);
+
+            if (paymentState === 'completed') {
+              await paymentConfirmationService.confirm(transactionId, {
+                actor: orderStateService.actors.system('order-expiry')
+              });
+              continue;
+            }
+
+            // The provider couldn't be reached; try again on the next sweep
+            // until the deadline passes
+            const expiredAt = order.reservation?.expiresAt
+              || new Date(order.createdAt.getTime() + commerceConfig.pendingPaymentTimeoutMinutes * 60 * 1000);
+            if (paymentState === null
+              && now - expiredAt.getTime() < commerceConfig.unconfirmedPaymentDeadlineMinutes * 60 * 1000) {
+              continue;
+            }
+          }
+
+          if (await this.cancelUnpaidOrder(order, now)) {
+            cancelled += 1;
+          }
+        } catch (error) {
+          console.error(`Error expiring order ${order.orderNumber}:`, error);
+        }
+      }
+
+      if (cancelled > 0) {
+        console.log(`📦 Cancelled ${cancelled} unpaid order(s) and released their stock`);
+      }
+    } catch (error) {
+      console.error('Error expiring unpaid orders:', error);
+    }
+  }
+
+  async getPaymentState({ transactionId, provider }) {
+    try {
+      return await paymentService.getPaymentState(transactionId, provider);
+    } catch (error) {
+      console.error(`Error checking payment ${transactionId}:`, error.message);
+      return null;
+    }
+  }
+
+  async cancelUnpaidOrder(order, now = Date.now()) {
+    const note = `Payment not received within ${commerceConfig.pendingPaymentTimeoutMinutes} minutes`;
+
+    try {
+      // Only cancel if a payment callback hasn't moved the order on meanwhile
+      await orderStateService.transition(order, 'cancelled', {
+        actor: orderStateService.actors.system('order-expiry'),
+        from: 'pending_payment',
+        note,
+        set: {
+          paymentStatus: 'cancelled',
+          'paymentDetails.status': 'cancelled',
+          'paymentDetails.cancelledAt': new Date(now),
+          'paymentDetails.failureReason': note
+        }
+      });
+      return true;
+    } catch (error) {
+      if (error.status === 409) {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new OrderExpiryService();
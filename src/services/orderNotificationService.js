@@ -0,0 +1,115 @@
+const Order = require('../models/Order');
+const { User } = require('../models/User');
+const notificationService = require('./notificationService');
+const orderStateService = require('./orderStateService');
+
+// Buyer-facing message for each status a shop moves an order to
+const STATUS_MESSAGES = {
+  processing: (order) => `Your order #${order.orderNumber} is being processed`,
+  shipped: (order) => `Your order #${order.orderNumber} has been shipped!`,
+  delivered: (order) => `Your order #${order.orderNumber} has been delivered`,
+  cancelled: (order) => `Your order #${order.orderNumber} has been cancelled`
+};
+
+/**
+ * Sends the in-app and push notifications for order status changes. It only
+ * listens to the order state service, so every path that moves an order
+ * (sellers, payment webhooks, scheduled jobs) notifies the same way.
+ * Return requests send their own, more detailed notifications.
+ */
+class OrderNotificationService {
+  constructor() {
+    orderStateService.on('transition', (change) => {
+      this.handleTransition(change).catch((error) => {
+        console.error('Error sending order status notification:', error);
+      });
+    });
+  }
+
+  async handleTransition({ order, from, to, actor }) {
+    if (from === 'pending_payment' && to === 'pending') {
+      return this.notifyPaymentConfirmed(order);
+    }
+
+    if (to === 'cancelled' && actor.name === 'order-expiry') {
+      return this.notifyUser(
+        order.user,
+        `Order #${order.orderNumber} was cancelled because we did not receive your payment in time`,
+        order._id
+      );
+    }
+
+    if (STATUS_MESSAGES[to] && from !== 'return_requested') {
+      await this.notifyUser(order.user, STATUS_MESSAGES[to](order), order._id);
+    }
+  }
+
+  async notifyUser(userId, message, orderId) {
+    await notificationService.createPersistentNotification(userId, message, orderId);
+
+    const user = await User.findById(userId).select('expoPushToken');
+    if (user?.expoPushToken) {
+      await notificationService.sendPushNotification(user.expoPushToken, message);
+    }
+  }
+
+  // For things someone has to sort out by hand, like refunds to pay out
+  async notifyAdmins(message, orderId) {
+    const admins = await User.find({ userType: 'ADMIN' }).select('_id');
+    await Promise.allSettled(admins.map(admin => this.notifyUser(admin._id, message, orderId)));
+  }
+
+  // Tell the buyer and the shop owner that an order's payment went through
+  async notifyPaymentConfirmed(order) {
+    const populated = await Order.findById(order._id)
+      .select('orderNumber user shop')
+      .populate('user', 'username expoPushToken')
+      .populate({
+        path: 'shop',
+        select: 'owner',
+        populate: {
+          path: 'owner',
+          select: 'username expoPushToken'
+        }
+      });
+
+    const buyer = populated.user;
+    const shopOwner = populated.shop?.owner;
+    const notificationMessages = {
+      buyer: `Payment confirmed for order #${order.orderNumber}! Your order is being processed.`,
+      shop: `Payment received for order #${order.orderNumber}. Please prepare the items for shipping.`
+    };
+
+    const notifications = [];
+
+    if (buyer) {
+      notifications.push(
+        notificationService.createPersistentNotification(buyer._id, notificationMessages.buyer, order._id)
+      );
+      if (buyer.expoPushToken) {
+        notifications.push(
+          notificationService.sendPushNotification(buyer.expoPushToken, notificationMessages.buyer)
+        );
+      }
+    }
+
+    if (shopOwner) {
+      notifications.push(
+        notificationService.createPersistentNotification(shopOwner._id, notificationMessages.shop, order._id)
+      );
+      if (shopOwner.expoPushToken) {
+        notifications.push(
+          notificationService.sendPushNotification(shopOwner.expoPushToken, notificationMessages.shop)
+        );
+      } else {
+        console.warn('⚠️ Shop owner has no expoPushToken');
+      }
+    } else {
+      console.warn('⚠️ Shop owner not found');
+    }
+
+    await Promise.allSettled(notifications);
+  }
+}
+
+module.exports = new OrderNotificationService();
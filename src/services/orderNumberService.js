@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const Shop = require('../models/Shop');
+const commerceConfig = require('../config/commerce');
+const AppError = require('../utils/AppError');
+
+const SEQUENCE_TOKEN = /\{SEQ(?::(\d+))?\}/;
+
+// Sequences are padded to at least this many digits, so a prefix ending in
+// a digit can't run into another prefix's sequence ("AB1" + "2" and "AB" + "12")
+const MIN_SEQUENCE_WIDTH = 6;
+const MAX_ATTEMPTS = 5;
+
+class OrderNumberService {
+  /**
+   * Build the next order number from the configured format. Everything in
+   * the format except the sequence becomes the counter's key, so each
+   * prefix/year/month combination counts on its own. The counter is bumped
+   * outside any transaction: a rolled-back checkout leaves a gap rather than
+   * holding a lock on it. Should a number still be taken (a sequence that
+   * outgrew its width), the next one is used; the unique index on
+   * orderNumber catches the rest.
+   */
+  async generate({ shopId, date = new Date(), format = commerceConfig.orderNumberFormat } = {}) {
+    let template = format
+      .replace(/\{YYYY\}/g, String(date.getFullYear()))
+      .replace(/\{YY\}/g, String(date.getFullYear()).slice(-2))
+      .replace(/\{MM\}/g, String(date.getMonth() + 1).padStart(2, '0'));
+
+    if (template.includes('{SHOP}')) {
+      template = template.replace(/\{SHOP\}/g, await this.getShopPrefix(shopId));
+    }
+
+    if (!SEQUENCE_TOKEN.test(template)) {
+      template = `${template}{SEQ}`;
+    }
+
+    const key = `orderNumber:${template.replace(SEQUENCE_TOKEN, '#')}`;
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const sequence = await Counter.next(key);
+      const orderNumber = template.replace(SEQUENCE_TOKEN, (match, width) => (
+        String(sequence).padStart(Math.max(parseInt(width) || 0, MIN_SEQUENCE_WIDTH), '0')
+      ));
+
+      // Order requires this service, so it is looked up when needed
+      if (!await mongoose.model('Order').exists({ orderNumber })) {
+        return orderNumber;
+      }
+    }
+
+    throw new AppError('Could not generate an order number', 500);
+  }
+
+  async getShopPrefix(shopId) {
+    const shop = shopId ? await Shop.findById(shopId).select('name orderNumberPrefix') : null;
+    if (shop?.orderNumberPrefix) {
+      return shop.orderNumberPrefix;
+    }
+
+    // Shops without a prefix fall back to the start of their name
+    const fromName = (shop?.name || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 4);
+    return fromName || 'SW';
+  }
+}
+
+module.exports = new OrderNumberService();
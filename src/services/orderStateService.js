@@ -0,0 +1,153 @@
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Shop = require('../models/Shop');
+const stockReservationService = require('./stockReservationService');
+const commissionService = require('./commissionService');
+const ledgerService = require('./ledgerService');
+const { isValidStatusTransition } = require('../utils/orderStatus');
+const AppError = require('../utils/AppError');
+
+// Who or what moved an order along: a signed-in user, a payment provider's
+// webhook, or a scheduled job
+const actors = {
+  user: (userId) => ({ type: 'user', user: userId }),
+  webhook: (provider) => ({ type: 'webhook', name: provider }),
+  system: (job) => ({ type: 'system', name: job })
+};
+
+/**
+ * The only place an order's status changes. Every transition is checked
+ * against ORDER_STATUS_FLOW, written with a conditional update so two
+ * writers can't both move the same order, and recorded in statusHistory
+ * with its actor.
+ *
+ * Each completed transition is emitted twice: as 'transition' and under the
+ * new status name, with { order, from, to, actor, note }.
+ */
+class OrderStateService extends EventEmitter {
+  constructor() {
+    super();
+    this.actors = actors;
+  }
+
+  /**
+   * Move an order to `to`. Options:
+   * - actor: from `actors`, required
+   * - from: fail unless the order is currently in this status
+   * - note: shown in the order timeline
+   * - set: extra fields written in the same update (e.g. paymentStatus)
+   * - session: join an existing transaction. The caller must then call
+   *   `publish` with the returned change once that transaction commits.
+   */
+  async transition(orderOrId, to, options = {}) {
+    if (options.session) {
+      return this.applyTransition(orderOrId, to, options);
+    }
+
+    let change;
+    await mongoose.connection.transaction(async (session) => {
+      change = await this.applyTransition(orderOrId, to, { ...options, session });
+    });
+    this.publish(change);
+    return change;
+  }
+
+  async applyTransition(orderOrId, to, { actor, from: expected, note, set = {}, session }) {
+    if (!actor?.type) {
+      throw new Error('Order transitions need an actor');
+    }
+
+    const orderId = orderOrId._id || orderOrId;
+    const order = await Order.findById(orderId).session(session);
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const from = order.status;
+    if (expected && from !== expected) {
+      throw new AppError(`Order is no longer ${expected.replace(/_/g, ' ')}`, 409);
+    }
+    if (!isValidStatusTransition(from, to)) {
+      throw new AppError(`Cannot change status from ${from} to ${to}`);
+    }
+
+    // Shops are paid on delivery, so it has to be confirmed rather than declared
+    if (to === 'delivered' && from === 'shipped' && !set['shipment.confirmedAt']) {
+      throw new AppError('Delivery must be confirmed by the buyer or with the delivery code');
+    }
+
+    const updated = await Order.findOneAndUpdate(
+      { _id: orderId, status: from },
+      {
+        $set: {
+          ...set,
+          status: to,
+          updatedAt: Date.now(),
+          ...(to === 'delivered' && from === 'shipped' && { deliveredAt: new Date() })
+        },
+        $push: {
+          statusHistory: {
+            status: to,
+            timestamp: new Date(),
+            updatedBy: actor.user,
+            actorType: actor.type,
+            actor: actor.name,
+            note
+          }
+        }
+      },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      throw new AppError('Order status changed while it was being updated; please retry', 409);
+    }
+
+    await this.applySideEffects(updated, from, to, session);
+
+    return { order: updated, from, to, actor, note };
+  }
+
+  // Stock and money movements that belong to the transition itself
+  async applySideEffects(order, from, to, session) {
+    if (to === 'cancelled') {
+      await stockReservationService.release(order, session);
+    }
+
+    // A rejected return also lands on delivered, but the shop was paid the first time
+    if (to === 'delivered' && from === 'shipped') {
+      await this.settleDelivery(order, session);
+    }
+  }
+
+  /**
+   * Pay the shop for a delivered order. The shop collects shipping and
+   * remits its own VAT, so it earns the full total less commission. For
+   * cash on delivery the shop already holds the cash, so its wallet is
+   * instead debited the commission it owes the platform.
+   */
+  async settleDelivery(order, session) {
+    const commission = await commissionService.calculate(order);
+
+    await Order.updateOne({ _id: order._id }, { $set: { commission } }, { session });
+    order.set('commission', commission);
+
+    await ledgerService.recordDelivery(order, commission, session);
+    await Shop.updateOne(
+      { _id: order.shop },
+      { $inc: { 'metrics.totalRevenue': order.amounts.total } },
+      { session }
+    );
+  }
+
+  publish(change) {
+    if (!change) {
+      return;
+    }
+    this.emit('transition', change);
+    this.emit(change.to, change);
+  }
+}
+
+module.exports = new OrderStateService();
@@ -0,0 +1,160 @@
+const Order = require('../models/Order');
+const orderStateService = require('./orderStateService');
+const orderNotificationService = require('./orderNotificationService');
+const paymentService = require('./paymentService');
+
+class PaymentConfirmationService {
+  /**
+   * Mark every unpaid order behind a provider transaction as paid. Orders
+   * waiting for payment move on to pending, which notifies the buyer and
+   * shop owner. Orders whose reservation already expired keep their
+   * cancelled status, since their stock has gone back on sale, and the
+   * payment is refunded.
+   * Resolves to the orders that were updated (empty if already processed).
+   */
+  async confirm(transactionId, { reference, actor = orderStateService.actors.webhook('zenopay') } = {}) {
+    const orders = await Order.find({
+      'paymentDetails.transactionId': transactionId,
+      paymentStatus: { $nin: ['completed', 'refunded'] }
+    });
+
+    const confirmed = [];
+
+    for (const order of orders) {
+      const payment = {
+        paymentStatus: 'completed',
+        'paymentDetails.status': 'completed',
+        'paymentDetails.paidAt': new Date(),
+        ...(reference && { 'paymentDetails.paymentReference': reference })
+      };
+
+      if (order.status !== 'pending_payment') {
+        // Only the first confirmation records the payment, so a repeated
+        // callback can't refund it twice
+        const paid = await Order.findOneAndUpdate(
+          { _id: order._id, paymentStatus: { $nin: ['completed', 'refunded'] } },
+          { $set: payment },
+          { new: true }
+        );
+        if (paid && paid.status === 'cancelled') {
+          confirmed.push(await this.refundCancelled(paid));
+        } else if (paid) {
+          confirmed.push(paid);
+        }
+        continue;
+      }
+
+      try {
+        const { order: updated } = await orderStateService.transition(order, 'pending', {
+          actor,
+          from: 'pending_payment',
+          note: 'Payment confirmed',
+          set: payment
+        });
+        confirmed.push(updated);
+        console.log(`✅ Order ${order.orderNumber} completed`);
+      } catch (error) {
+        // Lost a race with the expiry job or a duplicate callback; the next
+        // confirmation attempt picks the order up in its new status
+        if (error.status !== 409) {
+          throw error;
+        }
+      }
+    }
+
+    return confirmed;
+  }
+
+  /**
+   * Pay back an order that was paid after it was cancelled. Refunds the
+   * provider can't make are left on the order for an admin to pay by hand.
+   */
+  async refundCancelled(order) {
+    const amount = order.amounts?.total;
+    console.warn(`⚠️ Payment received for cancelled order ${order.orderNumber} - refunding it`);
+    const refund = await paymentService.refundOrder(order, amount, `Order #${order.orderNumber} was cancelled`);
+
+    const updated = await Order.findByIdAndUpdate(order._id, {
+      $set: {
+        refund: { ...refund, amount, requestedAt: new Date() },
+        ...(refund.status !== 'manual' && { paymentStatus: 'refunded' })
+      }
+    }, { new: true });
+
+    const notifications = [
+      orderNotificationService.notifyUser(
+        order.user,
+        refund.status === 'manual'
+          ? `We received your payment for order #${order.orderNumber} after it was cancelled. It will be refunded to you shortly.`
+          : `We received your payment for order #${order.orderNumber} after it was cancelled, so it has been refunded to your original payment method.`,
+        order._id
+      )
+    ];
+    if (refund.status === 'manual') {
+      notifications.push(orderNotificationService.notifyAdmins(
+        `Payment of ${amount} for cancelled order #${order.orderNumber} needs to be refunded manually: ${refund.reason}`,
+        order._id
+      ));
+    }
+    const results = await Promise.allSettled(notifications);
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.error('Error sending refund notification:', result.reason));
+
+    return updated;
+  }
+
+  /**
+   * The provider reported the payment as failed: orders still waiting for it
+   * are cancelled straight away rather than holding stock until they expire.
+   * Resolves to the orders that were cancelled.
+   */
+  async fail(transactionId, { reason = 'Payment failed', actor }) {
+    const orders = await Order.find({
+      'paymentDetails.transactionId': transactionId,
+      status: 'pending_payment'
+    });
+
+    const cancelled = [];
+
+    for (const order of orders) {
+      try {
+        const { order: updated } = await orderStateService.transition(order, 'cancelled', {
+          actor,
+          from: 'pending_payment',
+          note: reason,
+          set: {
+            paymentStatus: 'failed',
+            'paymentDetails.status': 'failed',
+            'paymentDetails.failureReason': reason
+          }
+        });
+        cancelled.push(updated);
+      } catch (error) {
+        if (error.status !== 409) {
+          throw error;
+        }
+      }
+    }
+
+    return cancelled;
+  }
+
+  // Apply a verified webhook event; pending payments are left alone
+  async applyEvent(providerName, event) {
+    const actor = orderStateService.actors.webhook(providerName);
+
+    if (event.status === 'completed') {
+      return this.confirm(event.transactionId, { reference: event.reference, actor });
+    }
+    if (event.status === 'failed') {
+      return this.fail(event.transactionId, {
+        reason: event.reason || `Payment failed at ${providerName}`,
+        actor
+      });
+    }
+    return [];
+  }
+}
+
+module.exports = new PaymentConfirmationService();
@@ -1,41 +1,137 @@
-require('dotenv').config();
-const { default: ZenoPay } = require('zenopay');
+const paymentsConfig = require('../config/payments');
+const AppError = require('../utils/AppError');
+const ZenoPayProvider = require('./payments/zenopayProvider');
+const MpesaProvider = require('./payments/mpesaProvider');
+const SelcomProvider = require('./payments/selcomProvider');
+const FlutterwaveProvider = require('./payments/flutterwaveProvider');
+const SandboxProvider = require('./payments/sandboxProvider');
 
+// Orders placed before providers were pluggable don't record one
+const LEGACY_PROVIDER = 'zenopay';
+
+/**
+ * Entry point for mobile money payments. Callers name a provider (or let one
+ * be picked for the buyer's country) and never talk to an adapter's API
+ * directly.
+ */
 class PaymentService {
   constructor() {
-    this.zenoPay = new ZenoPay({
-      accountID: process.env.ZENOPAY_ACCOUNT_ID,
-      apiKey: process.env.ZENOPAY_API_KEY,
-      secretKey: process.env.ZENOPAY_SECRET_KEY,
-    });
+    this.providers = new Map();
+    [
+      new ZenoPayProvider(paymentsConfig.zenopay),
+      new MpesaProvider(paymentsConfig.mpesa),
+      new SelcomProvider(paymentsConfig.selcom),
+      new FlutterwaveProvider(paymentsConfig.flutterwave)
+    ].forEach(provider => this.register(provider));
+
+    if (paymentsConfig.sandbox.enabled) {
+      this.register(new SandboxProvider(paymentsConfig.sandbox));
+    }
   }
 
-  async processPayment(orderDetails) {
-    try {
-      const paymentOptions = {
-        amountToCharge: orderDetails.amounts.total,
-        customerName: orderDetails.user.name,
-        customerEmail: orderDetails.user.email,
-        customerPhoneNumber: orderDetails.shippingAddress.phone,
-        callbackURL: process.env.ZENOPAY_CALLBACK_URL,
-      };
-      const result = await this.zenoPay.Pay(paymentOptions);
-      return result;
-    } catch (error) {
-      console.log("An error occured while making payment:",error)
-      throw new Error(`Payment processing failed: ${error.message}`);
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(name, status = 400) {
+    const provider = this.providers.get(String(name || '').toLowerCase());
+    if (!provider) {
+      throw new AppError(`Unknown payment provider: ${name}`, status);
+    }
+    return provider;
+  }
+
+  // Names of the providers buyers can pay with right now
+  getAvailableProviders() {
+    return [...this.providers.values()]
+      .filter(provider => provider.isConfigured())
+      .map(provider => provider.name);
+  }
+
+  /**
+   * An explicit choice wins, then the provider mapped to the shipping
+   * country, then the platform default. In sandbox mode nothing reaches a
+   * real provider.
+   */
+  selectProvider({ provider, country } = {}) {
+    if (paymentsConfig.sandbox.enabled) {
+      return this.getProvider('sandbox');
+    }
+
+    const name = provider
+      || paymentsConfig.countryProviders[String(country || '').toLowerCase()]
+      || paymentsConfig.defaultProvider;
+
+    const selected = this.getProvider(name);
+    if (!selected.isConfigured()) {
+      throw new AppError(`Payment provider ${selected.name} is not available`);
     }
+    return selected;
   }
 
-  async checkPaymentStatus(orderId) {
+  // Provider that sends withdrawals out; the sandbox in sandbox mode
+  selectPayoutProvider() {
+    const provider = this.getProvider(paymentsConfig.sandbox.enabled ? 'sandbox' : paymentsConfig.payoutProvider);
+    if (!provider.isConfigured()) {
+      throw new AppError(`Payout provider ${provider.name} is not available`);
+    }
+    return provider;
+  }
+
+  callbackUrl(providerName) {
+    return `${paymentsConfig.callbackBaseUrl}/api/v1/webhooks/${providerName}`;
+  }
+
+  async initiate(providerName, payment) {
+    const provider = this.getProvider(providerName);
+    return provider.initiate({
+      callbackUrl: this.callbackUrl(provider.name),
+      ...payment
+    });
+  }
+
+  async checkPaymentStatus(transactionId, providerName) {
+    return this.getProvider(providerName || LEGACY_PROVIDER).status(transactionId);
+  }
+
+  // Resolves to 'completed', 'failed' or 'pending'
+  async getPaymentState(transactionId, providerName) {
+    const { status } = await this.checkPaymentStatus(transactionId, providerName);
+    return status;
+  }
+
+  async refund(providerName, refund) {
+    return this.getProvider(providerName).refund(refund);
+  }
+
+  /**
+   * Refund an order through the provider it was paid with. Resolves to the
+   * refund's { status, provider, reference }, with status 'manual' and a
+   * reason when it has to be paid back by hand (cash on delivery, a
+   * provider without refunds, a failed refund).
+   */
+  async refundOrder(order, amount, reason) {
+    // paymentReference is the provider's receipt, e.g. the M-Pesa receipt number
+    const { provider, transactionId, paymentReference } = order.paymentDetails || {};
+    if (order.paymentMethod === 'cash_on_delivery' || !provider || !transactionId) {
+      return { status: 'manual', reason: 'Not paid through a payment provider' };
+    }
+
     try {
-      const result = await this.zenoPay.CheckPaymentStatus(orderId);
-      return result;
+      const result = await this.refund(provider, { transactionId, receipt: paymentReference, amount, reason });
+      if (result.status === 'failed') {
+        return { status: 'manual', provider, reason: `Refund rejected by ${provider}` };
+      }
+      return {
+        status: result.status === 'completed' ? 'completed' : 'pending',
+        provider,
+        reference: result.refundId ? String(result.refundId) : undefined
+      };
     } catch (error) {
-      throw new Error(`Payment status check failed: ${error.message}`);
+      console.error(`Refund for order ${order._id} failed:`, error.message);
+      return { status: 'manual', provider, reason: error.message };
     }
   }
-  
 }
 
-module.exports = new PaymentService();
\ No newline at end of file
+module.exports = new PaymentService();
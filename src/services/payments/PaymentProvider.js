@@ -0,0 +1,112 @@
+const AppError = require('../../utils/AppError');
+
+/**
+ * Interface every payment provider adapter implements. Statuses are always
+ * normalised to 'pending', 'completed' or 'failed'.
+ *
+ * - initiate({ reference, amount, currency, customer: { name, email, phone }, callbackUrl })
+ *     resolves to { transactionId, status, message, raw }
+ * - status(transactionId)
+ *     resolves to { status, reference, raw }
+ * - refund({ transactionId, receipt, amount, reason })
+ *     resolves to { refundId, status, raw }; receipt is the provider's own
+ *     reference for the payment, where it differs from transactionId
+ * - verifyWebhook(req)
+ *     resolves to { verified, reason, event: { eventId, transactionId, status, reference, reason, raw } }
+ *     (the top-level reason explains a failed verification)
+ *
+ * Providers that can send money out also implement:
+ * - payout({ reference, amount, currency, destination: { type, accountName, accountNumber,
+ *     bankName, phoneNumber, provider } })
+ *     resolves to { payoutId, status, raw }. Errors the provider definitely
+ *     refused carry rejected: true; any other error (a timeout, a 5xx) may
+ *     come after the money was sent.
+ * - payoutStatus(payoutId)
+ *     resolves to { status, reason, raw }. payoutId is the one payout()
+ *     returned, or our reference when payout() never answered.
+ */
+class PaymentProvider {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+  }
+
+  // Providers without credentials are left out of provider selection
+  isConfigured() {
+    return false;
+  }
+
+  async initiate() {
+    throw new AppError(`${this.name} does not support starting payments`, 501);
+  }
+
+  async status() {
+    throw new AppError(`${this.name} does not support status checks`, 501);
+  }
+
+  async refund() {
+    throw new AppError(`${this.name} does not support refunds through its API`, 501);
+  }
+
+  async payout() {
+    throw new AppError(`${this.name} does not support payouts`, 501);
+  }
+
+  async payoutStatus() {
+    throw new AppError(`${this.name} does not support payouts`, 501);
+  }
+
+  async verifyWebhook() {
+    return { verified: false, event: null };
+  }
+
+  // True when verifyWebhook checks a credential on every callback itself,
+  // so the webhook secret and IP allowlist may be left unset
+  authenticatesWebhooks() {
+    return false;
+  }
+
+  // What the provider expects back once a webhook has been handled
+  acknowledge(res) {
+    return res.status(200).json({ status: 'received' });
+  }
+
+  async request(method, url, { headers = {}, body } = {}) {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const text = await response.text();
+    let data;
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch (error) {
+      data = { message: text };
+    }
+
+    if (!response.ok) {
+      const message = data.message || data.errorMessage || data.ResultDesc || response.statusText;
+      const error = new Error(`${this.name} request failed (${response.status}): ${message}`);
+      // A 4xx means the provider read the request and turned it down
+      error.rejected = response.status < 500 && ![408, 429].includes(response.status);
+      throw error;
+    }
+
+    return data;
+  }
+
+  // An error for a request the provider answered and refused
+  rejection(message) {
+    const error = new Error(message);
+    error.rejected = true;
+    return error;
+  }
+}
+
+module.exports = PaymentProvider;
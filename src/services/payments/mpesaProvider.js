@@ -0,0 +1,177 @@
+const PaymentProvider = require('./PaymentProvider');
+
+// Daraja returns this while the customer hasn't answered the STK prompt yet
+const STILL_PROCESSING = '500.001.1001';
+
+const timestamp = () => new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14);
+
+// 07XXXXXXXX / +2547XXXXXXXX -> 2547XXXXXXXX
+const formatPhone = (phone = '') => {
+  const digits = String(phone).replace(/\D/g, '');
+  return digits.startsWith('0') ? `254${digits.slice(1)}` : digits;
+};
+
+/**
+ * M-Pesa Daraja STK push (Lipa na M-Pesa Online). The CheckoutRequestID is
+ * used as the transaction id.
+ */
+class MpesaProvider extends PaymentProvider {
+  constructor(config) {
+    super('mpesa', config);
+    this.token = null;
+  }
+
+  isConfigured() {
+    const { consumerKey, consumerSecret, shortCode, passkey } = this.config;
+    return Boolean(consumerKey && consumerSecret && shortCode && passkey);
+  }
+
+  async getAccessToken() {
+    if (this.token && this.token.expiresAt > Date.now()) {
+      return this.token.value;
+    }
+
+    const credentials = Buffer
+      .from(`${this.config.consumerKey}:${this.config.consumerSecret}`)
+      .toString('base64');
+    const data = await this.request(
+      'GET',
+      `${this.config.baseUrl}/oauth/v1/generate?grant_type=client_credentials`,
+      { headers: { Authorization: `Basic ${credentials}` } }
+    );
+
+    this.token = {
+      value: data.access_token,
+      // Refresh a minute early
+      expiresAt: Date.now() + (parseInt(data.expires_in) - 60) * 1000
+    };
+    return this.token.value;
+  }
+
+  async call(path, body) {
+    const token = await this.getAccessToken();
+    return this.request('POST', `${this.config.baseUrl}${path}`, {
+      headers: { Authorization: `Bearer ${token}` },
+      body
+    });
+  }
+
+  password(time) {
+    return Buffer.from(`${this.config.shortCode}${this.config.passkey}${time}`).toString('base64');
+  }
+
+  async initiate({ reference, amount, customer, callbackUrl }) {
+    const time = timestamp();
+    const phone = formatPhone(customer.phone);
+    const data = await this.call('/mpesa/stkpush/v1/processrequest', {
+      BusinessShortCode: this.config.shortCode,
+      Password: this.password(time),
+      Timestamp: time,
+      TransactionType: 'CustomerPayBillOnline',
+      Amount: Math.ceil(amount),
+      PartyA: phone,
+      PartyB: this.config.shortCode,
+      PhoneNumber: phone,
+      CallBackURL: callbackUrl,
+      AccountReference: reference.slice(0, 12),
+      TransactionDesc: 'Order payment'
+    });
+
+    if (data.ResponseCode !== '0') {
+      throw new Error(`Payment processing failed: ${data.ResponseDescription || data.errorMessage}`);
+    }
+
+    return {
+      transactionId: data.CheckoutRequestID,
+      status: 'pending',
+      message: data.CustomerMessage,
+      raw: data
+    };
+  }
+
+  async status(transactionId) {
+    const time = timestamp();
+    let data;
+    try {
+      data = await this.call('/mpesa/stkpushquery/v1/query', {
+        BusinessShortCode: this.config.shortCode,
+        Password: this.password(time),
+        Timestamp: time,
+        CheckoutRequestID: transactionId
+      });
+    } catch (error) {
+      if (error.message.includes(STILL_PROCESSING) || error.message.includes('being processed')) {
+        return { status: 'pending', raw: null };
+      }
+      throw error;
+    }
+
+    if (data.ResultCode === undefined) {
+      return { status: 'pending', raw: data };
+    }
+
+    return {
+      status: String(data.ResultCode) === '0' ? 'completed' : 'failed',
+      raw: data
+    };
+  }
+
+  // Reversals are asynchronous; Daraja reports the outcome to the result URL
+  async refund({ transactionId, amount, reason, receipt }) {
+    if (!this.config.initiatorName || !this.config.securityCredential) {
+      return super.refund();
+    }
+
+    const data = await this.call('/mpesa/reversal/v1/request', {
+      Initiator: this.config.initiatorName,
+      SecurityCredential: this.config.securityCredential,
+      CommandID: 'TransactionReversal',
+      TransactionID: receipt || transactionId,
+      Amount: Math.ceil(amount),
+      ReceiverParty: this.config.shortCode,
+      RecieverIdentifierType: '11',
+      ResultURL: this.config.resultUrl,
+      QueueTimeOutURL: this.config.resultUrl,
+      Remarks: (reason || 'Refund').slice(0, 100),
+      Occasion: 'Refund'
+    });
+
+    return {
+      refundId: data.ConversationID,
+      status: 'pending',
+      raw: data
+    };
+  }
+
+  /**
+   * Daraja callbacks aren't signed, so the result in the callback is only
+   * trusted after the same outcome is read back from the query API.
+   */
+  async verifyWebhook(req) {
+    const callback = req.body?.Body?.stkCallback;
+    if (!callback?.CheckoutRequestID) {
+      return { verified: false, event: null };
+    }
+
+    const { status } = await this.status(callback.CheckoutRequestID);
+    const receipt = (callback.CallbackMetadata?.Item || [])
+      .find(item => item.Name === 'MpesaReceiptNumber')?.Value;
+
+    return {
+      verified: true,
+      event: {
+        eventId: `${callback.CheckoutRequestID}:${callback.ResultCode}`,
+        transactionId: callback.CheckoutRequestID,
+        status,
+        reference: receipt,
+        raw: req.body
+      }
+    };
+  }
+
+  acknowledge(res) {
+    return res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  }
+}
+
+module.exports = MpesaProvider;
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+const AppError = require('../../utils/AppError');
+const webhookVerificationService = require('../webhookVerificationService');
+
+// What each simulated outcome looks like to the rest of the app
+const OUTCOMES = {
+  success: { paymentStatus: 'COMPLETED' },
+  failure: { paymentStatus: 'FAILED', reason: 'Insufficient balance' },
+  timeout: { paymentStatus: 'EXPIRED', reason: 'Customer did not respond to the payment prompt' }
+};
+
+const STATUSES = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  EXPIRED: 'failed'
+};
+
+/**
+ * Offline stand-in for a mobile money provider. Payments stay pending until
+ * an outcome is simulated through the sandbox endpoints, which then deliver
+ * the callback like a real provider would. Responses are shaped like
+ * ZenoPay's. Transactions only live in memory, so they are lost on restart.
+ */
+class SandboxProvider extends PaymentProvider {
+  constructor(config) {
+    super('sandbox', config);
+    this.transactions = new Map();
+    this.payouts = new Map();
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async initiate({ reference, amount, currency = 'TZS', customer, callbackUrl }) {
+    if (!customer?.phone) {
+      throw new Error('Payment processing failed: a phone number is required');
+    }
+
+    const transactionId = `SBX${Date.now()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    const transaction = {
+      order_id: transactionId,
+      reference: null,
+      checkout_reference: reference,
+      amount,
+      currency,
+      phone: customer.phone,
+      payment_status: 'PENDING',
+      callback_url: callbackUrl,
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+    this.transactions.set(transactionId, transaction);
+
+    return {
+      transactionId,
+      status: 'pending',
+      message: 'Request in progress. You will receive a callback shortly',
+      raw: { success: true, message: { ...transaction } }
+    };
+  }
+
+  getTransaction(transactionId) {
+    const transaction = this.transactions.get(transactionId);
+    if (!transaction) {
+      throw new AppError(`Sandbox transaction ${transactionId} not found`, 404);
+    }
+    return transaction;
+  }
+
+  async status(transactionId) {
+    const transaction = this.transactions.get(transactionId);
+    if (!transaction) {
+      throw new Error(`Payment status check failed: transaction ${transactionId} not found`);
+    }
+
+    return {
+      status: STATUSES[transaction.payment_status],
+      reference: transaction.reference,
+      raw: { success: true, message: { ...transaction } }
+    };
+  }
+
+  /**
+   * Settle a pending transaction with 'success', 'failure' or 'timeout' and
+   * return the signed callback the provider would send: { headers, body, rawBody }.
+   */
+  simulate(transactionId, outcome) {
+    const result = OUTCOMES[outcome];
+    if (!result) {
+      throw new AppError(`Outcome must be one of: ${Object.keys(OUTCOMES).join(', ')}`);
+    }
+
+    const transaction = this.getTransaction(transactionId);
+    if (transaction.payment_status !== 'PENDING') {
+      throw new AppError(`Transaction is already ${transaction.payment_status.toLowerCase()}`, 409);
+    }
+
+    transaction.payment_status = result.paymentStatus;
+    transaction.updated_at = new Date();
+    if (outcome === 'success') {
+      transaction.reference = `SBXREF${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    } else {
+      transaction.reason = result.reason;
+    }
+
+    const body = {
+      order_id: transaction.order_id,
+      payment_status: transaction.payment_status,
+      reference: transaction.reference,
+      reason: transaction.reason
+    };
+    const rawBody = Buffer.from(JSON.stringify(body));
+    const { secret, signatureHeader, timestampHeader, encoding } = this.config.webhook;
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const payload = timestampHeader ? `${timestamp}.${rawBody}` : rawBody;
+
+    return {
+      headers: {
+        'content-type': 'application/json',
+        [signatureHeader]: webhookVerificationService.sign(secret, payload, encoding),
+        ...(timestampHeader && { [timestampHeader]: timestamp })
+      },
+      body,
+      rawBody
+    };
+  }
+
+  // Payouts stay pending until an outcome is simulated
+  async payout({ reference, amount, currency = 'TZS', destination }) {
+    const payoutId = `SBXPO${Date.now()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    const payout = {
+      id: payoutId,
+      reference,
+      amount,
+      currency,
+      destination,
+      status: 'PENDING',
+      created_at: new Date()
+    };
+    this.payouts.set(payoutId, payout);
+
+    return { payoutId, status: 'pending', raw: { ...payout } };
+  }
+
+  async payoutStatus(payoutId) {
+    const payout = this.payouts.get(payoutId)
+      || [...this.payouts.values()].find(candidate => candidate.reference === payoutId);
+    if (!payout) {
+      throw new Error(`Payout status check failed: payout ${payoutId} not found`);
+    }
+
+    return {
+      status: STATUSES[payout.status],
+      reason: payout.reason,
+      raw: { ...payout }
+    };
+  }
+
+  getPayout(payoutId) {
+    const payout = this.payouts.get(payoutId);
+    if (!payout) {
+      throw new AppError(`Sandbox payout ${payoutId} not found`, 404);
+    }
+    return payout;
+  }
+
+  // Settle a pending payout with 'success' or 'failure'
+  simulatePayout(payoutId, outcome) {
+    if (!['success', 'failure'].includes(outcome)) {
+      throw new AppError('Outcome must be one of: success, failure');
+    }
+
+    const payout = this.getPayout(payoutId);
+    if (payout.status !== 'PENDING') {
+      throw new AppError(`Payout is already ${payout.status.toLowerCase()}`, 409);
+    }
+
+    payout.status = outcome === 'success' ? 'COMPLETED' : 'FAILED';
+    if (outcome === 'failure') {
+      payout.reason = 'Recipient account could not be credited';
+    }
+    return payout;
+  }
+
+  // Only callbacks matching a settled sandbox transaction are accepted
+  async verifyWebhook(req) {
+    const { order_id: transactionId, payment_status: reportedStatus } = req.body || {};
+    const transaction = this.transactions.get(transactionId);
+    if (!transaction || transaction.payment_status !== reportedStatus) {
+      return { verified: false, event: null };
+    }
+
+    return {
+      verified: true,
+      event: {
+        eventId: `${transactionId}:${reportedStatus}`,
+        transactionId,
+        status: STATUSES[reportedStatus],
+        reference: transaction.reference,
+        reason: transaction.reason,
+        raw: req.body
+      }
+    };
+  }
+}
+
+module.exports = SandboxProvider;
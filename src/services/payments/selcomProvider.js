@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+
+const normalizeStatus = (value = '') => {
+  const status = String(value).toUpperCase();
+  if (['COMPLETED', 'SUCCESS'].includes(status)) {
+    return 'completed';
+  }
+  if (['FAILED', 'CANCELLED', 'USERCANCELED', 'REJECTED', 'EXPIRED'].includes(status)) {
+    return 'failed';
+  }
+  return 'pending';
+};
+
+/**
+ * Selcom Checkout API. Orders are created with our order reference as the
+ * Selcom order_id, then a USSD push is sent to the buyer's wallet.
+ */
+class SelcomProvider extends PaymentProvider {
+  constructor(config) {
+    super('selcom', config);
+  }
+
+  isConfigured() {
+    return Boolean(this.config.apiKey && this.config.apiSecret && this.config.vendor);
+  }
+
+  // Selcom signs "timestamp=...&field=value&..." over the fields listed in Signed-Fields
+  signedHeaders(fields) {
+    const timestamp = new Date().toISOString().replace(/\.\d{3}Z$/, '+00:00');
+    const signedFields = Object.keys(fields);
+    const payload = [`timestamp=${timestamp}`, ...signedFields.map(key => `${key}=${fields[key]}`)].join('&');
+    const digest = crypto.createHmac('sha256', this.config.apiSecret).update(payload).digest('base64');
+
+    return {
+      Authorization: `SELCOM ${Buffer.from(this.config.apiKey).toString('base64')}`,
+      'Digest-Method': 'HS256',
+      Digest: digest,
+      Timestamp: timestamp,
+      'Signed-Fields': signedFields.join(',')
+    };
+  }
+
+  call(method, path, fields) {
+    const url = `${this.config.baseUrl}${path}`;
+    if (method === 'GET') {
+      const query = new URLSearchParams(fields).toString();
+      return this.request('GET', `${url}?${query}`, { headers: this.signedHeaders(fields) });
+    }
+    return this.request(method, url, { headers: this.signedHeaders(fields), body: fields });
+  }
+
+  async initiate({ reference, amount, currency = 'TZS', customer, callbackUrl }) {
+    const order = await this.call('POST', '/v1/checkout/create-order-minimal', {
+      vendor: this.config.vendor,
+      order_id: reference,
+      buyer_email: customer.email,
+      buyer_name: customer.name,
+      buyer_phone: customer.phone,
+      amount: Math.ceil(amount),
+      currency,
+      webhook: Buffer.from(callbackUrl || '').toString('base64'),
+      no_of_items: 1
+    });
+
+    if (order.resultcode !== '000') {
+      throw new Error(`Payment processing failed: ${order.message}`);
+    }
+
+    const push = await this.call('POST', '/v1/checkout/wallet-payment', {
+      transid: reference,
+      order_id: reference,
+      msisdn: customer.phone
+    });
+
+    if (push.resultcode !== '000') {
+      throw new Error(`Payment processing failed: ${push.message}`);
+    }
+
+    return {
+      transactionId: reference,
+      status: 'pending',
+      message: push.message,
+      raw: { order, push }
+    };
+  }
+
+  async status(transactionId) {
+    const result = await this.call('GET', '/v1/checkout/order-status', { order_id: transactionId });
+    const [payment] = result.data || [];
+
+    return {
+      status: normalizeStatus(payment?.payment_status),
+      reference: payment?.reference,
+      raw: result
+    };
+  }
+
+  // Selcom's webhook signature isn't documented reliably, so the outcome is
+  // confirmed with the order-status API before it is trusted
+  async verifyWebhook(req) {
+    const { order_id: transactionId, payment_status: reportedStatus, reference } = req.body || {};
+    if (!transactionId) {
+      return { verified: false, event: null };
+    }
+
+    const { status } = await this.status(transactionId);
+
+    return {
+      verified: true,
+      event: {
+        eventId: `${transactionId}:${reportedStatus || status}`,
+        transactionId,
+        status,
+        reference,
+        raw: req.body
+      }
+    };
+  }
+
+  acknowledge(res) {
+    return res.status(200).json({ result: 'SUCCESS', resultcode: '000', message: 'Received' });
+  }
+}
+
+module.exports = SelcomProvider;
@@ -0,0 +1,110 @@
+const { default: ZenoPay } = require('zenopay');
+const PaymentProvider = require('./PaymentProvider');
+
+// ZenoPay reports the status as `payment_status` or `status` depending on the endpoint
+const normalizeStatus = (result) => {
+  const status = (result?.message?.payment_status || result?.message?.status || '').toUpperCase();
+  if (['COMPLETED', 'SUCCESS'].includes(status)) {
+    return 'completed';
+  }
+  if (['FAILED', 'CANCELLED', 'REJECTED', 'EXPIRED'].includes(status)) {
+    return 'failed';
+  }
+  return 'pending';
+};
+
+class ZenoPayProvider extends PaymentProvider {
+  constructor(config) {
+    super('zenopay', config);
+    this.client = new ZenoPay({
+      accountID: config.accountId,
+      apiKey: config.apiKey,
+      secretKey: config.secretKey
+    });
+  }
+
+  isConfigured() {
+    return Boolean(this.config.accountId && this.config.apiKey && this.config.secretKey);
+  }
+
+  async initiate({ amount, customer, callbackUrl }) {
+    let result;
+    try {
+      result = await this.client.Pay({
+        amountToCharge: amount,
+        customerName: customer.name,
+        customerEmail: customer.email,
+        customerPhoneNumber: customer.phone,
+        callbackURL: this.config.callbackUrl || callbackUrl
+      });
+    } catch (error) {
+      console.log('An error occured while making payment:', error);
+      throw new Error(`Payment processing failed: ${error.message}`);
+    }
+
+    if (!result?.success) {
+      throw new Error(`Payment processing failed: ${result?.message?.message || 'rejected by ZenoPay'}`);
+    }
+
+    return {
+      transactionId: result.message.order_id,
+      status: 'pending',
+      message: result.message.message,
+      raw: result
+    };
+  }
+
+  async status(transactionId) {
+    let result;
+    try {
+      result = await this.client.CheckPaymentStatus(transactionId);
+    } catch (error) {
+      throw new Error(`Payment status check failed: ${error.message}`);
+    }
+
+    return {
+      status: normalizeStatus(result),
+      reference: result?.message?.reference,
+      raw: result
+    };
+  }
+
+  /**
+   * ZenoPay's SDK doesn't reliably send the x-api-key header, so it is only
+   * required when configured. The payload isn't signed, so the status is
+   * always confirmed with the API.
+   */
+  authenticatesWebhooks() {
+    return Boolean(this.config.requireApiKey && this.config.apiKey);
+  }
+
+  async verifyWebhook(req) {
+    const apiKey = req.headers['x-api-key'];
+    if (!apiKey && this.config.requireApiKey) {
+      return { verified: false, reason: 'Missing x-api-key header', event: null };
+    }
+    if (apiKey && apiKey !== this.config.apiKey) {
+      return { verified: false, reason: 'Invalid API key', event: null };
+    }
+
+    const { order_id: transactionId, payment_status: reportedStatus, reference } = req.body || {};
+    if (!transactionId) {
+      return { verified: false, event: null };
+    }
+
+    const { status } = await this.status(transactionId);
+
+    return {
+      verified: true,
+      event: {
+        eventId: `${transactionId}:${reportedStatus || status}`,
+        transactionId,
+        status,
+        reference,
+        raw: req.body
+      }
+    };
+  }
+}
+
+module.exports = ZenoPayProvider;
@@ -0,0 +1,226 @@
+const Shop = require('../models/Shop');
+const WithdrawalRequest = require('../models/WithdrawalRequest');
+const { User } = require('../models/User');
+const withdrawalConfig = require('../config/withdrawals');
+const notificationService = require('./notificationService');
+const AppError = require('../utils/AppError');
+
+const EDITABLE_FIELDS = ['type', 'accountName', 'accountNumber', 'bankName', 'phoneNumber', 'provider'];
+
+// Changing any of these points the account at different money
+const DESTINATION_FIELDS = ['type', 'accountName', 'accountNumber', 'bankName', 'phoneNumber'];
+
+// "Amani J. Mwakyusa-Juma" -> ['amani', 'j', 'mwakyusa', 'juma']
+const nameTokens = (name = '') => name
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+const lastDigits = (account) => (account.accountNumber || account.phoneNumber || '').slice(-4);
+
+/**
+ * Saved bank accounts and mobile money numbers a shop is paid out to. An
+ * account must be in the shop owner's name, and after an account is added or
+ * its destination changes it can't receive withdrawals until a cooling-off
+ * period has passed. The owner is notified of every change.
+ */
+class PayoutAccountService {
+  async getShop(ownerId) {
+    const shop = await Shop.findOne({ owner: ownerId }).select('payoutAccounts owner');
+    if (!shop) {
+      throw new AppError('No shop found for this user', 404);
+    }
+    return shop;
+  }
+
+  getAccount(shop, accountId) {
+    const account = shop.payoutAccounts.id(accountId);
+    if (!account) {
+      throw new AppError('Payout account not found', 404);
+    }
+    return account;
+  }
+
+  validate(account) {
+    const errors = [];
+    if (!['bank', 'mobile_money'].includes(account.type)) {
+      errors.push("type must be 'bank' or 'mobile_money'");
+    }
+    if (!account.accountName?.trim()) {
+      errors.push('accountName is required');
+    }
+    if (account.type === 'bank') {
+      if (!account.accountNumber?.trim()) errors.push('accountNumber is required for bank accounts');
+      if (!account.bankName?.trim()) errors.push('bankName is required for bank accounts');
+    }
+    if (account.type === 'mobile_money' && !/^\+?\d{9,15}$/.test(account.phoneNumber || '')) {
+      errors.push('A valid phoneNumber is required for mobile money accounts');
+    }
+    if (errors.length > 0) {
+      throw new AppError(errors);
+    }
+  }
+
+  /**
+   * The account name has to contain the owner's first and last name, in any
+   * order and ignoring case, accents and punctuation.
+   */
+  async verifyName(ownerId, accountName) {
+    const owner = await User.findById(ownerId).select('profile.firstName profile.lastName');
+    const ownerTokens = nameTokens(`${owner?.profile?.firstName || ''} ${owner?.profile?.lastName || ''}`);
+    if (ownerTokens.length < 2) {
+      throw new AppError('Add your first and last name to your profile before adding a payout account');
+    }
+
+    const accountTokens = new Set(nameTokens(accountName));
+    if (!ownerTokens.every(token => accountTokens.has(token))) {
+      throw new AppError("The account name must match the shop owner's name");
+    }
+    return new Date();
+  }
+
+  coolingOffEnd() {
+    return new Date(Date.now() + withdrawalConfig.payoutAccountCoolingOffHours * 60 * 60 * 1000);
+  }
+
+  // A shop's first account, before it ever withdrew, is usable right away
+  async getAvailableAt(shop) {
+    if (shop.payoutAccounts.length === 0 && !(await WithdrawalRequest.exists({ shop: shop._id }))) {
+      return new Date();
+    }
+    return this.coolingOffEnd();
+  }
+
+  async list(ownerId) {
+    const shop = await this.getShop(ownerId);
+    return shop.payoutAccounts;
+  }
+
+  async add(ownerId, data) {
+    const shop = await this.getShop(ownerId);
+    const fields = this.pick(data);
+    this.validate(fields);
+
+    const account = shop.payoutAccounts.create({
+      ...fields,
+      nameVerifiedAt: await this.verifyName(ownerId, fields.accountName),
+      availableAt: await this.getAvailableAt(shop),
+      isDefault: shop.payoutAccounts.length === 0 || data.isDefault === true
+    });
+    if (account.isDefault) {
+      shop.payoutAccounts.forEach(existing => { existing.isDefault = false; });
+    }
+    shop.payoutAccounts.push(account);
+    await shop.save();
+
+    await this.notifyOwner(shop, `A payout account ending ${lastDigits(account)} was added to your shop`, account);
+    return account;
+  }
+
+  async update(ownerId, accountId, data) {
+    const shop = await this.getShop(ownerId);
+    const account = this.getAccount(shop, accountId);
+    const updates = this.pick(data);
+    const merged = { ...account.toObject(), ...updates };
+    this.validate(merged);
+
+    const changed = DESTINATION_FIELDS.some(field => (merged[field] || '') !== (account[field] || ''));
+    if (changed) {
+      updates.nameVerifiedAt = await this.verifyName(ownerId, merged.accountName);
+      updates.availableAt = this.coolingOffEnd();
+    }
+    account.set(updates);
+    await shop.save();
+
+    if (changed) {
+      await this.notifyOwner(shop, `The payout account ending ${lastDigits(account)} was changed`, account);
+    }
+    return account;
+  }
+
+  async remove(ownerId, accountId) {
+    const shop = await this.getShop(ownerId);
+    const account = this.getAccount(shop, accountId);
+
+    shop.payoutAccounts.pull(account._id);
+    // Keep a default while any account is left
+    if (account.isDefault && shop.payoutAccounts.length > 0) {
+      shop.payoutAccounts[0].isDefault = true;
+    }
+    await shop.save();
+
+    await this.notifyOwner(shop, `The payout account ending ${lastDigits(account)} was removed from your shop`);
+    return shop.payoutAccounts;
+  }
+
+  async setDefault(ownerId, accountId) {
+    const shop = await this.getShop(ownerId);
+    const account = this.getAccount(shop, accountId);
+
+    shop.payoutAccounts.forEach(existing => { existing.isDefault = existing._id.equals(account._id); });
+    await shop.save();
+
+    await this.notifyOwner(shop, `Withdrawals now go to the payout account ending ${lastDigits(account)} by default`, account);
+    return account;
+  }
+
+  /**
+   * The account a withdrawal is paid to: the given one, or the shop's
+   * default. The shop must be loaded with +payoutAccounts. Returns the
+   * paymentDetails snapshot stored on the request.
+   */
+  resolveForWithdrawal(shop, accountId) {
+    const payoutAccounts = shop.payoutAccounts || [];
+    const account = accountId
+      ? payoutAccounts.find(existing => existing._id.toString() === String(accountId))
+      : payoutAccounts.find(existing => existing.isDefault);
+
+    if (!account) {
+      throw new AppError(accountId ? 'Payout account not found' : 'Add a payout account before requesting a withdrawal', accountId ? 404 : 400);
+    }
+    if (account.availableAt > new Date()) {
+      throw new AppError(`This payout account was changed recently and can receive withdrawals from ${account.availableAt.toISOString()}`);
+    }
+
+    return {
+      payoutAccount: account._id,
+      paymentDetails: {
+        type: account.type,
+        details: {
+          accountName: account.accountName,
+          accountNumber: account.accountNumber,
+          bankName: account.bankName,
+          phoneNumber: account.phoneNumber,
+          provider: account.provider
+        }
+      }
+    };
+  }
+
+  pick(data = {}) {
+    return Object.fromEntries(EDITABLE_FIELDS
+      .filter(field => data[field] !== undefined)
+      .map(field => [field, typeof data[field] === 'string' ? data[field].trim() : data[field]]));
+  }
+
+  async notifyOwner(shop, message, account) {
+    const text = account && account.availableAt > new Date()
+      ? `${message}. It can receive withdrawals from ${account.availableAt.toISOString()}. If you didn't make this change, contact support right away.`
+      : `${message}. If you didn't make this change, contact support right away.`;
+
+    try {
+      await notificationService.createPersistentNotification(shop.owner, text);
+
+      const owner = await User.findById(shop.owner).select('expoPushToken');
+      if (owner?.expoPushToken) {
+        await notificationService.sendPushNotification(owner.expoPushToken, text);
+      }
+    } catch (error) {
+      console.error('Error sending payout account notification:', error);
+    }
+  }
+}
+
+module.exports = new PayoutAccountService();
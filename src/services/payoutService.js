@@ -0,0 +1,209 @@
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const WithdrawalRequest = require('../models/WithdrawalRequest');
+const Shop = require('../models/Shop');
+const { User } = require('../models/User');
+const paymentService = require('./paymentService');
+const ledgerService = require('./ledgerService');
+const notificationService = require('./notificationService');
+
+// Give a fresh transfer time to settle before asking the provider about it
+const STATUS_CHECK_DELAY_MS = 60 * 1000;
+
+/**
+ * Sends approved withdrawals to the seller through the payout provider.
+ * The amount stays locked while the transfer is processing; once paid it
+ * leaves the ledger as a payout, and if the transfer fails it goes back to
+ * the seller's available balance.
+ */
+class PayoutService {
+  constructor() {
+    // Follow up on transfers the provider hasn't settled yet
+    cron.schedule('*/10 * * * *', () => {
+      this.syncPendingPayouts();
+    }, { scheduled: process.env.NODE_ENV !== 'test' });
+  }
+
+  /**
+   * Send an approved withdrawal. Resolves to the withdrawal in its new
+   * state, or null if it wasn't waiting to be sent.
+   */
+  async start(withdrawalId) {
+    let provider;
+    try {
+      provider = paymentService.selectPayoutProvider();
+    } catch (error) {
+      // Stays approved and is picked up once a provider is configured
+      console.error('Payout not started:', error.message);
+      return WithdrawalRequest.findById(withdrawalId);
+    }
+
+    const pending = await WithdrawalRequest.findById(withdrawalId).select('shop');
+    const shop = pending && await Shop.findById(pending.shop).select('wallet.currency');
+
+    // Our own reference until the provider gives one, so a payout left
+    // unconfirmed by a crash is still followed up by syncPendingPayouts
+    const withdrawal = await WithdrawalRequest.findOneAndUpdate(
+      { _id: withdrawalId, status: 'approved' },
+      {
+        $set: {
+          status: 'processing',
+          'payout.provider': provider.name,
+          'payout.reference': withdrawalId.toString(),
+          'payout.initiatedAt': new Date()
+        },
+        $inc: { 'payout.attempts': 1 }
+      },
+      { new: true }
+    );
+    if (!withdrawal) {
+      return null;
+    }
+
+    let result;
+    try {
+      result = await provider.payout({
+        reference: withdrawal._id.toString(),
+        amount: withdrawal.amount,
+        currency: shop?.wallet?.currency,
+        destination: {
+          type: withdrawal.paymentDetails.type,
+          ...withdrawal.paymentDetails.details
+        }
+      });
+    } catch (error) {
+      if (error.rejected) {
+        console.error(`Payout for withdrawal ${withdrawal._id} was rejected:`, error.message);
+        return this.fail(withdrawal, error.message);
+      }
+
+      // The transfer may have gone through, so the funds stay locked until
+      // the provider reports it under our reference
+      console.error(`Payout for withdrawal ${withdrawal._id} is unconfirmed:`, error.message);
+      return withdrawal;
+    }
+
+    withdrawal.payout.reference = result.payoutId;
+    await WithdrawalRequest.updateOne(
+      { _id: withdrawal._id },
+      { $set: { 'payout.reference': result.payoutId } }
+    );
+
+    return this.settle(withdrawal, result);
+  }
+
+  async settle(withdrawal, { status, reason }) {
+    if (status === 'completed') {
+      return this.complete(withdrawal);
+    }
+    if (status === 'failed') {
+      return this.fail(withdrawal, reason || 'Rejected by the payout provider');
+    }
+    return withdrawal;
+  }
+
+  async complete(withdrawal) {
+    let paid;
+    await mongoose.connection.transaction(async (session) => {
+      paid = await WithdrawalRequest.findOneAndUpdate(
+        { _id: withdrawal._id, status: 'processing' },
+        { $set: { status: 'paid', 'payout.paidAt': new Date() } },
+        { new: true, session }
+      );
+      if (paid) {
+        await ledgerService.recordPayout(paid, session);
+      }
+    });
+
+    if (!paid) {
+      return WithdrawalRequest.findById(withdrawal._id);
+    }
+
+    const reference = paid.payout.reference ? ` (ref ${paid.payout.reference})` : '';
+    await this.notifySeller(paid, `Your withdrawal of ${paid.amount} has been paid${reference}`);
+    return paid;
+  }
+
+  async fail(withdrawal, reason) {
+    let failed;
+    await mongoose.connection.transaction(async (session) => {
+      failed = await WithdrawalRequest.findOneAndUpdate(
+        { _id: withdrawal._id, status: 'processing' },
+        {
+          $set: {
+            status: 'failed',
+            'payout.failedAt': new Date(),
+            'payout.failureReason': reason
+          }
+        },
+        { new: true, session }
+      );
+      if (failed) {
+        await ledgerService.releaseWithdrawal(failed, `Payout failed: ${reason}`, session);
+      }
+    });
+
+    if (!failed) {
+      return WithdrawalRequest.findById(withdrawal._id);
+    }
+
+    await this.notifySeller(
+      failed,
+      `Your withdrawal of ${failed.amount} could not be paid out: ${reason}. The funds are back in your available balance.`
+    );
+    return failed;
+  }
+
+  // Ask the provider about one processing payout
+  async sync(withdrawal) {
+    if (withdrawal.status !== 'processing' || !withdrawal.payout?.reference) {
+      return withdrawal;
+    }
+
+    const provider = paymentService.getProvider(withdrawal.payout.provider);
+    const result = await provider.payoutStatus(withdrawal.payout.reference);
+    return this.settle(withdrawal, result);
+  }
+
+  async syncPendingPayouts() {
+    try {
+      // Approved while no provider was available
+      const approved = await WithdrawalRequest.find({ status: 'approved' }).select('_id');
+      for (const { _id } of approved) {
+        await this.start(_id);
+      }
+
+      const processing = await WithdrawalRequest.find({
+        status: 'processing',
+        'payout.reference': { $exists: true },
+        'payout.initiatedAt': { $lte: new Date(Date.now() - STATUS_CHECK_DELAY_MS) }
+      });
+
+      for (const withdrawal of processing) {
+        try {
+          await this.sync(withdrawal);
+        } catch (error) {
+          // The provider couldn't be reached; try again on the next run
+          console.error(`Error checking payout for withdrawal ${withdrawal._id}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('Error syncing payouts:', error);
+    }
+  }
+
+  async notifySeller(withdrawal, message) {
+    try {
+      await notificationService.createPersistentNotification(withdrawal.user, message);
+
+      const seller = await User.findById(withdrawal.user).select('expoPushToken');
+      if (seller?.expoPushToken) {
+        await notificationService.sendPushNotification(seller.expoPushToken, message);
+      }
+    } catch (error) {
+      console.error('Error sending payout notification:', error);
+    }
+  }
+}
+
+module.exports = new PayoutService();
@@ -0,0 +1,173 @@
+const TaxRule = require('../models/TaxRule');
+const Category = require('../models/Category');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+class PricingService {
+  /**
+   * Pick the most specific active rule for an item: a rule on the item's own
+   * category beats one on a parent category, which beats a category-less
+   * rule; within each, a country-specific rule beats a global one.
+   */
+  findTaxRule(rules, lineage, country) {
+    let bestRule = null;
+    let bestScore = Infinity;
+
+    for (const rule of rules) {
+      if (rule.country && rule.country.toLowerCase() !== (country || '').toLowerCase()) {
+        continue;
+      }
+
+      let categoryDepth = lineage.length;
+      if (rule.category) {
+        categoryDepth = lineage.findIndex(id => id.equals(rule.category));
+        if (categoryDepth === -1) {
+          continue;
+        }
+      }
+
+      const score = categoryDepth * 2 + (rule.country ? 0 : 1);
+      if (score < bestScore) {
+        bestRule = rule;
+        bestScore = score;
+      }
+    }
+
+    return bestRule;
+  }
+
+  calculateTax(items, rules, lineages, country) {
+    const taxLines = new Map();
+    let tax = 0;
+    let exclusiveTax = 0;
+
+    for (const { product, price, quantity } of items) {
+      const lineTotal = price * quantity;
+      const rule = this.findTaxRule(rules, lineages.get(product.category.toString()) || [], country);
+      if (!rule || rule.rate === 0) {
+        continue;
+      }
+
+      const amount = rule.inclusive
+        ? lineTotal - lineTotal / (1 + rule.rate / 100)
+        : lineTotal * rule.rate / 100;
+
+      tax += amount;
+      if (!rule.inclusive) {
+        exclusiveTax += amount;
+      }
+
+      const key = rule._id.toString();
+      if (!taxLines.has(key)) {
+        taxLines.set(key, {
+          rule: rule._id,
+          name: rule.name,
+          rate: rule.rate,
+          inclusive: rule.inclusive,
+          taxableAmount: 0,
+          amount: 0
+        });
+      }
+      taxLines.get(key).taxableAmount += lineTotal;
+      taxLines.get(key).amount += amount;
+    }
+
+    return {
+      tax: roundAmount(tax),
+      exclusiveTax: roundAmount(exclusiveTax),
+      taxLines: [...taxLines.values()].map(line => ({
+        ...line,
+        taxableAmount: roundAmount(line.taxableAmount),
+        amount: roundAmount(line.amount)
+      }))
+    };
+  }
+
+  calculateShipping(shop, items, subtotal, city) {
+    const rates = shop.shippingRates || [];
+    const normalizedCity = (city || '').trim().toLowerCase();
+    const rate = rates.find(r => r.cities.some(c => c.toLowerCase() === normalizedCity))
+      || rates.find(r => r.cities.length === 0);
+
+    const weightKg = items.reduce((sum, { product, quantity }) => sum + (product.weight || 0) * quantity, 0);
+
+    if (!rate) {
+      return {
+        fee: 0,
+        details: { rate: null, weightKg, fee: 0, freeShippingApplied: false }
+      };
+    }
+
+    const freeShippingApplied = rate.freeShippingThreshold != null
+      && subtotal >= rate.freeShippingThreshold;
+    const fee = freeShippingApplied ? 0 : roundAmount(rate.baseFee + rate.perKgFee * weightKg);
+
+    return {
+      fee,
+      details: { rate: rate.name, weightKg, fee, freeShippingApplied }
+    };
+  }
+
+  /**
+   * Price one order per group of { shop, items }, where each item is
+   * { product, price, quantity }: the unit price (the variant's, for
+   * variants) and a product carrying category and weight.
+   * The result is in the shape stored on Order.amounts.
+   */
+  async quote(groups, shippingAddress = {}) {
+    const rules = await TaxRule.find({ isActive: true });
+
+    const lineages = new Map();
+    for (const group of groups) {
+      for (const { product } of group.items) {
+        const categoryId = product.category.toString();
+        if (!lineages.has(categoryId)) {
+          lineages.set(categoryId, await Category.getLineage(product.category));
+        }
+      }
+    }
+
+    return groups.map(group => {
+      const subtotal = roundAmount(group.items.reduce(
+        (sum, { price, quantity }) => sum + price * quantity,
+        0
+      ));
+      const { tax, exclusiveTax, taxLines } = this.calculateTax(
+        group.items, rules, lineages, shippingAddress.country
+      );
+      const shipping = this.calculateShipping(group.shop, group.items, subtotal, shippingAddress.city);
+
+      return {
+        subtotal,
+        tax,
+        shipping: shipping.fee,
+        total: roundAmount(subtotal + exclusiveTax + shipping.fee),
+        taxLines,
+        shippingDetails: shipping.details
+      };
+    });
+  }
+
+  /**
+   * What the buyer paid for returned items: their share of the order total
+   * less shipping, so coupon discounts and exclusive tax are spread over the
+   * items by value. Shipping is only refunded when everything comes back.
+   * Never more than the order total.
+   */
+  calculateRefund(order, returnItems) {
+    const orderValue = order.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    const returnedValue = returnItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    const total = order.amounts?.total ?? orderValue;
+    const shipping = order.amounts?.shipping || 0;
+
+    const returnedCount = returnItems.reduce((sum, item) => sum + item.quantity, 0);
+    const orderedCount = order.items.reduce((sum, item) => sum + item.quantity, 0);
+    if (returnedCount === orderedCount) {
+      return total;
+    }
+
+    return Math.min(total, roundAmount((total - shipping) * returnedValue / (orderValue || 1)));
+  }
+}
+
+module.exports = new PricingService();
@@ -0,0 +1,228 @@
+const { isValidObjectId } = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const AppError = require('../utils/AppError');
+
+// Most common values returned per text or select facet
+const FACET_VALUE_LIMIT = 20;
+
+const RANGE_TYPES = ['number', 'date'];
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Attribute values on products, checked against the typed attribute
+ * definitions of the product's category and the categories above it, plus
+ * the filters and facet counts product listings build from them.
+ */
+class ProductAttributeService {
+  /**
+   * Attribute definitions that apply to a category: its own and those
+   * inherited from its ancestors. A subcategory's definition replaces an
+   * inherited one with the same name.
+   */
+  async getDefinitions(categoryId) {
+    if (!isValidObjectId(categoryId)) {
+      throw new AppError('Invalid category ID');
+    }
+
+    const lineage = await Category.getLineage(categoryId);
+    if (lineage.length === 0) {
+      throw new AppError('Category not found', 404);
+    }
+
+    const categories = await Category.find({ _id: { $in: lineage } }).select('attributes');
+    const byId = new Map(categories.map(category => [category._id.toString(), category]));
+
+    const definitions = new Map();
+    for (const id of lineage) {
+      for (const attribute of byId.get(id.toString())?.attributes || []) {
+        const key = attribute.name?.trim().toLowerCase();
+        if (key && !definitions.has(key)) {
+          definitions.set(key, {
+            name: attribute.name.trim(),
+            type: attribute.type,
+            required: attribute.required,
+            options: attribute.options || []
+          });
+        }
+      }
+    }
+    return [...definitions.values()];
+  }
+
+  findDefinition(definitions, name) {
+    const key = String(name).trim().toLowerCase();
+    return definitions.find(definition => definition.name.toLowerCase() === key);
+  }
+
+  // The value stored for a definition; throws a message when it doesn't fit the type
+  coerce(definition, value) {
+    switch (definition.type) {
+      case 'number': {
+        const number = typeof value === 'number' ? value : Number(String(value).trim());
+        if (typeof value === 'boolean' || !Number.isFinite(number)) {
+          throw new AppError(`${definition.name} must be a number`);
+        }
+        return number;
+      }
+      case 'boolean':
+        if (value === true || value === 'true') return true;
+        if (value === false || value === 'false') return false;
+        throw new AppError(`${definition.name} must be true or false`);
+      case 'date': {
+        const date = new Date(value);
+        if (typeof value === 'boolean' || Number.isNaN(date.getTime())) {
+          throw new AppError(`${definition.name} must be a date`);
+        }
+        return date;
+      }
+      case 'select': {
+        const option = definition.options.find(option => option.toLowerCase() === String(value).trim().toLowerCase());
+        if (option === undefined) {
+          throw new AppError(`${definition.name} must be one of: ${definition.options.join(', ')}`);
+        }
+        return option;
+      }
+      default:
+        if (typeof value === 'object') {
+          throw new AppError(`${definition.name} must be text`);
+        }
+        return String(value).trim();
+    }
+  }
+
+  /**
+   * Check a product's attribute values against its category. Takes an object
+   * of name -> value (or a Map) and returns a Map keyed by the defined names,
+   * with values converted to their types. Empty values are dropped.
+   */
+  async validate(categoryId, values) {
+    if (values !== undefined && values !== null && (typeof values !== 'object' || Array.isArray(values))) {
+      throw new AppError('attributes must be an object of attribute names and values');
+    }
+    const definitions = await this.getDefinitions(categoryId);
+    const entries = values instanceof Map ? [...values.entries()] : Object.entries(values || {});
+
+    const errors = [];
+    const invalid = new Set();
+    const attributes = new Map();
+    for (const [name, value] of entries) {
+      const definition = this.findDefinition(definitions, name);
+      if (!definition) {
+        errors.push(`${name} is not an attribute of this category`);
+        continue;
+      }
+      if (isEmpty(value)) {
+        continue;
+      }
+      try {
+        attributes.set(definition.name, this.coerce(definition, value));
+      } catch (error) {
+        invalid.add(definition.name);
+        errors.push(...error.errors);
+      }
+    }
+
+    for (const definition of definitions) {
+      if (definition.required && !attributes.has(definition.name) && !invalid.has(definition.name)) {
+        errors.push(`${definition.name} is required`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new AppError(errors);
+    }
+    return attributes;
+  }
+
+  /**
+   * Product filter conditions from the attributes query parameter, e.g.
+   * ?attributes[Brand]=Tecno,Infinix&attributes[RAM][min]=4. Values are
+   * matched against any of a comma-separated list; number and date
+   * attributes also take min and max.
+   */
+  buildFilter(definitions, query) {
+    if (query === undefined) {
+      return {};
+    }
+    if (typeof query !== 'object' || Array.isArray(query)) {
+      throw new AppError('attributes must be given as attributes[name]=value');
+    }
+
+    const filter = {};
+    for (const [name, condition] of Object.entries(query)) {
+      const definition = this.findDefinition(definitions, name);
+      if (!definition) {
+        throw new AppError(`${name} is not an attribute of this category`);
+      }
+      const path = `attributes.${definition.name}`;
+
+      if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+        if (!RANGE_TYPES.includes(definition.type)) {
+          throw new AppError(`${definition.name} can't be filtered by a range`);
+        }
+        const range = {};
+        if (!isEmpty(condition.min)) range.$gte = this.coerce(definition, condition.min);
+        if (!isEmpty(condition.max)) range.$lte = this.coerce(definition, condition.max);
+        if (Object.keys(range).length > 0) filter[path] = range;
+        continue;
+      }
+
+      const values = [].concat(condition)
+        .flatMap(value => String(value).split(','))
+        .filter(value => !isEmpty(value))
+        .map(value => this.coerce(definition, value));
+      if (values.length > 0) {
+        filter[path] = { $in: values };
+      }
+    }
+    return filter;
+  }
+
+  /**
+   * Counts of each attribute value across the products matching a filter.
+   * Number and date attributes also report their lowest and highest value.
+   */
+  async getFacets(filter, definitions) {
+    if (definitions.length === 0) {
+      return [];
+    }
+
+    const counts = await Product.aggregate([
+      // Aggregation doesn't cast, so cast the filter the way find() would
+      { $match: Product.find(filter).cast(Product) },
+      { $project: { attribute: { $objectToArray: '$attributes' } } },
+      { $unwind: '$attribute' },
+      { $match: { 'attribute.k': { $in: definitions.map(definition => definition.name) } } },
+      { $group: { _id: { name: '$attribute.k', value: '$attribute.v' }, count: { $sum: 1 } } },
+      { $sort: { count: -1, '_id.value': 1 } }
+    ]);
+
+    return definitions
+      .map(definition => {
+        const values = counts
+          .filter(count => count._id.name === definition.name)
+          .map(count => ({ value: count._id.value, count: count.count }));
+
+        const facet = { name: definition.name, type: definition.type };
+        if (RANGE_TYPES.includes(definition.type)) {
+          const sorted = values.map(({ value }) => value).sort((a, b) => a - b);
+          facet.min = sorted[0];
+          facet.max = sorted[sorted.length - 1];
+          facet.count = values.reduce((sum, { count }) => sum + count, 0);
+        }
+        // Individual dates are too many to be useful as choices
+        if (definition.type !== 'date') {
+          facet.values = values.slice(0, FACET_VALUE_LIMIT);
+          if (definition.type === 'number') {
+            facet.values.sort((a, b) => a.value - b.value);
+          }
+        }
+        return facet;
+      })
+      .filter(facet => facet.values?.length > 0 || facet.count > 0);
+  }
+}
+
+module.exports = new ProductAttributeService();
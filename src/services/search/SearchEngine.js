@@ -0,0 +1,116 @@
+const AppError = require('../../utils/AppError');
+const { analyze, deleteVariants, matchQuality, MIN_TYPO_LENGTH } = require('./textAnalyzer');
+
+// Fields where a misspelt word still matches. Descriptions are long enough
+// that typo matches there are mostly noise.
+const TYPO_FIELDS = ['name', 'category', 'shop'];
+
+/**
+ * Interface every search engine implements. Engines keep an index of search
+ * documents and find the ones matching an analysed query; scoring is shared
+ * here so results rank the same whichever engine is used.
+ *
+ * A search document is { id, name, description, category, shop }, with the
+ * category and shop given by name.
+ *
+ * - index(documents)
+ *     adds or replaces the documents in the index
+ * - remove(ids)
+ *     drops documents from the index
+ * - search(query, { filter, limit })
+ *     resolves to [{ id, score }], best first. filter is a Product query the
+ *     engine may use to narrow the candidates; callers still apply it.
+ * - isReady()
+ *     false until the engine holds every product
+ */
+class SearchEngine {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+  }
+
+  async index() {
+    throw new AppError(`${this.name} search does not support indexing`, 501);
+  }
+
+  async remove() {}
+
+  async search() {
+    throw new AppError(`${this.name} search does not support searching`, 501);
+  }
+
+  isReady() {
+    return true;
+  }
+
+  /**
+   * What an engine stores for a document: the stemmed terms of each field,
+   * all terms together, and the delete variants that let typos in the query
+   * find them.
+   */
+  buildEntry(document) {
+    const fields = {
+      name: analyze(document.name),
+      description: analyze(document.description),
+      category: analyze(document.category),
+      shop: analyze(document.shop)
+    };
+
+    const typoKeys = TYPO_FIELDS
+      .flatMap(field => fields[field])
+      .filter(term => term.length >= MIN_TYPO_LENGTH)
+      .flatMap(deleteVariants);
+
+    return {
+      fields,
+      terms: [...new Set(Object.values(fields).flat())],
+      typoKeys: [...new Set(typoKeys)]
+    };
+  }
+
+  /**
+   * Each query term scores its best match across the fields, weighted by
+   * field. The total is scaled by the share of query terms that matched, so
+   * documents matching every word come first.
+   */
+  score(entry, query) {
+    const weights = this.config.weights;
+    let total = 0;
+    let matched = 0;
+
+    for (const queryTerm of query.terms) {
+      let best = 0;
+      for (const [field, terms] of Object.entries(entry.fields)) {
+        const typos = TYPO_FIELDS.includes(field);
+        for (const term of terms) {
+          best = Math.max(best, matchQuality(queryTerm, term, { typos }) * (weights[field] || 1));
+        }
+      }
+      if (best > 0) {
+        matched++;
+        total += best;
+      }
+    }
+
+    const coverage = query.terms.length > 0 ? matched / query.terms.length : 0;
+    return { score: Math.round(total * coverage * 1000) / 1000, coverage };
+  }
+
+  /**
+   * Score the candidates and order them, best first. When some match every
+   * query term only those are kept; otherwise partial matches are returned.
+   */
+  rank(candidates, query, limit) {
+    const scored = candidates
+      .map(({ id, entry }) => ({ id, ...this.score(entry, query) }))
+      .filter(hit => hit.score > 0);
+
+    const complete = scored.filter(hit => hit.coverage === 1);
+    return (complete.length > 0 ? complete : scored)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ id, score }) => ({ id, score }));
+  }
+}
+
+module.exports = SearchEngine;
@@ -0,0 +1,40 @@
+const SearchEngine = require('./SearchEngine');
+
+/**
+ * Holds every search entry in this process and scores them all on each
+ * query. Meant for tests and local development; the index is empty until
+ * it is filled and isn't shared between processes.
+ */
+class MemorySearchEngine extends SearchEngine {
+  constructor(config) {
+    super('memory', config);
+    this.entries = new Map();
+    this.ready = false;
+  }
+
+  async index(documents) {
+    for (const document of documents) {
+      this.entries.set(String(document.id), { id: document.id, entry: this.buildEntry(document) });
+    }
+  }
+
+  async remove(ids) {
+    [].concat(ids).forEach(id => this.entries.delete(String(id)));
+  }
+
+  // The filter is left to the caller
+  async search(query, { limit = this.config.maxCandidates } = {}) {
+    return this.rank([...this.entries.values()], query, limit);
+  }
+
+  isReady() {
+    return this.ready;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.ready = false;
+  }
+}
+
+module.exports = MemorySearchEngine;
@@ -0,0 +1,70 @@
+const Product = require('../../models/Product');
+const SearchEngine = require('./SearchEngine');
+const { escapeRegex } = require('./textAnalyzer');
+
+/**
+ * Keeps each product's search entry on the product itself (Product.search),
+ * so it goes away with the product, and finds candidates through the indexes on its terms and typo keys.
+ * The database orders the candidates by the query words they contain
+ * exactly, weighted by field, and the best maxCandidates of them are
+ * scored in this process.
+ */
+class MongoSearchEngine extends SearchEngine {
+  constructor(config) {
+    super('mongo', config);
+  }
+
+  async index(documents) {
+    if (documents.length === 0) {
+      return;
+    }
+    await Product.bulkWrite(documents.map(document => ({
+      updateOne: {
+        filter: { _id: document.id },
+        update: { $set: { search: this.buildEntry(document) } }
+      }
+    })), { ordered: false });
+  }
+
+  async search(query, { filter = {}, limit = this.config.maxCandidates } = {}) {
+    const prefixTerm = query.terms.find(term => term.prefix);
+    const conditions = [
+      { 'search.terms': { $in: query.terms.map(term => term.stem) } },
+      { 'search.typoKeys': { $in: [...new Set(query.terms.flatMap(term => term.variants))] } }
+    ];
+    if (prefixTerm) {
+      conditions.push({ 'search.terms': { $regex: `^${escapeRegex(prefixTerm.stem)}` } });
+    }
+
+    // Every extra query word matched outranks any mix of fields
+    const stems = [...new Set(query.terms.map(term => term.stem))];
+    const weights = Object.entries(this.config.weights);
+    const coverageWeight = weights.reduce((sum, [, weight]) => sum + weight, 0) * stems.length + 1;
+    const exactMatches = (path) => ({ $size: { $setIntersection: [{ $ifNull: [path, []] }, stems] } });
+
+    const products = await Product.aggregate([
+      { $match: Product.find({ $and: [filter, { $or: conditions }] }).cast(Product) },
+      {
+        $project: {
+          search: 1,
+          relevance: {
+            $add: [
+              { $multiply: [exactMatches('$search.terms'), coverageWeight] },
+              ...weights.map(([field, weight]) => ({ $multiply: [exactMatches(`$search.fields.${field}`), weight] }))
+            ]
+          }
+        }
+      },
+      { $sort: { relevance: -1, _id: 1 } },
+      { $limit: this.config.maxCandidates }
+    ]);
+
+    return this.rank(
+      products.filter(product => product.search).map(product => ({ id: product._id, entry: product.search })),
+      query,
+      limit
+    );
+  }
+}
+
+module.exports = MongoSearchEngine;
@@ -0,0 +1,218 @@
+/**
+ * Turns product text and search queries into comparable terms. Both sides go
+ * through the same steps, so a stemmer only has to be consistent, not
+ * linguistically exact:
+ *
+ * 1. lower-case, strip accents, split on anything that isn't a letter or digit
+ * 2. drop English and Swahili stop words
+ * 3. stem: English plural and -ing/-ed endings, a trailing -e, and Swahili
+ *    plural noun class prefixes mapped to their singular (vitabu -> kitabu)
+ *
+ * Typo tolerance uses delete variants (the SymSpell idea): two words within
+ * one edit of each other always share a variant made by deleting at most one
+ * letter from each, so a plain index lookup finds them.
+ */
+
+const STOP_WORDS = new Set([
+  // English
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or', 'the', 'to', 'with',
+  // Swahili
+  'au', 'cha', 'kwa', 'kwenye', 'katika', 'la', 'na', 'ni', 'pia', 'sana', 'tu', 'vya', 'wa', 'ya', 'za'
+]);
+
+// Shorter terms have to match exactly
+const MIN_TYPO_LENGTH = 4;
+
+const VOWELS = /[aeiou]$/;
+
+const normalize = (text = '') => String(text)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+// Words of a text with where they start and end, for highlighting
+const words = (text = '') => {
+  const source = String(text);
+  const pattern = /[\p{L}\p{N}]+/gu;
+  const found = [];
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    found.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return found;
+};
+
+const stemEnglish = (word) => {
+  let stem = word;
+  if (/ies$/.test(stem) && stem.length > 4) {
+    stem = `${stem.slice(0, -3)}y`;
+  } else if (/sses$/.test(stem)) {
+    stem = stem.slice(0, -2);
+  } else if (/(ch|sh|x|z)es$/.test(stem)) {
+    stem = stem.slice(0, -2);
+  } else if (/[^siu]s$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  } else if (/ing$/.test(stem) && stem.length > 5) {
+    stem = stem.slice(0, -3).replace(/([^aeiou])\1$/, '$1');
+  } else if (/ed$/.test(stem) && stem.length > 4) {
+    stem = stem.slice(0, -2).replace(/([^aeiou])\1$/, '$1');
+  }
+  return stem;
+};
+
+// Plural noun class prefixes and the singular they're mapped to. Only applied
+// to words ending in a vowel, as Swahili words do.
+const SWAHILI_PREFIXES = [
+  [/^vy(?=[aeiou])/, 'ch'], // vyakula -> chakula
+  [/^vi/, 'ki'], // vitabu -> kitabu, viatu -> kiatu
+  [/^wa(?=[^aeiou])/, 'm'], // watoto -> mtoto
+  [/^mi(?=[^aeiou])/, 'm'], // miti -> mti
+  [/^ma(?=[^aeiou].{3,})/, ''] // matunda -> tunda
+];
+
+const stemSwahili = (word) => {
+  if (!VOWELS.test(word)) {
+    return word;
+  }
+  const rule = SWAHILI_PREFIXES.find(([prefix]) => prefix.test(word));
+  return rule ? word.replace(rule[0], rule[1]) : word;
+};
+
+const stem = (word) => {
+  if (word.length <= 3 || /\d/.test(word)) {
+    return word;
+  }
+  let result = stemSwahili(stemEnglish(word));
+  // "charge" and "charging" both become "charg"
+  if (result.length > 4 && result.endsWith('e')) {
+    result = result.slice(0, -1);
+  }
+  return result;
+};
+
+// Stemmed terms of a text, in order, stop words removed
+const analyze = (text) => words(normalize(text))
+  .map(({ word }) => word)
+  .filter(word => !STOP_WORDS.has(word))
+  .map(stem);
+
+// The term itself and every variant with one letter deleted
+const deleteVariants = (term) => {
+  const variants = new Set([term]);
+  if (term.length >= MIN_TYPO_LENGTH) {
+    for (let i = 0; i < term.length; i++) {
+      variants.add(term.slice(0, i) + term.slice(i + 1));
+    }
+  }
+  return [...variants];
+};
+
+// True when a and b are at most one insertion, deletion, substitution or
+// swap of neighbouring letters apart
+const withinOneEdit = (a, b) => {
+  if (a === b) return true;
+  if (Math.abs(a.length - b.length) > 1) return false;
+
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) i++;
+
+  if (a.length === b.length) {
+    return a.slice(i + 1) === b.slice(i + 1)
+      || (a[i] === b[i + 1] && a[i + 1] === b[i] && a.slice(i + 2) === b.slice(i + 2));
+  }
+  return a.length > b.length ? a.slice(i + 1) === b.slice(i) : a.slice(i) === b.slice(i + 1);
+};
+
+/**
+ * How well a document term matches a query term: 1 for the same stem, less
+ * for the start of a longer word (only for the last word typed, which may be
+ * incomplete) or, unless typos are off, a typo; 0 for no match.
+ */
+const matchQuality = (queryTerm, term, { typos = true } = {}) => {
+  if (term === queryTerm.stem) return 1;
+  if (queryTerm.prefix && term.startsWith(queryTerm.stem)) return 0.7;
+  if (typos && queryTerm.stem.length >= MIN_TYPO_LENGTH && term.length >= MIN_TYPO_LENGTH && withinOneEdit(queryTerm.stem, term)) {
+    return 0.5;
+  }
+  return 0;
+};
+
+/**
+ * A search query as the engines use it: its distinct terms, whether the last
+ * one can match as a prefix, and the delete variants that find typos.
+ */
+const analyzeQuery = (query) => {
+  const text = normalize(query);
+  const stems = [...new Set(analyze(text))];
+  // A query that ends mid-word is still being typed
+  const typing = /[\p{L}\p{N}]$/u.test(text);
+
+  return {
+    text: String(query).trim(),
+    terms: stems.map((termStem, index) => ({
+      stem: termStem,
+      prefix: typing && index === stems.length - 1 && termStem.length >= 3,
+      variants: deleteVariants(termStem)
+    }))
+  };
+};
+
+// For user text inside a $regex
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * The text with words matching the query wrapped in <em>, HTML-escaped. With
+ * a length, only a window of about that many characters around the first
+ * match is kept. Returns null when nothing matches.
+ */
+const highlight = (text, query, { length, typos = true } = {}) => {
+  if (!text) return null;
+
+  const source = String(text);
+  const matches = words(source).filter(({ word }) => {
+    const normalized = normalize(word);
+    return !STOP_WORDS.has(normalized)
+      && query.terms.some(queryTerm => matchQuality(queryTerm, stem(normalized), { typos }) > 0);
+  });
+  if (matches.length === 0) return null;
+
+  let start = 0;
+  let end = source.length;
+  if (length && source.length > length) {
+    start = Math.max(0, matches[0].start - Math.floor(length / 4));
+    end = Math.min(source.length, start + length);
+    // Don't cut words in half
+    while (start > 0 && /[\p{L}\p{N}]/u.test(source[start - 1])) start--;
+    while (end < source.length && /[\p{L}\p{N}]/u.test(source[end])) end++;
+  }
+
+  let result = '';
+  let position = start;
+  for (const match of matches.filter(({ start: from, end: to }) => from >= start && to <= end)) {
+    result += `${escapeHtml(source.slice(position, match.start))}<em>${escapeHtml(match.word)}</em>`;
+    position = match.end;
+  }
+  result += escapeHtml(source.slice(position, end));
+
+  return `${start > 0 ? '…' : ''}${result.trim()}${end < source.length ? '…' : ''}`;
+};
+
+module.exports = {
+  MIN_TYPO_LENGTH,
+  normalize,
+  stem,
+  analyze,
+  analyzeQuery,
+  deleteVariants,
+  withinOneEdit,
+  matchQuality,
+  highlight,
+  escapeHtml,
+  escapeRegex
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const SearchQuery = require('../models/SearchQuery');
+const searchConfig = require('../config/search');
+const { normalize, escapeRegex } = require('./search/textAnalyzer');
+
+// Longer queries are pasted text rather than searches worth suggesting
+const MAX_QUERY_LENGTH = 100;
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * The log of product searches behind query suggestions and the trending
+ * searches shown before the user types anything. Only searches that found
+ * something count, and each person counts once per query however often
+ * they repeat it.
+ */
+class SearchQueryService {
+  normalize(text = '') {
+    return normalize(text).replace(/\s+/g, ' ').trim();
+  }
+
+  // Never fails the search it's logging
+  async record({ text, user, ip, resultCount }) {
+    try {
+      const normalized = this.normalize(text);
+      if (!normalized || normalized.length > MAX_QUERY_LENGTH) {
+        return;
+      }
+
+      await SearchQuery.create({
+        text: String(text).replace(/\s+/g, ' ').trim(),
+        normalized,
+        visitor: user
+          ? user._id.toString()
+          : crypto.createHash('sha256').update(String(ip)).digest('hex').slice(0, 32),
+        user: user?._id,
+        resultCount
+      });
+    } catch (error) {
+      console.error('Error logging search query:', error);
+    }
+  }
+
+  /**
+   * The queries the most people searched over the last `days`, optionally
+   * only those starting with `prefix`.
+   */
+  async getPopular({ prefix, limit = 10, days = 30 } = {}) {
+    const match = {
+      createdAt: { $gte: new Date(Date.now() - days * 24 * HOUR) },
+      resultCount: { $gt: 0 }
+    };
+    if (prefix) {
+      match.normalized = { $regex: `^${escapeRegex(this.normalize(prefix))}` };
+    }
+
+    return SearchQuery.aggregate([
+      { $match: match },
+      { $sort: { createdAt: 1 } },
+      { $group: { _id: { query: '$normalized', visitor: '$visitor' }, text: { $last: '$text' } } },
+      { $group: { _id: '$_id.query', text: { $last: '$text' }, searchers: { $sum: 1 } } },
+      { $sort: { searchers: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, text: 1, searchers: 1 } }
+    ]);
+  }
+
+  /**
+   * Queries searched by more people in the trending window than their
+   * searches over the baseline period before it would predict.
+   */
+  async getTrending({ limit = 10 } = {}) {
+    const { trendingWindowHours, trendingBaselineDays, trendingMinSearchers } = searchConfig;
+    const windowStart = new Date(Date.now() - trendingWindowHours * HOUR);
+    const baselineStart = new Date(windowStart.getTime() - trendingBaselineDays * 24 * HOUR);
+    // Baseline searchers expected in one window
+    const windowShare = trendingWindowHours / (trendingBaselineDays * 24);
+
+    return SearchQuery.aggregate([
+      { $match: { createdAt: { $gte: baselineStart }, resultCount: { $gt: 0 } } },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: { query: '$normalized', visitor: '$visitor', recent: { $gte: ['$createdAt', windowStart] } },
+          text: { $last: '$text' }
+        }
+      },
+      {
+        $group: {
+          _id: '$_id.query',
+          text: { $last: '$text' },
+          searchers: { $sum: { $cond: ['$_id.recent', 1, 0] } },
+          baseline: { $sum: { $cond: ['$_id.recent', 0, 1] } }
+        }
+      },
+      { $match: { searchers: { $gte: trendingMinSearchers } } },
+      {
+        $addFields: {
+          score: { $divide: ['$searchers', { $add: [{ $multiply: ['$baseline', windowShare] }, 1] }] }
+        }
+      },
+      { $sort: { score: -1, searchers: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, text: 1, searchers: 1 } }
+    ]);
+  }
+}
+
+module.exports = new SearchQueryService();
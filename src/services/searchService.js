@@ -0,0 +1,321 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Shop = require('../models/Shop');
+const searchConfig = require('../config/search');
+const AppError = require('../utils/AppError');
+const { analyzeQuery, highlight, escapeHtml, escapeRegex } = require('./search/textAnalyzer');
+const MongoSearchEngine = require('./search/mongoEngine');
+const MemorySearchEngine = require('./search/memoryEngine');
+const productAttributeService = require('./productAttributeService');
+
+const ENGINES = {
+  mongo: MongoSearchEngine,
+  memory: MemorySearchEngine
+};
+
+// Products are read from the database this many at a time when indexing
+const INDEX_BATCH_SIZE = 500;
+
+// Most suggestions of each kind, so one kind can't crowd out the others
+const SUGGESTION_LIMITS = { product: 5, category: 3, shop: 3 };
+
+// Best text matches considered for product suggestions
+const SUGGESTION_CANDIDATES = 200;
+
+/**
+ * Entry point for product search over names, descriptions, category names
+ * and shop names. Callers never talk to the engine directly; structured
+ * filters (category, shop, price, attributes) are always applied with a
+ * regular product query, whatever the engine.
+ */
+class SearchService {
+  constructor() {
+    const Engine = ENGINES[searchConfig.engine];
+    if (!Engine) {
+      throw new Error(`Unknown search engine: ${searchConfig.engine}`);
+    }
+    this.engine = new Engine(searchConfig);
+    this.warming = null;
+  }
+
+  // Products must have category and shop populated with their names
+  toDocument(product) {
+    return {
+      id: product._id,
+      name: product.name,
+      description: product.description,
+      category: product.category?.name,
+      shop: product.shop?.name
+    };
+  }
+
+  /**
+   * (Re)index the products matching a filter; all of them by default.
+   * Resolves to the number indexed.
+   */
+  async indexProducts(filter = {}) {
+    const cursor = Product.find(filter)
+      .select('name description category shop')
+      .populate('category', 'name')
+      .populate('shop', 'name')
+      .lean()
+      .cursor({ batchSize: INDEX_BATCH_SIZE });
+
+    let batch = [];
+    let count = 0;
+    for await (const product of cursor) {
+      batch.push(this.toDocument(product));
+      if (batch.length === INDEX_BATCH_SIZE) {
+        await this.engine.index(batch);
+        count += batch.length;
+        batch = [];
+      }
+    }
+    await this.engine.index(batch);
+    count += batch.length;
+
+    // After a full pass an engine that starts empty holds every product
+    if (Object.keys(filter).length === 0) {
+      this.engine.ready = true;
+    }
+    return count;
+  }
+
+  /**
+   * Reindex in the background after products, or the category or shop names
+   * they're found by, change. Failures are logged; the next change or a full
+   * reindex picks the products up again.
+   */
+  refresh(filter) {
+    this.indexProducts(filter).catch(error => {
+      console.error('Error updating the search index:', error);
+    });
+  }
+
+  async removeProduct(productId) {
+    await this.engine.remove([productId]);
+  }
+
+  // An engine that starts empty is filled on first use
+  async ensureReady() {
+    if (this.engine.isReady()) {
+      return;
+    }
+    if (!this.warming) {
+      this.warming = this.indexProducts().finally(() => { this.warming = null; });
+    }
+    await this.warming;
+  }
+
+  /**
+   * Ids of the products matching a query, best first. Resolves to null when
+   * the query has no searchable words (only stop words or punctuation).
+   */
+  async findIds(text, filter = {}) {
+    const query = analyzeQuery(text || '');
+    if (query.terms.length === 0) {
+      return null;
+    }
+
+    await this.ensureReady();
+    const hits = await this.engine.search(query, { filter, limit: searchConfig.maxCandidates });
+    return hits.map(hit => hit.id);
+  }
+
+  /**
+   * The category filter, with attribute filters when a category is given,
+   * and the category's attribute definitions.
+   */
+  async buildFilter({ category, attributes }) {
+    if (!category) {
+      if (attributes !== undefined) {
+        throw new AppError('Filter by category to use attribute filters');
+      }
+      return { filter: {}, definitions: [] };
+    }
+
+    const definitions = await productAttributeService.getDefinitions(category);
+    return {
+      filter: { category, ...productAttributeService.buildFilter(definitions, attributes) },
+      definitions
+    };
+  }
+
+  /**
+   * Ranked, highlighted search results for one page, with facets counted
+   * over every match. `filter` holds the shared listing filters (price,
+   * stock, rating, shop), built by middleware/queryBuilder.
+   */
+  async search({ q, page = 1, limit = 30, category, attributes, filter: listingFilter = {} }) {
+    const query = analyzeQuery(q || '');
+    if (query.terms.length === 0) {
+      throw new AppError('Enter a word to search for');
+    }
+
+    const categoryFilter = await this.buildFilter({ category, attributes });
+    const { definitions } = categoryFilter;
+    const filter = { ...categoryFilter.filter, ...listingFilter };
+
+    await this.ensureReady();
+    const hits = await this.engine.search(query, { filter, limit: searchConfig.maxCandidates });
+
+    // Engines may not apply the filter themselves
+    const allowed = await Product.find({ $and: [filter, { _id: { $in: hits.map(hit => hit.id) } }] }).distinct('_id');
+    const allowedIds = new Set(allowed.map(id => id.toString()));
+    const matches = hits.filter(hit => allowedIds.has(hit.id.toString()));
+
+    const pageHits = matches.slice((page - 1) * limit, page * limit);
+    const products = await Product.find({ _id: { $in: pageHits.map(hit => hit.id) } })
+      .populate('category', 'name')
+      .populate('shop', 'name');
+    const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+    const results = pageHits
+      .filter(hit => byId.has(hit.id.toString()))
+      .map(hit => {
+        const product = byId.get(hit.id.toString());
+        return {
+          ...product.toJSON(),
+          relevance: hit.score,
+          highlights: this.highlight(product, query)
+        };
+      });
+
+    const matchFilter = { _id: { $in: matches.map(hit => hit.id) } };
+    const [facets, attributeFacets] = await Promise.all([
+      this.getFacets(matchFilter),
+      productAttributeService.getFacets(matchFilter, definitions)
+    ]);
+
+    return {
+      products: results,
+      facets: { ...facets, attributes: attributeFacets },
+      total: matches.length
+    };
+  }
+
+  /**
+   * Autocomplete while typing: products whose names match, and categories
+   * and shops with a word in their name starting with the text, ranked
+   * together by popularity (views plus weighted orders; for categories and
+   * shops, those of their products).
+   */
+  async suggest(text) {
+    const query = analyzeQuery(text || '');
+    if (query.terms.length === 0) {
+      return [];
+    }
+
+    await this.ensureReady();
+    const wordStart = new RegExp(`(^|\\s)${escapeRegex(String(text).trim())}`, 'i');
+    const [hits, categories, shops] = await Promise.all([
+      this.engine.search(query, { limit: SUGGESTION_CANDIDATES }),
+      Category.find({ isActive: true, name: wordStart }).select('name slug image').limit(20),
+      Shop.find({ status: 'active', name: wordStart }).select('name logo').limit(20)
+    ]);
+
+    const products = (await Product.find({ _id: { $in: hits.map(hit => hit.id) } })
+      .select('name images price views.total orderCount'))
+      .filter(product => highlight(product.name, query) !== null);
+
+    const popularity = await this.getGroupPopularity(categories, shops);
+    const score = ({ views = 0, orders = 0 } = {}) => views + searchConfig.orderWeight * orders;
+    const suggestion = (type, document, image, stats) => ({
+      type,
+      _id: document._id,
+      text: document.name,
+      highlighted: highlight(document.name, query) || escapeHtml(document.name),
+      image,
+      popularity: score(stats)
+    });
+
+    const mostPopular = (a, b) => b.popularity - a.popularity;
+    const top = (type, suggestions) => suggestions.sort(mostPopular).slice(0, SUGGESTION_LIMITS[type]);
+
+    return [
+      ...top('product', products.map(product => suggestion('product', product, product.images?.[0], {
+        views: product.views?.total,
+        orders: product.orderCount
+      }))),
+      ...top('category', categories.map(category => (
+        suggestion('category', category, category.image, popularity.categories.get(category._id.toString()))
+      ))),
+      ...top('shop', shops.map(shop => suggestion('shop', shop, shop.logo, popularity.shops.get(shop._id.toString()))))
+    ].sort(mostPopular);
+  }
+
+  // Views and orders of the products in each category and shop
+  async getGroupPopularity(categories, shops) {
+    const popularity = { categories: new Map(), shops: new Map() };
+    if (categories.length === 0 && shops.length === 0) {
+      return popularity;
+    }
+
+    const totals = (field) => [
+      { $match: { [field]: { $in: (field === 'category' ? categories : shops).map(document => document._id) } } },
+      { $group: { _id: `$${field}`, views: { $sum: '$views.total' }, orders: { $sum: '$orderCount' } } }
+    ];
+    const [result] = await Product.aggregate([
+      { $match: { $or: [{ category: { $in: categories.map(category => category._id) } }, { shop: { $in: shops.map(shop => shop._id) } }] } },
+      { $facet: { categories: totals('category'), shops: totals('shop') } }
+    ]);
+
+    for (const key of ['categories', 'shops']) {
+      for (const { _id, views, orders } of result?.[key] || []) {
+        popularity[key].set(_id.toString(), { views, orders });
+      }
+    }
+    return popularity;
+  }
+
+  // Matched words in <em>, for the fields that matched
+  highlight(product, query) {
+    const highlights = {
+      name: highlight(product.name, query),
+      description: highlight(product.description, query, { length: searchConfig.snippetLength, typos: false }),
+      category: highlight(product.category?.name, query),
+      shop: highlight(product.shop?.name, query)
+    };
+    return Object.fromEntries(Object.entries(highlights).filter(([, value]) => value !== null));
+  }
+
+  // Matches per category and shop, most first, and their price range
+  async getFacets(filter) {
+    const lookupName = (from) => [
+      { $lookup: { from, localField: '_id', foreignField: '_id', as: 'found' } },
+      { $project: { _id: 1, name: { $arrayElemAt: ['$found.name', 0] }, count: 1 } }
+    ];
+
+    const [result] = await Product.aggregate([
+      { $match: filter },
+      {
+        $facet: {
+          categories: [
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: 20 },
+            ...lookupName(Category.collection.name)
+          ],
+          shops: [
+            { $group: { _id: '$shop', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: 20 },
+            ...lookupName(Shop.collection.name)
+          ],
+          price: [
+            { $group: { _id: null, min: { $min: '$price' }, max: { $max: '$price' } } },
+            { $project: { _id: 0, min: 1, max: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    return {
+      categories: result?.categories || [],
+      shops: result?.shops || [],
+      price: result?.price[0] || null
+    };
+  }
+}
+
+module.exports = new SearchService();
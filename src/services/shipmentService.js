@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const cron = require('node-cron');
+const Order = require('../models/Order');
+const { User } = require('../models/User');
+const notificationService = require('./notificationService');
+const orderStateService = require('./orderStateService');
+const commerceConfig = require('../config/commerce');
+const AppError = require('../utils/AppError');
+
+// Wrong codes allowed before the buyer has to confirm from the app instead
+const MAX_DELIVERY_CODE_ATTEMPTS = 5;
+
+const pickShipmentDetails = (details = {}) => {
+  const shipment = {};
+  if (details.carrier !== undefined) shipment.carrier = details.carrier;
+  if (details.rider !== undefined) shipment.rider = details.rider;
+  if (details.trackingNumber !== undefined) shipment.trackingNumber = details.trackingNumber;
+  if (details.estimatedDeliveryAt !== undefined) shipment.estimatedDeliveryAt = details.estimatedDeliveryAt;
+  return shipment;
+};
+
+// Cash on delivery orders are paid when they are delivered. Unless the shop
+// recorded a different amount, the buyer is taken to have paid in full.
+const cashPaymentFields = (order, collectedAmount, userId) => {
+  if (order.paymentMethod !== 'cash_on_delivery') {
+    return {};
+  }
+
+  const now = new Date();
+  return {
+    'cashOnDelivery.collectedAmount': collectedAmount ?? order.cashOnDelivery?.collectedAmount ?? order.amounts.total,
+    'cashOnDelivery.collectedAt': order.cashOnDelivery?.collectedAt || now,
+    'cashOnDelivery.collectedBy': order.cashOnDelivery?.collectedBy || userId,
+    paymentStatus: 'completed',
+    'paymentDetails.status': 'completed',
+    'paymentDetails.paidAt': now
+  };
+};
+
+const parseCollectedAmount = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const amount = Number(value);
+  if (!(amount >= 0)) {
+    throw new AppError('Collected amount must be a number of at least 0');
+  }
+  return amount;
+};
+
+class ShipmentService {
+  constructor() {
+    // Check for shipments nobody confirmed every hour
+    cron.schedule('0 * * * *', () => {
+      this.autoConfirmDeliveries();
+    }, { scheduled: process.env.NODE_ENV !== 'test' });
+  }
+
+  /**
+   * Move an order to shipped, recording who is carrying it and issuing the
+   * one-time delivery code the buyer gives the courier on arrival.
+   */
+  async ship(order, details, userId) {
+    const deliveryCode = String(crypto.randomInt(100000, 1000000));
+    const shippedAt = new Date();
+
+    const { order: shipped } = await orderStateService.transition(order, 'shipped', {
+      actor: orderStateService.actors.user(userId),
+      note: details?.note,
+      set: {
+        shipment: {
+          ...pickShipmentDetails(details),
+          shippedAt,
+          deliveryCode,
+          deliveryCodeAttempts: 0,
+          events: [{
+            status: 'shipped',
+            description: details?.note || 'Order handed to the carrier',
+            timestamp: shippedAt,
+            addedBy: userId
+          }]
+        }
+      }
+    });
+
+    await this.notifyBuyer(
+      shipped,
+      `Your delivery code for order #${shipped.orderNumber} is ${deliveryCode}. ` +
+      'Only share it with the courier once you have your items.'
+    );
+
+    return shipped;
+  }
+
+  async updateDetails(order, details) {
+    if (order.status !== 'shipped') {
+      throw new AppError('Shipment details can only be changed while the order is shipped');
+    }
+
+    const update = Object.entries(pickShipmentDetails(details)).reduce((fields, [key, value]) => {
+      fields[`shipment.${key}`] = value;
+      return fields;
+    }, {});
+
+    return Order.findByIdAndUpdate(order._id, { $set: update }, { new: true, runValidators: true });
+  }
+
+  async addTrackingEvent(order, { status, description, location }, userId) {
+    if (order.status !== 'shipped') {
+      throw new AppError('Tracking events can only be added while the order is shipped');
+    }
+    if (!status && !description) {
+      throw new AppError('A tracking event needs a status or a description');
+    }
+
+    const updated = await Order.findByIdAndUpdate(
+      order._id,
+      {
+        $push: {
+          'shipment.events': {
+            status,
+            description,
+            location,
+            timestamp: new Date(),
+            addedBy: userId
+          }
+        }
+      },
+      { new: true }
+    );
+
+    await this.notifyBuyer(
+      updated,
+      `Order #${updated.orderNumber}: ${[status, description, location].filter(Boolean).join(' - ')}`
+    );
+
+    return updated;
+  }
+
+  /**
+   * Confirm that a shipped order arrived. The buyer confirms with a button;
+   * the shop (or its rider) confirms with the buyer's delivery code and,
+   * for cash on delivery, the cash collected.
+   * Only confirmed deliveries credit the shop's wallet.
+   */
+  async confirmDelivery(orderId, { user, code, collectedAmount }) {
+    const order = await Order.findById(orderId)
+      .select('+shipment.deliveryCode')
+      .populate('shop', 'owner');
+
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const isBuyer = order.user.equals(user._id);
+    const isShopOwner = order.shop?.owner?.equals(user._id);
+    if (!isBuyer && !isShopOwner) {
+      throw new AppError('Not authorized to confirm delivery of this order', 403);
+    }
+
+    if (order.status !== 'shipped') {
+      throw new AppError('Only shipped orders can be confirmed as delivered');
+    }
+
+    let confirmationMethod = 'buyer';
+    let cashCollected;
+    if (!isBuyer) {
+      cashCollected = parseCollectedAmount(collectedAmount);
+      await this.checkDeliveryCode(order, code);
+      confirmationMethod = 'code';
+    }
+
+    const { order: delivered } = await orderStateService.transition(order, 'delivered', {
+      actor: orderStateService.actors.user(user._id),
+      from: 'shipped',
+      note: confirmationMethod === 'code' ? 'Delivery confirmed with the delivery code' : 'Delivery confirmed by the buyer',
+      set: {
+        'shipment.confirmedAt': new Date(),
+        'shipment.confirmedBy': user._id,
+        'shipment.confirmationMethod': confirmationMethod,
+        ...cashPaymentFields(order, cashCollected, user._id)
+      }
+    });
+
+    return delivered;
+  }
+
+  async checkDeliveryCode(order, code) {
+    if (!code) {
+      throw new AppError('The buyer\'s delivery code is required');
+    }
+    if (order.shipment.deliveryCodeAttempts >= MAX_DELIVERY_CODE_ATTEMPTS) {
+      throw new AppError('Too many wrong codes; the buyer needs to confirm delivery from the app', 429);
+    }
+
+    const expected = Buffer.from(order.shipment.deliveryCode || '');
+    const given = Buffer.from(String(code).trim());
+    if (expected.length === 0 || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      await Order.updateOne({ _id: order._id }, { $inc: { 'shipment.deliveryCodeAttempts': 1 } });
+      throw new AppError('Delivery code is incorrect');
+    }
+  }
+
+  async autoConfirmDeliveries() {
+    try {
+      const cutoff = new Date(Date.now() - commerceConfig.autoConfirmDeliveryDays * 24 * 60 * 60 * 1000);
+      const orders = await Order.find({
+        status: 'shipped',
+        $or: [
+          { 'shipment.shippedAt': { $lte: cutoff } },
+          // Orders shipped before shipments were recorded
+          { 'shipment.shippedAt': null, updatedAt: { $lte: cutoff } }
+        ]
+      }).select('paymentMethod amounts cashOnDelivery');
+
+      let confirmed = 0;
+      for (const order of orders) {
+        try {
+          await orderStateService.transition(order, 'delivered', {
+            actor: orderStateService.actors.system('delivery-auto-confirm'),
+            from: 'shipped',
+            note: `No delivery problem reported within ${commerceConfig.autoConfirmDeliveryDays} days`,
+            set: {
+              'shipment.confirmedAt': new Date(),
+              'shipment.confirmationMethod': 'auto',
+              ...cashPaymentFields(order)
+            }
+          });
+          confirmed += 1;
+        } catch (error) {
+          // Confirmed by the buyer in the meantime
+          if (error.status !== 409) {
+            throw error;
+          }
+        }
+      }
+
+      if (confirmed > 0) {
+        console.log(`📦 Auto-confirmed delivery of ${confirmed} order(s)`);
+      }
+    } catch (error) {
+      console.error('Error auto-confirming deliveries:', error);
+    }
+  }
+
+  // Record the cash a rider took at the door, ahead of confirming delivery
+  async recordCashCollection(order, collectedAmount, userId) {
+    if (order.paymentMethod !== 'cash_on_delivery') {
+      throw new AppError('This order is not cash on delivery');
+    }
+    if (order.status !== 'shipped') {
+      throw new AppError('Cash can only be recorded for orders out for delivery');
+    }
+
+    const amount = parseCollectedAmount(collectedAmount);
+    if (amount === undefined) {
+      throw new AppError('Collected amount is required');
+    }
+
+    return Order.findByIdAndUpdate(
+      order._id,
+      {
+        $set: {
+          'cashOnDelivery.collectedAmount': amount,
+          'cashOnDelivery.collectedAt': new Date(),
+          'cashOnDelivery.collectedBy': userId
+        }
+      },
+      { new: true }
+    );
+  }
+
+  async getDeliveryCode(orderId, userId) {
+    const order = await Order.findById(orderId).select('user status +shipment.deliveryCode');
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+    if (!order.user.equals(userId)) {
+      throw new AppError('Only the buyer can see the delivery code', 403);
+    }
+    if (order.status !== 'shipped') {
+      throw new AppError('This order is not out for delivery');
+    }
+    return order.shipment.deliveryCode;
+  }
+
+  async notifyBuyer(order, message) {
+    try {
+      await notificationService.createPersistentNotification(order.user, message, order._id);
+
+      const buyer = await User.findById(order.user).select('expoPushToken');
+      if (buyer?.expoPushToken) {
+        await notificationService.sendPushNotification(buyer.expoPushToken, message);
+      }
+    } catch (error) {
+      console.error('Error sending shipment notification:', error);
+    }
+  }
+}
+
+module.exports = new ShipmentService();
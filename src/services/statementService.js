@@ -0,0 +1,247 @@
+const PDFDocument = require('pdfkit');
+const Order = require('../models/Order');
+const LedgerEntry = require('../models/LedgerEntry');
+const ledgerService = require('./ledgerService');
+const AppError = require('../utils/AppError');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const formatMoney = (amount, currency) => `${currency} ${Number(amount || 0).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Quote a CSV field when it contains a separator, quote or line break
+const csvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+const csvRow = (fields) => fields.map(csvField).join(',');
+
+/**
+ * Monthly earnings statements for a shop, built from its delivered orders
+ * and its wallet ledger. Months run in UTC.
+ */
+class StatementService {
+  // "2026-09" -> the start of that month and of the next; the current month by default
+  parseMonth(month) {
+    const now = new Date();
+    if (month === undefined) {
+      month = `${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+    }
+
+    const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(month);
+    if (!match) {
+      throw new AppError('month must be in YYYY-MM format');
+    }
+
+    const start = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1));
+    if (start > now) {
+      throw new AppError('No statement is available for a future month');
+    }
+    return { month, start, end: new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1)) };
+  }
+
+  async build(shop, month) {
+    const { month: label, start, end } = this.parseMonth(month);
+    const currency = shop.wallet?.currency || 'TZS';
+
+    const [openingBalances, entries, orders] = await Promise.all([
+      ledgerService.getLedgerBalances([shop._id], { before: start }),
+      LedgerEntry.find({ shop: shop._id, createdAt: { $gte: start, $lt: end } })
+        .populate('order', 'orderNumber')
+        .sort({ createdAt: 1, _id: 1 }),
+      Order.find({ shop: shop._id, deliveredAt: { $gte: start, $lt: end } })
+        .select('orderNumber deliveredAt paymentMethod amounts.total commission status')
+        .sort({ deliveredAt: 1 })
+    ]);
+
+    const opening = openingBalances.get(shop._id.toString()) || { available: 0, locked: 0 };
+    const totals = { commission: 0, refunds: 0, withdrawals: 0, adjustments: 0 };
+    const balance = { ...opening };
+
+    const transactions = entries.map(entry => {
+      const change = ledgerService.walletChange(entry);
+      balance.available = roundAmount(balance.available + change.available);
+      balance.locked = roundAmount(balance.locked + change.locked);
+
+      if (entry.type === 'commission') totals.commission += -change.available;
+      if (entry.type === 'refund') totals.refunds += -change.available;
+      if (entry.type === 'payout') totals.withdrawals += -change.locked;
+      if (entry.type === 'adjustment') totals.adjustments += change.available + change.locked;
+
+      return {
+        date: entry.createdAt,
+        type: entry.type,
+        description: entry.description,
+        orderNumber: entry.order?.orderNumber,
+        change,
+        balance: { ...balance }
+      };
+    });
+
+    const sales = orders.reduce((sum, order) => {
+      const total = order.amounts?.total || 0;
+      sum.gross += total;
+      if (order.paymentMethod === 'cash_on_delivery') sum.cashOnDelivery += total;
+      return sum;
+    }, { gross: 0, cashOnDelivery: 0 });
+
+    return {
+      shop: { _id: shop._id, name: shop.name },
+      month: label,
+      period: { start, end },
+      currency,
+      summary: {
+        ordersDelivered: orders.length,
+        grossSales: roundAmount(sales.gross),
+        // Collected by the seller, so never credited to the wallet
+        cashOnDeliverySales: roundAmount(sales.cashOnDelivery),
+        commission: roundAmount(totals.commission),
+        refunds: roundAmount(totals.refunds),
+        withdrawals: roundAmount(totals.withdrawals),
+        adjustments: roundAmount(totals.adjustments),
+        openingBalance: opening,
+        closingBalance: balance
+      },
+      orders: orders.map(order => ({
+        orderNumber: order.orderNumber,
+        deliveredAt: order.deliveredAt,
+        paymentMethod: order.paymentMethod,
+        total: order.amounts?.total || 0,
+        commission: order.commission?.amount || 0,
+        status: order.status
+      })),
+      transactions
+    };
+  }
+
+  // Summary rows, the delivered orders, then one row per ledger transaction with the running balances
+  toCsv(statement) {
+    const { summary } = statement;
+    const rows = [
+      csvRow(['Statement', statement.shop.name, statement.month]),
+      csvRow(['Currency', statement.currency]),
+      csvRow(['Orders delivered', summary.ordersDelivered]),
+      csvRow(['Gross sales', summary.grossSales]),
+      csvRow(['Cash on delivery sales', summary.cashOnDeliverySales]),
+      csvRow(['Commission', summary.commission]),
+      csvRow(['Refunds', summary.refunds]),
+      csvRow(['Withdrawals', summary.withdrawals]),
+      csvRow(['Adjustments', summary.adjustments]),
+      csvRow(['Opening available balance', summary.openingBalance.available]),
+      csvRow(['Opening locked balance', summary.openingBalance.locked]),
+      csvRow(['Closing available balance', summary.closingBalance.available]),
+      csvRow(['Closing locked balance', summary.closingBalance.locked]),
+      '',
+      csvRow(['Order', 'Delivered', 'Payment method', 'Total', 'Commission', 'Status']),
+      ...statement.orders.map(order => csvRow([
+        order.orderNumber,
+        order.deliveredAt.toISOString(),
+        order.paymentMethod,
+        order.total,
+        order.commission,
+        order.status
+      ])),
+      '',
+      csvRow(['Date', 'Type', 'Description', 'Order', 'Available change', 'Locked change', 'Available balance', 'Locked balance'])
+    ];
+
+    for (const transaction of statement.transactions) {
+      rows.push(csvRow([
+        transaction.date.toISOString(),
+        transaction.type,
+        transaction.description,
+        transaction.orderNumber,
+        transaction.change.available,
+        transaction.change.locked,
+        transaction.balance.available,
+        transaction.balance.locked
+      ]));
+    }
+
+    return `${rows.join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Render the statement as a PDF. Returns the document stream; the caller
+   * pipes it out.
+   */
+  render(statement) {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const money = (amount) => formatMoney(amount, statement.currency);
+    const plain = (amount) => formatMoney(amount, '').trim();
+    const amountText = (amount) => (amount ? plain(amount) : '-');
+    const { summary } = statement;
+
+    doc.fontSize(20).text(statement.shop.name, 50, 50);
+    doc.fontSize(16).text('EARNINGS STATEMENT', 300, 50, { align: 'right' });
+    doc.fontSize(9)
+      .text(`Period: ${formatDate(statement.period.start)} to ${formatDate(new Date(statement.period.end - 1))}`, { align: 'right' })
+      .text(`Generated: ${formatDate(new Date())}`, { align: 'right' });
+
+    // Summary
+    let y = 120;
+    doc.fontSize(10).text('Summary', 50, y, { underline: true });
+    y += 18;
+    const summaryLines = [
+      ['Orders delivered', String(summary.ordersDelivered)],
+      ['Gross sales', money(summary.grossSales)],
+      ['of which cash on delivery', money(summary.cashOnDeliverySales)],
+      ['Commission', money(-summary.commission)],
+      ['Refunds', money(-summary.refunds)],
+      ['Withdrawals paid out', money(-summary.withdrawals)],
+      ['Adjustments', money(summary.adjustments)],
+      ['Opening balance', money(summary.openingBalance.available)],
+      ['Closing balance', money(summary.closingBalance.available)],
+      ['Pending withdrawals at close', money(summary.closingBalance.locked)]
+    ];
+    doc.fontSize(9);
+    for (const [label, value] of summaryLines) {
+      doc.text(label, 50, y).text(value, 250, y, { width: 150, align: 'right' });
+      y += 15;
+    }
+
+    // Transactions
+    y += 20;
+    // Withdrawal requests move money from the available to the locked balance
+    // until it is paid out, so both changes get a column
+    const columns = { date: 50, description: 110, available: 300, locked: 385, balance: 470 };
+    doc.fontSize(10).text('Transactions', 50, y, { underline: true });
+    y += 18;
+    doc.fontSize(9).font('Helvetica-Bold')
+      .text('Date', columns.date, y)
+      .text('Description', columns.description, y)
+      .text('Available', columns.available, y, { width: 75, align: 'right' })
+      .text('Locked', columns.locked, y, { width: 75, align: 'right' })
+      .text('Balance', columns.balance, y, { width: 75, align: 'right' });
+    doc.moveTo(50, y + 14).lineTo(545, y + 14).stroke();
+    doc.font('Helvetica');
+    y += 22;
+
+    if (statement.transactions.length === 0) {
+      doc.text('No transactions this month', columns.description, y);
+    }
+
+    for (const transaction of statement.transactions) {
+      if (y > 760) {
+        doc.addPage();
+        y = 50;
+      }
+      const description = transaction.description || transaction.type;
+      doc.text(formatDate(transaction.date), columns.date, y)
+        .text(description, columns.description, y, { width: 185 })
+        .text(amountText(transaction.change.available), columns.available, y, { width: 75, align: 'right' })
+        .text(amountText(transaction.change.locked), columns.locked, y, { width: 75, align: 'right' })
+        .text(plain(transaction.balance.available), columns.balance, y, { width: 75, align: 'right' });
+      y += Math.max(16, doc.heightOfString(description, { width: 185 }) + 4);
+    }
+
+    doc.end();
+    return doc;
+  }
+}
+
+module.exports = new StatementService();
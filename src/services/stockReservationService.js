@@ -0,0 +1,78 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const AppError = require('../utils/AppError');
+
+// Variant items move the variant's stock and the product's total together
+const stockChange = (item, quantity) => ({
+  filter: item.variant
+    ? { _id: item.product._id || item.product, 'variants._id': item.variant }
+    : { _id: item.product._id || item.product },
+  inc: item.variant
+    ? { 'variants.$.stock': quantity, stock: quantity }
+    : { stock: quantity }
+});
+
+class StockReservationService {
+  /**
+   * Decrement stock for every item of an order, failing if any product does
+   * not have enough left. The stock check and the decrement are one
+   * conditional update, so concurrent buyers cannot both take the last unit.
+   * Must run inside the caller's transaction so a failure rolls back the
+   * items already reserved.
+   */
+  async reserve(order, session) {
+    for (const item of order.items) {
+      const filter = item.variant
+        ? { _id: item.product, variants: { $elemMatch: { _id: item.variant, stock: { $gte: item.quantity } } } }
+        : { _id: item.product, stock: { $gte: item.quantity } };
+
+      const product = await Product.findOneAndUpdate(
+        filter,
+        { $inc: { ...stockChange(item, -item.quantity).inc, orderCount: 1 } },
+        { session, new: true }
+      );
+
+      if (!product) {
+        const label = item.variant ? `${item.name} (${Product.describeVariant(item)})` : item.name;
+        throw new AppError(`Not enough stock left for ${label}`, 409);
+      }
+    }
+  }
+
+  /**
+   * Return an order's stock and take it off the products' order counts. The
+   * order is flagged as released in the same step, so a reservation is never
+   * returned twice (e.g. by the expiry job and a manual cancellation racing
+   * each other). Resolves to false when there was nothing left to release.
+   */
+  async release(order, session) {
+    const result = await Order.updateOne(
+      { _id: order._id, 'reservation.releasedAt': null },
+      { $set: { 'reservation.releasedAt': new Date() } },
+      { session }
+    );
+
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+
+    for (const item of order.items) {
+      await this.restock(item, item.quantity, session);
+      await Product.updateOne(
+        { _id: item.product._id || item.product, orderCount: { $gt: 0 } },
+        { $inc: { orderCount: -1 } },
+        { session }
+      );
+    }
+
+    return true;
+  }
+
+  // Put `quantity` of an order or return item back on sale
+  async restock(item, quantity, session) {
+    const { filter, inc } = stockChange(item, quantity);
+    await Product.updateOne(filter, { $inc: inc }, { session });
+  }
+}
+
+module.exports = new StockReservationService();
@@ -0,0 +1,213 @@
+const WebhookEvent = require('../models/WebhookEvent');
+const Order = require('../models/Order');
+const paymentService = require('./paymentService');
+const paymentConfirmationService = require('./paymentConfirmationService');
+const webhookVerificationService = require('./webhookVerificationService');
+const AppError = require('../utils/AppError');
+
+// Credentials some providers send back to us; never stored
+const SECRET_HEADERS = ['authorization', 'cookie', 'x-api-key', 'verif-hash'];
+
+class WebhookEventService {
+  redactHeaders(headers = {}) {
+    return Object.fromEntries(Object.entries(headers)
+      .map(([name, value]) => [name, SECRET_HEADERS.includes(name.toLowerCase()) ? '[redacted]' : value]));
+  }
+
+  /**
+   * Store an inbound webhook, then verify and process it. Resolves to the
+   * stored event; its status says what happened ('rejected' when the
+   * signature, source IP or provider adapter couldn't verify it).
+   */
+  async receive(providerName, req) {
+    const provider = paymentService.getProvider(providerName, 404);
+
+    const record = await WebhookEvent.create({
+      provider: provider.name,
+      ip: req.ip,
+      headers: this.redactHeaders(req.headers),
+      payload: req.body
+    });
+
+    // Only checked on arrival: a replay's timestamp would always be stale
+    const transport = webhookVerificationService.verify(provider, req);
+    if (!transport.verified) {
+      console.error(`🚫 Rejected ${provider.name} webhook ${record._id}: ${transport.reason}`);
+      record.status = 'rejected';
+      record.verification = { verified: false, reason: transport.reason };
+      return record.save();
+    }
+
+    return this.verifyAndApply(record, provider, req);
+  }
+
+  async verifyAndApply(record, provider, req) {
+    let result;
+    try {
+      result = await provider.verifyWebhook(req);
+    } catch (error) {
+      // Usually the provider's status API being unreachable; can be replayed
+      record.attempts += 1;
+      record.lastAttemptAt = new Date();
+      record.status = 'failed';
+      record.error = error.message;
+      return record.save();
+    }
+
+    if (!result.verified) {
+      record.status = 'rejected';
+      record.verification = { verified: false, reason: result.reason || 'Verification failed' };
+      return record.save();
+    }
+
+    const { event } = result;
+    record.verification = { verified: true, verifiedAt: new Date() };
+    record.transactionId = event.transactionId;
+    record.event = { status: event.status, reference: event.reference, reason: event.reason };
+
+    if (!record.eventId) {
+      const original = await this.claim(record, event.eventId);
+      if (original) {
+        // A redelivery of an event we failed to process, or that was still
+        // pending when it arrived, is another attempt at it
+        if (this.isRetryable(original)) {
+          original.event = record.event;
+          await this.apply(original);
+        }
+        return record;
+      }
+    }
+
+    return this.apply(record);
+  }
+
+  /**
+   * Give the event id to this delivery. If another delivery already holds it,
+   * this one is marked as its duplicate and the original is returned.
+   */
+  async claim(record, eventId) {
+    record.eventId = eventId;
+    try {
+      await record.save();
+      return null;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    const original = await WebhookEvent.findOne({ provider: record.provider, eventId });
+    record.eventId = undefined;
+    record.status = 'duplicate';
+    record.duplicateOf = original._id;
+    await record.save();
+    return original;
+  }
+
+  isRetryable(record) {
+    return record.verification.verified && (record.status === 'failed'
+      || (record.status === 'ignored' && record.event.status === 'pending'));
+  }
+
+  async apply(record) {
+    record.attempts += 1;
+    record.lastAttemptAt = new Date();
+    record.status = 'processing';
+    record.error = undefined;
+    await record.save();
+
+    const event = {
+      eventId: record.eventId,
+      transactionId: record.transactionId,
+      status: record.event.status,
+      reference: record.event.reference,
+      reason: record.event.reason
+    };
+
+    try {
+      const orders = await Order.find({
+        'paymentDetails.transactionId': event.transactionId,
+        // Orders from before providers were recorded were all ZenoPay's
+        'paymentDetails.provider': record.provider === 'zenopay'
+          ? { $in: ['zenopay', null] }
+          : record.provider
+      }).select('_id');
+
+      if (orders.length === 0) {
+        record.status = 'ignored';
+        record.outcome = { paymentStatus: event.status, reason: 'No matching orders' };
+      } else if (event.status === 'pending') {
+        record.status = 'ignored';
+        record.outcome = { paymentStatus: event.status, reason: 'Payment not completed' };
+      } else {
+        const updated = await paymentConfirmationService.applyEvent(record.provider, event);
+        record.status = 'processed';
+        record.outcome = {
+          paymentStatus: event.status,
+          orders: updated.map(order => order._id)
+        };
+      }
+      record.processedAt = new Date();
+    } catch (error) {
+      console.error(`Error processing ${record.provider} webhook ${record._id}:`, error);
+      record.status = 'failed';
+      record.error = error.message;
+    }
+
+    return record.save();
+  }
+
+  async list({ provider, status, transactionId, page = 1, limit = 20 }) {
+    const query = {};
+    if (provider) query.provider = provider;
+    if (status) query.status = status;
+    if (transactionId) query.transactionId = transactionId;
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(query)
+        .select('-headers -payload')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookEvent.countDocuments(query)
+    ]);
+
+    return { events, total };
+  }
+
+  async get(id) {
+    const record = await WebhookEvent.findById(id).populate('replays.replayedBy', 'username email');
+    if (!record) {
+      throw new AppError('Webhook event not found', 404);
+    }
+    return record;
+  }
+
+  /**
+   * Run a failed event again. Verified events are re-applied as stored;
+   * ones that failed during verification are verified again from the stored
+   * payload (secret headers weren't kept, so header-signed callbacks can't be).
+   */
+  async replay(id, userId) {
+    const record = await WebhookEvent.findById(id);
+    if (!record) {
+      throw new AppError('Webhook event not found', 404);
+    }
+    if (record.status !== 'failed') {
+      throw new AppError(`Only failed events can be replayed; this one is ${record.status}`, 409);
+    }
+
+    record.replays.push({ replayedBy: userId });
+
+    if (record.verification.verified) {
+      return this.apply(record);
+    }
+
+    const headers = Object.fromEntries(Object.entries(record.headers || {})
+      .filter(([, value]) => value !== '[redacted]'));
+    const provider = paymentService.getProvider(record.provider);
+    return this.verifyAndApply(record, provider, { headers, body: record.payload, ip: record.ip });
+  }
+}
+
+module.exports = new WebhookEventService();
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const net = require('net');
+const paymentsConfig = require('../config/payments');
+
+const unmapIp = (ip = '') => ip.replace(/^::ffff:/, '');
+
+const ipv4ToInt = (ip) => ip.split('.').reduce((acc, octet) => (acc << 8) + parseInt(octet), 0) >>> 0;
+
+/**
+ * Transport-level checks on payment webhooks: source IP, HMAC signature over
+ * the raw body and timestamp freshness. They run before a provider adapter
+ * looks at the payload, using the provider's `webhook` settings.
+ */
+class WebhookVerificationService {
+  sign(secret, payload, encoding = 'hex') {
+    return crypto.createHmac('sha256', secret).update(payload).digest(encoding);
+  }
+
+  isAllowedIp(ip, allowedIps) {
+    const address = unmapIp(ip);
+
+    return allowedIps.some(entry => {
+      if (!entry.includes('/')) {
+        return unmapIp(entry) === address;
+      }
+
+      const [range, bits] = entry.split('/');
+      if (!net.isIPv4(address) || !net.isIPv4(range)) {
+        return false;
+      }
+      const mask = parseInt(bits) === 0 ? 0 : (~0 << (32 - parseInt(bits))) >>> 0;
+      return (ipv4ToInt(address) & mask) === (ipv4ToInt(range) & mask);
+    });
+  }
+
+  // Accepts unix seconds, unix milliseconds or an ISO date
+  isFresh(timestamp) {
+    const value = /^\d+$/.test(timestamp)
+      ? parseInt(timestamp) * (timestamp.length > 10 ? 1 : 1000)
+      : Date.parse(timestamp);
+
+    return Number.isFinite(value)
+      && Math.abs(Date.now() - value) <= paymentsConfig.webhookToleranceSeconds * 1000;
+  }
+
+  signaturesMatch(received, expected) {
+    const a = Buffer.from(received);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  /**
+   * Returns { verified, reason }. Without a secret, callbacks pass when an
+   * allowlist admitted them or the adapter checks its own credential.
+   * Otherwise they're refused unless verification is relaxed (development
+   * and the sandbox), where they're left to the adapter.
+   */
+  verify(provider, req) {
+    const settings = provider.config.webhook || {};
+
+    if (settings.allowedIps?.length && !this.isAllowedIp(req.ip, settings.allowedIps)) {
+      return { verified: false, reason: `IP ${req.ip} is not allowed` };
+    }
+
+    if (!settings.secret) {
+      if (settings.allowedIps?.length || provider.authenticatesWebhooks() || !paymentsConfig.requireWebhookVerification) {
+        return { verified: true };
+      }
+      return { verified: false, reason: 'No webhook secret, IP allowlist or provider credential configured' };
+    }
+
+    if (!req.rawBody) {
+      return { verified: false, reason: 'Raw body was not captured' };
+    }
+
+    const received = String(req.headers[settings.signatureHeader] || '').replace(/^sha256=/, '');
+    if (!received) {
+      return { verified: false, reason: `Missing ${settings.signatureHeader} header` };
+    }
+
+    let payload = req.rawBody;
+    if (settings.timestampHeader) {
+      const timestamp = req.headers[settings.timestampHeader];
+      if (!timestamp) {
+        return { verified: false, reason: `Missing ${settings.timestampHeader} header` };
+      }
+      if (!this.isFresh(String(timestamp))) {
+        return { verified: false, reason: 'Timestamp outside the allowed tolerance' };
+      }
+      payload = Buffer.concat([Buffer.from(`${timestamp}.`), Buffer.from(req.rawBody)]);
+    }
+
+    if (!this.signaturesMatch(received, this.sign(settings.secret, payload, settings.encoding))) {
+      return { verified: false, reason: 'Invalid signature' };
+    }
+
+    return { verified: true };
+  }
+}
+
+module.exports = new WebhookVerificationService();
@@ -7,7 +7,7 @@ class WishlistReminderService {
     // Run daily at 10 AM
     cron.schedule('0 10 * * *', () => {
       this.sendWishlistReminders();
-    });
+    }, { scheduled: process.env.NODE_ENV !== 'test' });
     // cron.schedule('*/5 * * * *', () => {
     //   console.log('Running wishlist reminder check...'); 
     //   this.sendWishlistReminders();
@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const withdrawalConfig = require('../config/withdrawals');
+const WithdrawalRequest = require('../models/WithdrawalRequest');
+const Shop = require('../models/Shop');
+const LedgerEntry = require('../models/LedgerEntry');
+const ledgerService = require('./ledgerService');
+const twoFactorAuthService = require('./twoFactorAuth');
+const AppError = require('../utils/AppError');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Requests that still count towards a seller's limits
+const ACTIVE_STATUSES = ['pending', 'approved', 'processing', 'paid'];
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const startOfMonth = (date) => new Date(date.getFullYear(), date.getMonth(), 1);
+
+/**
+ * Rules a withdrawal request has to pass before its funds are locked:
+ * amount limits, daily and monthly caps, the holding period on recent
+ * revenue and the seller's 2FA code. Velocity rules don't refuse a request;
+ * they flag it for an admin to review.
+ */
+class WithdrawalPolicyService {
+  /**
+   * Revenue from orders delivered within the holding period, net of the
+   * commission and refunds posted against them, that is not withdrawable yet.
+   */
+  async getHeldAmount(shopId, now = new Date(), session = null) {
+    if (withdrawalConfig.holdingPeriodDays === 0) {
+      return 0;
+    }
+
+    const entries = await LedgerEntry.find({
+      shop: shopId,
+      type: { $in: ['order_credit', 'commission', 'refund'] },
+      order: { $exists: true },
+      createdAt: { $gte: new Date(now.getTime() - withdrawalConfig.holdingPeriodDays * DAY_MS) }
+    }).select('type order lines').session(session);
+
+    // Only orders whose payment reached the wallet in the window; cash on
+    // delivery commission isn't revenue to hold back
+    const creditedOrders = new Set(entries
+      .filter(entry => entry.type === 'order_credit')
+      .map(entry => entry.order.toString()));
+
+    const heldByOrder = new Map();
+    for (const entry of entries) {
+      const orderId = entry.order.toString();
+      if (creditedOrders.has(orderId)) {
+        heldByOrder.set(orderId, (heldByOrder.get(orderId) || 0) + ledgerService.walletChange(entry).available);
+      }
+    }
+
+    return roundAmount([...heldByOrder.values()].reduce((sum, amount) => sum + Math.max(amount, 0), 0));
+  }
+
+  async getWithdrawnSince(shopId, since, session = null) {
+    const [row] = await WithdrawalRequest.aggregate([
+      {
+        $match: {
+          shop: new mongoose.Types.ObjectId(shopId),
+          status: { $in: ACTIVE_STATUSES },
+          createdAt: { $gte: since }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]).session(session);
+    return roundAmount(row?.total || 0);
+  }
+
+  /**
+   * What the shop can withdraw right now and how much of each cap is left.
+   * Caps set to 0 are reported with a null remaining amount.
+   */
+  async getAvailability(shop, now = new Date(), session = null) {
+    // One at a time: operations in a transaction share its session
+    const held = await this.getHeldAmount(shop._id, now, session);
+    const withdrawnToday = await this.getWithdrawnSince(shop._id, startOfDay(now), session);
+    const withdrawnThisMonth = await this.getWithdrawnSince(shop._id, startOfMonth(now), session);
+
+    const available = roundAmount(shop.wallet?.currentBalance || 0);
+    const cap = (limit, used) => ({
+      limit,
+      used,
+      remaining: limit > 0 ? roundAmount(Math.max(limit - used, 0)) : null
+    });
+
+    return {
+      available,
+      held,
+      withdrawable: roundAmount(Math.max(available - held, 0)),
+      holdingPeriodDays: withdrawalConfig.holdingPeriodDays,
+      minAmount: withdrawalConfig.minAmount,
+      maxAmount: withdrawalConfig.maxAmount || null,
+      daily: cap(withdrawalConfig.dailyLimit, withdrawnToday),
+      monthly: cap(withdrawalConfig.monthlyLimit, withdrawnThisMonth),
+      requireTwoFactor: withdrawalConfig.requireTwoFactor
+    };
+  }
+
+  verifyTwoFactor(user, code) {
+    if (!withdrawalConfig.requireTwoFactor) {
+      return;
+    }
+
+    const { twoFactorEnabled, twoFactorSecret } = user.securitySettings || {};
+    if (!twoFactorEnabled || !twoFactorSecret) {
+      throw new AppError('Enable two-factor authentication before requesting a withdrawal', 403);
+    }
+    if (!code) {
+      throw new AppError('A 2FA code is required to request a withdrawal');
+    }
+    if (!twoFactorAuthService.verifyToken(String(code), twoFactorSecret)) {
+      throw new AppError('Invalid 2FA code', 401);
+    }
+  }
+
+  // Velocity rules the request breaks, as reasons for the reviewing admin
+  async getFlags(shopId, amount, now = new Date(), session = null) {
+    const { windowHours, maxRequests, maxAmount } = withdrawalConfig.velocity;
+    const since = new Date(now.getTime() - windowHours * 60 * 60 * 1000);
+
+    const recentRequests = await WithdrawalRequest.countDocuments({ shop: shopId, createdAt: { $gte: since } })
+      .session(session);
+    const recentAmount = await this.getWithdrawnSince(shopId, since, session);
+
+    const flags = [];
+    if (recentRequests + 1 > maxRequests) {
+      flags.push(`${recentRequests + 1} withdrawal requests within ${windowHours} hours (limit ${maxRequests})`);
+    }
+    if (maxAmount > 0 && recentAmount + amount > maxAmount) {
+      flags.push(`${roundAmount(recentAmount + amount)} requested within ${windowHours} hours (limit ${maxAmount})`);
+    }
+    return flags;
+  }
+
+  /**
+   * Claim the shop for a withdrawal request inside the caller's
+   * transaction. A concurrent request writing the same shop makes one of the
+   * transactions retry, so the caps are never checked against stale totals.
+   * Resolves to the shop with its current wallet.
+   */
+  async lockShop(shopId, session) {
+    const shop = await Shop.findOneAndUpdate(
+      { _id: shopId },
+      { $set: { 'wallet.lastWithdrawalRequestAt': new Date() } },
+      { new: true, session }
+    ).select('wallet');
+    if (!shop) {
+      throw new AppError('Shop not found', 404);
+    }
+    return shop;
+  }
+
+  /**
+   * Check a new request against the rules, inside the transaction that
+   * locked the shop and will save the request. Resolves to the amount on
+   * hold, which must stay in the wallet when the funds are locked, and the
+   * flags to record on the request.
+   */
+  async check({ shop, user, amount, twoFactorCode, session = null }) {
+    const availability = await this.getAvailability(shop, new Date(), session);
+
+    if (amount < availability.minAmount) {
+      throw new AppError(`The minimum withdrawal is ${availability.minAmount}`);
+    }
+    if (availability.maxAmount && amount > availability.maxAmount) {
+      throw new AppError(`The maximum withdrawal is ${availability.maxAmount}`);
+    }
+    for (const [period, cap] of [['daily', availability.daily], ['monthly', availability.monthly]]) {
+      if (cap.remaining !== null && amount > cap.remaining) {
+        throw new AppError(`This exceeds your ${period} withdrawal limit of ${cap.limit}; ${cap.remaining} remaining`);
+      }
+    }
+    if (amount > availability.withdrawable && availability.held > 0 && amount <= availability.available) {
+      throw new AppError(
+        `Only ${availability.withdrawable} can be withdrawn now; ${availability.held} from recent orders ` +
+        `is on hold for ${availability.holdingPeriodDays} days after delivery`
+      );
+    }
+
+    this.verifyTwoFactor(user, twoFactorCode);
+
+    return {
+      held: availability.held,
+      flags: await this.getFlags(shop._id, amount, new Date(), session)
+    };
+  }
+}
+
+module.exports = new WithdrawalPolicyService();
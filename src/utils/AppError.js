@@ -0,0 +1,15 @@
+/**
+ * Error carrying an HTTP status and the list of messages to return in the
+ * `errors` array of the standard { success, data, errors } response.
+ */
+class AppError extends Error {
+  constructor(errors, status = 400) {
+    const messages = Array.isArray(errors) ? errors : [errors];
+    super(messages.join('; '));
+    this.name = 'AppError';
+    this.status = status;
+    this.errors = messages;
+  }
+}
+
+module.exports = AppError;
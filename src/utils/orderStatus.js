@@ -0,0 +1,23 @@
+const ORDER_STATUS_FLOW = {
+  pending_payment: ['pending', 'cancelled'],
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'cancelled'],
+  delivered: ['return_requested'],
+  cancelled: [], // Final state
+  // Returns are driven by the return request endpoints, not updateOrderStatus
+  return_requested: ['return_approved', 'delivered'],
+  return_approved: ['returned'],
+  returned: ['refunded'],
+  refunded: [] // Final state
+};
+
+const isValidStatusTransition = (currentStatus, newStatus) => {
+  const allowedTransitions = ORDER_STATUS_FLOW[currentStatus] || [];
+  return allowedTransitions.includes(newStatus);
+};
+
+module.exports = {
+  ORDER_STATUS_FLOW,
+  isValidStatusTransition
+};
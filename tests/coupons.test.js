@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const Category = require('../src/models/Category');
+const couponService = require('../src/services/couponService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const coupon = (fields) => ({
+  _id: id(),
+  code: 'KARIBU',
+  type: 'percentage',
+  value: 10,
+  scope: 'all',
+  minSpend: 0,
+  maxDiscount: null,
+  ...fields
+});
+
+const shops = [{ _id: id() }, { _id: id() }, { _id: id() }];
+const product = (shop, category = id()) => ({ _id: id(), shop, category });
+const group = (shop, price, quantity = 1) => ({ shop, items: [{ product: product(shop), price, quantity }] });
+const amountsFor = (groups) => groups.map(({ items }) => ({
+  total: items.reduce((sum, { price, quantity }) => sum + price * quantity, 0)
+}));
+
+describe('Coupon discounts', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('splits the discount across shops by their eligible spend', async () => {
+    const groups = [group(shops[0], 30000), group(shops[1], 10000)];
+
+    expect(await couponService.calculate(coupon({}), groups, amountsFor(groups))).toEqual([3000, 1000]);
+  });
+
+  it('gives the rounding remainder to the last eligible shop', async () => {
+    const groups = shops.map(shop => group(shop, 1000));
+
+    const discounts = await couponService.calculate(coupon({ type: 'fixed', value: 100 }), groups, amountsFor(groups));
+
+    expect(discounts).toEqual([33.33, 33.33, 33.34]);
+    expect(discounts.reduce((sum, amount) => sum + amount, 0)).toBeCloseTo(100, 2);
+  });
+
+  it('only discounts the shop a shop coupon belongs to', async () => {
+    const groups = [group(shops[0], 2000), group(shops[1], 3333, 3), group(shops[2], 5000)];
+
+    const discounts = await couponService.calculate(
+      coupon({ type: 'percentage', value: 15, shop: shops[1]._id }),
+      groups,
+      amountsFor(groups)
+    );
+
+    expect(discounts).toEqual([0, 1499.85, 0]);
+  });
+
+  it('caps the discount at maxDiscount and at the eligible spend', async () => {
+    const groups = [group(shops[0], 40000)];
+
+    expect(await couponService.calculate(coupon({ value: 50, maxDiscount: 5000 }), groups, amountsFor(groups)))
+      .toEqual([5000]);
+    expect(await couponService.calculate(coupon({ type: 'fixed', value: 90000 }), groups, amountsFor(groups)))
+      .toEqual([40000]);
+  });
+
+  it('matches category coupons through parent categories', async () => {
+    const electronics = id();
+    const phones = id();
+    jest.spyOn(Category, 'getLineage').mockImplementation(async (category) => (
+      category.equals(phones) ? [phones, electronics] : [category]
+    ));
+    const groups = [
+      { shop: shops[0], items: [{ product: product(shops[0], phones), price: 20000, quantity: 1 }] },
+      { shop: shops[1], items: [{ product: product(shops[1]), price: 20000, quantity: 1 }] }
+    ];
+
+    expect(await couponService.calculate(coupon({ scope: 'category', category: electronics }), groups, amountsFor(groups)))
+      .toEqual([2000, 0]);
+  });
+
+  it('refuses coupons below the minimum spend or without eligible items', async () => {
+    const groups = [group(shops[0], 4000)];
+
+    await expect(couponService.calculate(coupon({ minSpend: 5000 }), groups, amountsFor(groups)))
+      .rejects.toMatchObject({ status: 400, errors: ['Spend at least 5000 on eligible items to use this coupon'] });
+    await expect(couponService.calculate(coupon({ shop: shops[1]._id }), groups, amountsFor(groups)))
+      .rejects.toMatchObject({ errors: ['This coupon does not apply to any of these items'] });
+  });
+
+  it('takes the discount off each order total', async () => {
+    const applied = coupon({ type: 'fixed', value: 1000 });
+    jest.spyOn(couponService, 'findByCode').mockResolvedValue(applied);
+    const groups = [group(shops[0], 3000), group(shops[1], 1000)];
+
+    const { amounts } = await couponService.apply('karibu', { groups, amounts: amountsFor(groups) });
+
+    expect(amounts.map(({ discount, total }) => ({ discount, total }))).toEqual([
+      { discount: 750, total: 2250 },
+      { discount: 250, total: 750 }
+    ]);
+    expect(amounts[0].discountDetails).toEqual({ coupon: applied._id, code: 'KARIBU', type: 'fixed', value: 1000 });
+  });
+});
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// describe() for suites that need the replica set from tests/setup
+const describeWithDb = process.env.MONGO_TEST_URI ? describe : describe.skip;
+
+// Each suite gets its own database, as suites run side by side
+const connect = (name) => mongoose.connect(process.env.MONGO_TEST_URI, { dbName: name });
+
+const disconnect = async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+  }
+  await mongoose.disconnect();
+};
+
+module.exports = { describeWithDb, connect, disconnect };
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const Shop = require('../src/models/Shop');
+const Product = require('../src/models/Product');
+const Category = require('../src/models/Category');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const ledgerService = require('../src/services/ledgerService');
+const commissionService = require('../src/services/commissionService');
+
+const id = () => new mongoose.Types.ObjectId();
+const shopId = id();
+
+// The shop's wallet, updated the way the conditional $inc in ledgerService.post would update it
+let wallet;
+
+const useWallet = (balances) => {
+  wallet = { currentBalance: 0, lockedBalance: 0, currency: 'TZS', ...balances };
+
+  jest.spyOn(Shop, 'findOneAndUpdate').mockImplementation((filter, { $inc }) => ({
+    select: async () => {
+      const required = filter['wallet.currentBalance']?.$gte;
+      if (required !== undefined && wallet.currentBalance < required) {
+        return null;
+      }
+      for (const [field, change] of Object.entries($inc)) {
+        const key = field.replace('wallet.', '');
+        wallet[key] = Math.round((wallet[key] + change) * 100) / 100;
+      }
+      return { wallet: { ...wallet } };
+    }
+  }));
+  jest.spyOn(Shop, 'exists').mockReturnValue({ session: async () => ({ _id: shopId }) });
+  // Entries go through the schema's balance check
+  jest.spyOn(LedgerEntry, 'create').mockImplementation(async ([doc]) => {
+    const entry = new LedgerEntry(doc);
+    await entry.validate();
+    return [entry];
+  });
+};
+
+const order = (fields) => ({
+  _id: id(),
+  shop: shopId,
+  orderNumber: 'SW-1001',
+  paymentMethod: 'mobile_money',
+  amounts: { total: 11800 },
+  ...fields
+});
+
+describe('Shop ledger', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('credits a delivered order less commission', async () => {
+    useWallet({});
+
+    const entries = await ledgerService.recordDelivery(order(), { rate: 10, amount: 1180 });
+
+    expect(entries.map(entry => entry.type)).toEqual(['order_credit', 'commission']);
+    expect(entries.map(entry => ledgerService.walletChange(entry))).toEqual([
+      { available: 11800, locked: 0 },
+      { available: -1180, locked: 0 }
+    ]);
+    expect(wallet.currentBalance).toBe(10620);
+    expect(entries[1].balances.available).toBe(10620);
+  });
+
+  it('leaves a cash on delivery shop owing the commission', async () => {
+    useWallet({});
+
+    const entries = await ledgerService.recordDelivery(order({ paymentMethod: 'cash_on_delivery' }), { rate: 10, amount: 1180 });
+
+    expect(entries.map(entry => entry.type)).toEqual(['commission']);
+    expect(wallet.currentBalance).toBe(-1180);
+  });
+
+  it('returns the commission on the refunded share before taking the refund', async () => {
+    useWallet({ currentBalance: 10620 });
+    const refunded = order({ commission: { rate: 10, amount: 1180 } });
+
+    const entries = await ledgerService.recordRefund({ _id: id(), shop: shopId, refundAmount: 5900 }, refunded);
+
+    expect(entries.map(entry => entry.type)).toEqual(['commission', 'refund']);
+    expect(entries[0].lines.map(({ account, debit, credit }) => ({ account, debit, credit }))).toEqual([
+      { account: 'platform_revenue', debit: 590, credit: 0 },
+      { account: 'shop_available', debit: 0, credit: 590 }
+    ]);
+    expect(wallet.currentBalance).toBe(5310);
+  });
+
+  it('refuses a refund the available balance does not cover', async () => {
+    useWallet({ currentBalance: 1000 });
+
+    await expect(ledgerService.recordRefund({ _id: id(), shop: shopId, refundAmount: 5900 }, order()))
+      .rejects.toMatchObject({ status: 409, errors: ["The shop's available balance does not cover the refund of 5900"] });
+  });
+
+  it('keeps a withdrawal reserve in the available balance', async () => {
+    useWallet({ currentBalance: 10000 });
+    const withdrawal = { _id: id(), shop: shopId, amount: 6000 };
+
+    await expect(ledgerService.lockWithdrawal(withdrawal, null, 5000)).rejects.toMatchObject({ status: 409 });
+
+    const entry = await ledgerService.lockWithdrawal(withdrawal, null, 4000);
+    expect(entry.balances).toEqual({ available: 4000, locked: 6000 });
+
+    await ledgerService.recordPayout(withdrawal);
+    expect(wallet).toMatchObject({ currentBalance: 4000, lockedBalance: 0 });
+  });
+});
+
+describe('Commission', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('uses the shop rate when one is set', async () => {
+    jest.spyOn(Shop, 'findById').mockReturnValue({ select: async () => ({ commissionRate: 7.5 }) });
+
+    expect(await commissionService.calculate(order({ amounts: { total: 12345 } })))
+      .toEqual({ rate: 7.5, amount: 925.88 });
+  });
+
+  it('weights category rates by item value, taking the nearest parent rate', async () => {
+    const electronics = id();
+    const phones = id();
+    const books = id();
+    const phone = id();
+    const book = id();
+
+    jest.spyOn(Shop, 'findById').mockReturnValue({ select: async () => ({}) });
+    jest.spyOn(Product, 'find').mockReturnValue({
+      select: async () => [{ _id: phone, category: phones }, { _id: book, category: books }]
+    });
+    jest.spyOn(Category, 'getLineage').mockImplementation(async (category) => (
+      category.equals(phones) ? [phones, electronics] : [category]
+    ));
+    jest.spyOn(Category, 'find').mockImplementation(({ _id: { $in: lineage } }) => ({
+      select: async () => [{ _id: electronics, commissionRate: 12 }, { _id: books, commissionRate: 4 }]
+        .filter(category => lineage.some(categoryId => categoryId.equals(category._id)))
+    }));
+
+    const commission = await commissionService.calculate(order({
+      items: [
+        { product: phone, price: 30000, quantity: 1 },
+        { product: book, price: 5000, quantity: 2 }
+      ],
+      amounts: { total: 40000 }
+    }));
+
+    expect(commission).toEqual({ rate: 10, amount: 4000 });
+  });
+});
@@ -0,0 +1,108 @@
+process.env.PAYMENT_SANDBOX = 'true';
+process.env.ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || 'test-access-secret';
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { describeWithDb, connect, disconnect } = require('./helpers/db');
+const app = require('../server');
+const { User } = require('../src/models/User');
+const Category = require('../src/models/Category');
+const Shop = require('../src/models/Shop');
+const Product = require('../src/models/Product');
+const Order = require('../src/models/Order');
+const LedgerEntry = require('../src/models/LedgerEntry');
+
+// Checkout, payment and delivery against a real database
+jest.setTimeout(30000);
+
+describeWithDb('Order payment and delivery', () => {
+  let buyer;
+  let seller;
+  let shop;
+  let product;
+
+  const tokenFor = (user) => jwt.sign({ user: { id: user._id.toString() } }, process.env.ACCESS_TOKEN_SECRET);
+
+  beforeAll(async () => {
+    await connect('order-flow');
+
+    [buyer, seller] = await User.create([
+      { username: 'buyer', email: 'buyer@example.com', password: 'secret', userType: 'BUYER' },
+      { username: 'seller', email: 'seller@example.com', password: 'secret', userType: 'SELLER' }
+    ]);
+    const category = await Category.create({ name: 'Kitchen', description: 'Kitchen goods', image: 'kitchen.png' });
+    shop = await Shop.create({
+      name: 'Duka la Jikoni',
+      owner: seller._id,
+      description: 'Pots and pans',
+      commissionRate: 10,
+      address: { street: 'Uhuru Street', city: 'Dar es Salaam' },
+      contactInfo: { email: 'seller@example.com', phone: '0712345678' }
+    });
+    product = await Product.create({
+      name: 'Cooking pot',
+      description: 'A large aluminium pot',
+      price: 20000,
+      stock: 5,
+      category: category._id,
+      shop: shop._id
+    });
+  });
+
+  afterAll(disconnect);
+
+  it('credits the shop once a paid order is delivered', async () => {
+    const buyerToken = tokenFor(buyer);
+    const sellerToken = tokenFor(seller);
+
+    await request(app)
+      .post('/api/v1/cart/items')
+      .set('Authorization', `Bearer ${buyerToken}`)
+      .send({ productId: product._id.toString(), quantity: 1 })
+      .expect(200);
+
+    const checkout = await request(app)
+      .post('/api/v1/cart/checkout')
+      .set('Authorization', `Bearer ${buyerToken}`)
+      .send({
+        shippingAddress: { street: 'Samora Avenue', city: 'Dar es Salaam', country: 'Tanzania', phone: '0754000000' },
+        paymentMethod: 'mobile_money'
+      })
+      .expect(201);
+
+    const [{ _id: orderId }] = checkout.body.data.orders;
+    expect((await Order.findById(orderId)).status).toBe('pending_payment');
+
+    await request(app)
+      .post(`/api/v1/sandbox/payments/transactions/${checkout.body.data.payment.transactionId}/success`)
+      .expect(200);
+
+    const paid = await Order.findById(orderId);
+    expect(paid.status).toBe('pending');
+    expect(paid.paymentStatus).toBe('completed');
+    expect((await Product.findById(product._id)).stock).toBe(4);
+
+    for (const status of ['processing', 'shipped']) {
+      await request(app)
+        .patch(`/api/v1/orders/${orderId}/status`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .send({ status })
+        .expect(200);
+    }
+
+    await request(app)
+      .post(`/api/v1/orders/${orderId}/confirm-delivery`)
+      .set('Authorization', `Bearer ${buyerToken}`)
+      .expect(200);
+
+    const delivered = await Order.findById(orderId);
+    expect(delivered.status).toBe('delivered');
+
+    const credit = await LedgerEntry.findOne({ order: orderId, type: 'order_credit' });
+    expect(credit).not.toBeNull();
+
+    const total = delivered.amounts.total;
+    const commission = Math.round(total * 0.1 * 100) / 100;
+    expect((await Shop.findById(shop._id)).wallet.currentBalance).toBeCloseTo(total - commission, 2);
+  });
+});
@@ -0,0 +1,53 @@
+const Counter = require('../src/models/Counter');
+const Order = require('../src/models/Order');
+const Shop = require('../src/models/Shop');
+const orderNumberService = require('../src/services/orderNumberService');
+
+describe('Order numbers', () => {
+  let sequences;
+  let taken;
+
+  beforeEach(() => {
+    sequences = new Map();
+    taken = new Set();
+    jest.spyOn(Counter, 'next').mockImplementation(async (key) => {
+      sequences.set(key, (sequences.get(key) || 0) + 1);
+      return sequences.get(key);
+    });
+    jest.spyOn(Order, 'exists').mockImplementation(async ({ orderNumber }) => (taken.has(orderNumber) ? { _id: orderNumber } : null));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const withPrefix = (orderNumberPrefix) => jest.spyOn(Shop, 'findById')
+    .mockReturnValue({ select: async () => ({ name: 'Duka', orderNumberPrefix }) });
+
+  it('fills in the date, shop prefix and padded sequence', async () => {
+    withPrefix('KT');
+    const date = new Date(2026, 2, 5);
+
+    expect(await orderNumberService.generate({ shopId: 'shop', date, format: '{SHOP}-{YY}{MM}-{SEQ:8}' }))
+      .toBe('KT-2603-00000001');
+    expect(await orderNumberService.generate({ shopId: 'shop', date, format: '{SHOP}-{YY}{MM}-{SEQ:8}' }))
+      .toBe('KT-2603-00000002');
+  });
+
+  it('keeps a prefix ending in a digit apart from another shop\'s sequence', async () => {
+    withPrefix('AB1');
+    sequences.set('orderNumber:AB1#', 1);
+    expect(await orderNumberService.generate({ shopId: 'shop', format: '{SHOP}{SEQ}' })).toBe('AB1000002');
+
+    withPrefix('AB');
+    sequences.set('orderNumber:AB#', 11);
+    expect(await orderNumberService.generate({ shopId: 'shop', format: '{SHOP}{SEQ}' })).toBe('AB000012');
+  });
+
+  it('skips numbers that are already taken', async () => {
+    taken.add('SW-2026-000001');
+
+    expect(await orderNumberService.generate({ date: new Date(2026, 0, 1), format: 'SW-{YYYY}-{SEQ:6}' }))
+      .toBe('SW-2026-000002');
+  });
+});
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const pricingService = require('../src/services/pricingService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Phones sits under Electronics
+const electronics = id();
+const phones = id();
+const lineage = [phones, electronics];
+const lineages = new Map([[phones.toString(), lineage]]);
+
+const rule = (fields) => ({ _id: id(), name: 'VAT', rate: 18, inclusive: true, country: null, category: null, ...fields });
+const phone = { category: phones, weight: 0.5 };
+
+describe('Tax rule selection', () => {
+  it('prefers the deepest category', () => {
+    const parent = rule({ category: electronics });
+    const own = rule({ category: phones });
+
+    expect(pricingService.findTaxRule([parent, own], lineage, 'Tanzania')).toBe(own);
+  });
+
+  it('prefers a country rule within the same category', () => {
+    const global = rule({ category: phones });
+    const local = rule({ category: phones, country: 'Tanzania' });
+
+    expect(pricingService.findTaxRule([global, local], lineage, 'tanzania')).toBe(local);
+  });
+
+  it('ranks category depth above country', () => {
+    const localParent = rule({ category: electronics, country: 'Tanzania' });
+    const globalOwn = rule({ category: phones });
+
+    expect(pricingService.findTaxRule([localParent, globalOwn], lineage, 'Tanzania')).toBe(globalOwn);
+  });
+
+  it('falls back to a category-less rule and skips other countries and categories', () => {
+    const fallback = rule({});
+    const rules = [rule({ country: 'Kenya' }), rule({ category: id() }), fallback];
+
+    expect(pricingService.findTaxRule(rules, lineage, 'Tanzania')).toBe(fallback);
+    expect(pricingService.findTaxRule([rule({ country: 'Kenya' })], lineage, 'Tanzania')).toBeNull();
+  });
+});
+
+describe('Tax calculation', () => {
+  it('takes inclusive tax out of the price without adding to the total', () => {
+    const vat = rule({});
+    const result = pricingService.calculateTax([{ product: phone, price: 11800, quantity: 1 }], [vat], lineages, 'Tanzania');
+
+    expect(result.tax).toBe(1800);
+    expect(result.exclusiveTax).toBe(0);
+    expect(result.taxLines).toEqual([expect.objectContaining({ rule: vat._id, taxableAmount: 11800, amount: 1800 })]);
+  });
+
+  it('adds exclusive tax on top of the price', () => {
+    const vat = rule({ inclusive: false });
+    const result = pricingService.calculateTax([{ product: phone, price: 5000, quantity: 2 }], [vat], lineages, 'Tanzania');
+
+    expect(result.tax).toBe(1800);
+    expect(result.exclusiveTax).toBe(1800);
+  });
+
+  it('rounds the totals to cents', () => {
+    const vat = rule({ rate: 16 });
+    const result = pricingService.calculateTax([{ product: phone, price: 999, quantity: 1 }], [vat], lineages, 'Kenya');
+
+    expect(result.tax).toBe(137.79);
+    expect(result.taxLines[0].amount).toBe(137.79);
+  });
+
+  it('skips items without a rule and zero-rated items', () => {
+    const result = pricingService.calculateTax(
+      [{ product: phone, price: 1000, quantity: 1 }],
+      [rule({ rate: 0 })],
+      lineages,
+      'Tanzania'
+    );
+
+    expect(result).toEqual({ tax: 0, exclusiveTax: 0, taxLines: [] });
+  });
+});
+
+describe('Shipping calculation', () => {
+  const shop = {
+    shippingRates: [
+      { name: 'Dar es Salaam', cities: ['Dar es Salaam'], baseFee: 2000, perKgFee: 500, freeShippingThreshold: 50000 },
+      { name: 'Upcountry', cities: [], baseFee: 5000, perKgFee: 1000 }
+    ]
+  };
+  const items = [{ product: phone, quantity: 2 }];
+
+  it('uses the rate for the city, by weight', () => {
+    expect(pricingService.calculateShipping(shop, items, 20000, ' dar es salaam ').fee).toBe(2500);
+  });
+
+  it('falls back to the rate without cities', () => {
+    expect(pricingService.calculateShipping(shop, items, 20000, 'Mwanza').details)
+      .toEqual({ rate: 'Upcountry', weightKg: 1, fee: 6000, freeShippingApplied: false });
+  });
+
+  it('ships free above the threshold', () => {
+    expect(pricingService.calculateShipping(shop, items, 50000, 'Dar es Salaam').fee).toBe(0);
+  });
+});
@@ -0,0 +1,45 @@
+const pricingService = require('../src/services/pricingService');
+
+// Two phones and a case: subtotal 25000, shipping 3000, a 2500 coupon
+const order = {
+  items: [
+    { name: 'Phone', price: 10000, quantity: 2 },
+    { name: 'Case', price: 5000, quantity: 1 }
+  ],
+  amounts: { subtotal: 25000, shipping: 3000, discount: 2500, total: 25500 }
+};
+
+describe('Return refunds', () => {
+  it('refunds the discounted share of the returned items without shipping', () => {
+    expect(pricingService.calculateRefund(order, [{ price: 10000, quantity: 1 }])).toBe(9000);
+    expect(pricingService.calculateRefund(order, [{ price: 5000, quantity: 1 }])).toBe(4500);
+  });
+
+  it('refunds the whole total, shipping included, when everything comes back', () => {
+    const everything = [{ price: 10000, quantity: 2 }, { price: 5000, quantity: 1 }];
+
+    expect(pricingService.calculateRefund(order, everything)).toBe(25500);
+  });
+
+  it('spreads exclusive tax over the returned items', () => {
+    const taxed = {
+      items: [{ price: 4000, quantity: 1 }, { price: 6000, quantity: 1 }],
+      amounts: { subtotal: 10000, tax: 1800, shipping: 0, total: 11800 }
+    };
+
+    expect(pricingService.calculateRefund(taxed, [{ price: 4000, quantity: 1 }])).toBe(4720);
+  });
+
+  it('rounds to cents', () => {
+    const discounted = {
+      items: [{ price: 1000, quantity: 3 }],
+      amounts: { subtotal: 3000, shipping: 0, discount: 100, total: 2900 }
+    };
+
+    expect(pricingService.calculateRefund(discounted, [{ price: 1000, quantity: 1 }])).toBe(966.67);
+  });
+
+  it('uses the item prices for orders without stored amounts', () => {
+    expect(pricingService.calculateRefund({ items: order.items }, [{ price: 5000, quantity: 1 }])).toBe(5000);
+  });
+});
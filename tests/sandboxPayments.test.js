@@ -0,0 +1,258 @@
+process.env.PAYMENT_SANDBOX = 'true';
+
+const request = require('supertest');
+const app = require('../server');
+const { describeWithDb, connect, disconnect } = require('./helpers/db');
+const { User } = require('../src/models/User');
+const Category = require('../src/models/Category');
+const Shop = require('../src/models/Shop');
+const Product = require('../src/models/Product');
+const Order = require('../src/models/Order');
+const WebhookEvent = require('../src/models/WebhookEvent');
+const WithdrawalRequest = require('../src/models/WithdrawalRequest');
+const paymentsConfig = require('../src/config/payments');
+const paymentService = require('../src/services/paymentService');
+const payoutService = require('../src/services/payoutService');
+const ledgerService = require('../src/services/ledgerService');
+const stockReservationService = require('../src/services/stockReservationService');
+const webhookVerificationService = require('../src/services/webhookVerificationService');
+
+const customer = { name: 'Test Buyer', email: 'buyer@example.com', phone: '0712345678' };
+
+// A callback signed the way the sandbox signs its own
+const signedCallback = (body) => {
+  const { secret, signatureHeader, timestampHeader, encoding } = paymentsConfig.sandbox.webhook;
+  const rawBody = JSON.stringify(body);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  return request(app)
+    .post('/api/v1/webhooks/sandbox')
+    .set('content-type', 'application/json')
+    .set(signatureHeader, webhookVerificationService.sign(secret, `${timestamp}.${rawBody}`, encoding))
+    .set(timestampHeader, timestamp)
+    .send(rawBody);
+};
+
+describe('Sandbox payment provider', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('is selected for every checkout', () => {
+    expect(paymentService.selectProvider({ provider: 'zenopay', country: 'Kenya' }).name).toBe('sandbox');
+  });
+
+  it('keeps new payments pending', async () => {
+    const { transactionId } = await paymentService.initiate('sandbox', { reference: 'CHK1', amount: 5000, customer });
+
+    expect(await paymentService.getPaymentState(transactionId, 'sandbox')).toBe('pending');
+  });
+
+  it('rejects unknown transactions and outcomes', async () => {
+    const { transactionId } = await paymentService.initiate('sandbox', { reference: 'CHK5', amount: 5000, customer });
+
+    await request(app).post('/api/v1/sandbox/payments/transactions/SBX0/success').expect(404);
+    await request(app).post(`/api/v1/sandbox/payments/transactions/${transactionId}/refund`).expect(400);
+  });
+});
+
+describe('Payment webhook verification', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses unsigned callbacks when verification is required', () => {
+    const zenopay = paymentService.getProvider('zenopay');
+    const req = { ip: '203.0.113.5', headers: {}, rawBody: Buffer.from('{}') };
+
+    jest.replaceProperty(paymentsConfig, 'requireWebhookVerification', true);
+    expect(webhookVerificationService.verify(zenopay, req).verified).toBe(false);
+
+    jest.replaceProperty(zenopay.config, 'webhook', { ...zenopay.config.webhook, allowedIps: ['203.0.113.0/24'] });
+    expect(webhookVerificationService.verify(zenopay, req).verified).toBe(true);
+  });
+
+  it('rejects a multibyte Flutterwave hash of the same length', async () => {
+    const flutterwave = paymentService.getProvider('flutterwave');
+    jest.replaceProperty(flutterwave.config, 'webhookHash', 'abcd');
+
+    const result = await flutterwave.verifyWebhook({ headers: { 'verif-hash': 'ab€' }, body: { data: { tx_ref: 'CHK1' } } });
+
+    expect(result).toMatchObject({ verified: false, reason: 'Invalid verif-hash header' });
+  });
+});
+
+describeWithDb('Sandbox payments and payouts', () => {
+  let buyer;
+  let seller;
+  let shop;
+  let product;
+
+  beforeAll(async () => {
+    await connect('sandbox-payments');
+    // Duplicate deliveries are caught by the unique event id index
+    await WebhookEvent.init();
+
+    [buyer, seller] = await User.create([
+      { username: 'buyer', email: 'buyer@example.com', password: 'secret', userType: 'BUYER' },
+      { username: 'seller', email: 'seller@example.com', password: 'secret', userType: 'SELLER' }
+    ]);
+    const category = await Category.create({ name: 'Kitchen', description: 'Kitchen goods', image: 'kitchen.png' });
+    shop = await Shop.create({
+      name: 'Duka la Jikoni',
+      owner: seller._id,
+      description: 'Pots and pans',
+      address: { street: 'Uhuru Street', city: 'Dar es Salaam' },
+      contactInfo: { email: 'seller@example.com', phone: '0712345678' },
+      wallet: { currentBalance: 100000 }
+    });
+    product = await Product.create({
+      name: 'Cooking pot',
+      description: 'A large aluminium pot',
+      price: 20000,
+      stock: 10,
+      category: category._id,
+      shop: shop._id
+    });
+  });
+
+  afterAll(disconnect);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // An order waiting for a sandbox payment, with its stock reserved
+  const placeOrder = async () => {
+    const { transactionId } = await paymentService.initiate('sandbox', { reference: 'CHK', amount: 20000, customer });
+    const order = await Order.create({
+      user: buyer._id,
+      shop: shop._id,
+      items: [{ product: product._id, name: product.name, quantity: 1, price: 20000 }],
+      amounts: { subtotal: 20000, tax: 0, shipping: 0, total: 20000 },
+      paymentMethod: 'mobile_money',
+      status: 'pending_payment',
+      paymentDetails: { transactionId, provider: 'sandbox', status: 'pending' }
+    });
+    await stockReservationService.reserve(order);
+    return { order, transactionId };
+  };
+
+  it('marks the order paid when the payment succeeds', async () => {
+    const { order, transactionId } = await placeOrder();
+
+    const res = await request(app)
+      .post(`/api/v1/sandbox/payments/transactions/${transactionId}/success`)
+      .expect(200);
+
+    expect(res.body.data.webhookEvent.status).toBe('processed');
+    const paid = await Order.findById(order._id);
+    expect(paid.status).toBe('pending');
+    expect(paid.paymentStatus).toBe('completed');
+    expect(paid.paymentDetails.paymentReference).toBe(res.body.data.transaction.reference);
+  });
+
+  it.each(['failure', 'timeout'])('cancels the order and restocks it after a %s', async (outcome) => {
+    const before = await Product.findById(product._id);
+    const { order, transactionId } = await placeOrder();
+
+    await request(app)
+      .post(`/api/v1/sandbox/payments/transactions/${transactionId}/${outcome}`)
+      .expect(200);
+
+    const cancelled = await Order.findById(order._id);
+    expect(cancelled.status).toBe('cancelled');
+    expect(cancelled.paymentStatus).toBe('failed');
+    expect(await Product.findById(product._id)).toMatchObject({ stock: before.stock, orderCount: before.orderCount });
+  });
+
+  it('treats a redelivered callback as a duplicate', async () => {
+    const { order, transactionId } = await placeOrder();
+    const res = await request(app)
+      .post(`/api/v1/sandbox/payments/transactions/${transactionId}/success`)
+      .expect(200);
+    const paid = await Order.findById(order._id);
+
+    await signedCallback(res.body.data.callback).expect(200);
+
+    const events = await WebhookEvent.find({ transactionId }).sort({ createdAt: 1 });
+    expect(events.map(event => event.status)).toEqual(['processed', 'duplicate']);
+    expect(events[1].duplicateOf).toEqual(events[0]._id);
+
+    const after = await Order.findById(order._id);
+    expect(after.statusHistory).toHaveLength(paid.statusHistory.length);
+    expect(after.paymentDetails.paidAt).toEqual(paid.paymentDetails.paidAt);
+  });
+
+  it('rejects and records callbacks without a valid signature', async () => {
+    const { order, transactionId } = await placeOrder();
+
+    await request(app)
+      .post('/api/v1/webhooks/sandbox')
+      .set('x-sandbox-signature', 'forged')
+      .set('x-sandbox-timestamp', String(Math.floor(Date.now() / 1000)))
+      .send({ order_id: transactionId, payment_status: 'COMPLETED' })
+      .expect(401);
+
+    const record = await WebhookEvent.findOne({ 'payload.order_id': transactionId });
+    expect(record.status).toBe('rejected');
+    expect(record.verification.reason).toBe('Invalid signature');
+    expect((await Order.findById(order._id)).paymentStatus).toBe('pending');
+  });
+
+  it('settles a payment only once', async () => {
+    const { order, transactionId } = await placeOrder();
+
+    await request(app).post(`/api/v1/sandbox/payments/transactions/${transactionId}/success`).expect(200);
+    await request(app).post(`/api/v1/sandbox/payments/transactions/${transactionId}/failure`).expect(409);
+
+    expect((await Order.findById(order._id)).status).toBe('pending');
+  });
+
+  // An approved withdrawal with its amount locked in the wallet
+  const approveWithdrawal = async () => {
+    const withdrawal = await WithdrawalRequest.create({
+      shop: shop._id,
+      user: seller._id,
+      amount: 20000,
+      status: 'approved',
+      paymentDetails: { type: 'mobile_money', details: { phoneNumber: '0712345678' } }
+    });
+    await ledgerService.lockWithdrawal(withdrawal);
+    return withdrawal;
+  };
+
+  const wallet = async () => (await Shop.findById(shop._id)).wallet;
+
+  it('pays out a withdrawal once the sandbox payout succeeds', async () => {
+    const withdrawal = await approveWithdrawal();
+    const before = await wallet();
+
+    const processing = await payoutService.start(withdrawal._id);
+    expect(processing.status).toBe('processing');
+
+    const res = await request(app)
+      .post(`/api/v1/sandbox/payments/payouts/${processing.payout.reference}/success`)
+      .expect(200);
+
+    expect(res.body.data.withdrawal.status).toBe('paid');
+    expect((await WithdrawalRequest.findById(withdrawal._id)).status).toBe('paid');
+    expect((await wallet()).lockedBalance).toBe(before.lockedBalance - 20000);
+
+    await request(app).post(`/api/v1/sandbox/payments/payouts/${processing.payout.reference}/failure`).expect(409);
+  });
+
+  it('keeps the funds locked when the provider does not answer', async () => {
+    const withdrawal = await approveWithdrawal();
+    const before = await wallet();
+    jest.spyOn(paymentService.selectPayoutProvider(), 'payout')
+      .mockRejectedValue(new Error('sandbox request failed (504): Gateway Timeout'));
+
+    await payoutService.start(withdrawal._id);
+
+    const unconfirmed = await WithdrawalRequest.findById(withdrawal._id);
+    expect(unconfirmed.status).toBe('processing');
+    expect(unconfirmed.payout.reference).toBe(withdrawal._id.toString());
+    expect(await wallet()).toMatchObject({ currentBalance: before.currentBalance, lockedBalance: before.lockedBalance });
+  });
+});
@@ -0,0 +1,214 @@
+process.env.SEARCH_ENGINE = 'memory';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../server');
+const Product = require('../src/models/Product');
+const Category = require('../src/models/Category');
+const Shop = require('../src/models/Shop');
+const SearchQuery = require('../src/models/SearchQuery');
+const searchService = require('../src/services/searchService');
+const { analyzeQuery, stem, highlight } = require('../src/services/search/textAnalyzer');
+const { mergeFilters } = require('../src/middleware/queryBuilder');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const documents = [
+  { id: id(), name: 'Samsung Galaxy Smartphone', description: 'A fast phone with a long battery life', category: 'Phones', shop: 'Kariakoo Tech' },
+  { id: id(), name: 'Phone case', description: 'Fits most Samsung smartphones', category: 'Accessories', shop: 'Tech Hub' },
+  { id: id(), name: 'Vitabu vya watoto', description: 'Hadithi fupi kwa watoto', category: 'Books', shop: 'Duka la Vitabu' },
+  { id: id(), name: 'Radio ya sola', description: 'Inachajiwa kwa jua', category: 'Electronics', shop: 'Kariakoo Tech' }
+];
+
+const search = (text) => searchService.engine.search(analyzeQuery(text));
+const nameOf = (hit) => documents.find(document => document.id.equals(hit.id)).name;
+
+describe('Search text analysis', () => {
+  it('matches English plurals and word endings', () => {
+    expect(stem('phones')).toBe(stem('phone'));
+    expect(stem('batteries')).toBe(stem('battery'));
+    expect(stem('charging')).toBe(stem('charge'));
+  });
+
+  it('matches Swahili plural noun classes', () => {
+    expect(stem('vitabu')).toBe(stem('kitabu'));
+    expect(stem('watoto')).toBe(stem('mtoto'));
+    expect(stem('vyakula')).toBe(stem('chakula'));
+  });
+
+  it('highlights matches in escaped text', () => {
+    expect(highlight('Smartphone <b>cases</b>', analyzeQuery('case')))
+      .toBe('Smartphone &lt;b&gt;<em>cases</em>&lt;/b&gt;');
+    expect(highlight('Phone case', analyzeQuery('radio'))).toBeNull();
+  });
+});
+
+describe('In-memory search engine', () => {
+  beforeAll(async () => {
+    searchService.engine.clear();
+    await searchService.engine.index(documents);
+    searchService.engine.ready = true;
+  });
+
+  it('ranks name matches above description matches', async () => {
+    const hits = await search('samsung smartphone');
+
+    expect(hits.map(nameOf)).toEqual(['Samsung Galaxy Smartphone', 'Phone case']);
+  });
+
+  it('tolerates a typo in the name', async () => {
+    expect((await search('smartphne')).map(nameOf)).toEqual(['Samsung Galaxy Smartphone']);
+  });
+
+  it('matches the last word as a prefix while typing', async () => {
+    expect((await search('galax')).map(nameOf)).toEqual(['Samsung Galaxy Smartphone']);
+  });
+
+  it('finds Swahili plurals from the singular', async () => {
+    expect((await search('kitabu')).map(nameOf)).toEqual(['Vitabu vya watoto']);
+  });
+
+  it('searches category and shop names', async () => {
+    expect((await search('kariakoo')).map(nameOf).sort()).toEqual(['Radio ya sola', 'Samsung Galaxy Smartphone']);
+    expect((await search('electronics')).map(nameOf)).toEqual(['Radio ya sola']);
+  });
+
+  it('falls back to partial matches when nothing matches every word', async () => {
+    expect((await search('radio smartphone')).map(nameOf).sort()).toEqual(['Phone case', 'Radio ya sola', 'Samsung Galaxy Smartphone']);
+  });
+});
+
+describe('GET /api/v1/products/search', () => {
+  const [phone, phoneCase] = documents.map(document => new Product({
+    _id: document.id,
+    name: document.name,
+    description: document.description,
+    price: 1000,
+    category: id(),
+    shop: id()
+  }));
+
+  beforeAll(async () => {
+    searchService.engine.clear();
+    await searchService.engine.index(documents);
+    searchService.engine.ready = true;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Product, 'find').mockImplementation(() => ({
+      distinct: jest.fn().mockResolvedValue([phone._id, phoneCase._id]),
+      populate: jest.fn().mockReturnValue({ populate: jest.fn().mockResolvedValue([phoneCase, phone]) })
+    }));
+    jest.spyOn(Product, 'aggregate').mockResolvedValue([{ categories: [], shops: [], price: [{ min: 1000, max: 1000 }] }]);
+    jest.spyOn(SearchQuery, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns ranked, highlighted results with facets', async () => {
+    const res = await request(app)
+      .get('/api/v1/products/search')
+      .query({ q: 'samsung smartphones' })
+      .expect(200);
+
+    const { products, facets, pagination } = res.body.data;
+    expect(products.map(product => product.name)).toEqual(['Samsung Galaxy Smartphone', 'Phone case']);
+    expect(products[0].relevance).toBeGreaterThan(products[1].relevance);
+    expect(products[0].highlights.name).toBe('<em>Samsung</em> Galaxy <em>Smartphone</em>');
+    expect(products[1].highlights.description).toBe('Fits most <em>Samsung</em> <em>smartphones</em>');
+    expect(facets.price).toEqual({ min: 1000, max: 1000 });
+    expect(pagination.totalProducts).toBe(2);
+    expect(SearchQuery.create).toHaveBeenCalledWith(expect.objectContaining({
+      text: 'samsung smartphones',
+      normalized: 'samsung smartphones',
+      resultCount: 2
+    }));
+  });
+
+  it('needs something to search for', async () => {
+    const res = await request(app)
+      .get('/api/v1/products/search')
+      .query({ q: 'the' })
+      .expect(400);
+
+    expect(res.body.errors).toEqual(['Enter a word to search for']);
+  });
+});
+
+describe('GET /api/v1/search/suggest', () => {
+  const phone = new Product({ _id: documents[0].id, name: documents[0].name, views: { total: 40 }, orderCount: 1 });
+  const shop = new Shop({ _id: id(), name: 'Smart Gadgets' });
+
+  beforeAll(async () => {
+    searchService.engine.clear();
+    await searchService.engine.index(documents);
+    searchService.engine.ready = true;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Product, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([phone]) });
+    jest.spyOn(Category, 'find').mockReturnValue({ select: () => ({ limit: jest.fn().mockResolvedValue([]) }) });
+    jest.spyOn(Shop, 'find').mockReturnValue({ select: () => ({ limit: jest.fn().mockResolvedValue([shop]) }) });
+    jest.spyOn(Product, 'aggregate').mockResolvedValue([{
+      categories: [],
+      shops: [{ _id: shop._id, views: 500, orders: 20 }]
+    }]);
+    jest.spyOn(SearchQuery, 'aggregate').mockResolvedValue([{ text: 'smartphone', searchers: 12 }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('mixes products and shops, most popular first', async () => {
+    const res = await request(app)
+      .get('/api/v1/search/suggest')
+      .query({ q: 'smart' })
+      .expect(200);
+
+    const { suggestions, queries } = res.body.data;
+    expect(suggestions.map(suggestion => [suggestion.type, suggestion.text, suggestion.popularity])).toEqual([
+      ['shop', 'Smart Gadgets', 700],
+      ['product', 'Samsung Galaxy Smartphone', 50]
+    ]);
+    expect(suggestions[1].highlighted).toBe('Samsung Galaxy <em>Smartphone</em>');
+    expect(queries).toEqual([{ text: 'smartphone', searchers: 12 }]);
+  });
+
+  it('returns trending searches for an empty search bar', async () => {
+    const res = await request(app)
+      .get('/api/v1/search/suggest')
+      .expect(200);
+
+    expect(res.body.data.suggestions).toEqual([]);
+    expect(res.body.data.queries).toEqual([{ text: 'smartphone', searchers: 12 }]);
+    expect(Product.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('Product listing filters', () => {
+  it('rejects filters and sorts it does not know', async () => {
+    const res = await request(app)
+      .get('/api/v1/products/search')
+      .query({ q: 'phone', minRating: '6', inStock: 'yes', sortBy: 'price; drop' })
+      .expect(400);
+
+    expect(res.body.errors).toEqual([
+      'inStock must be true or false',
+      'minRating must be a number from 0 to 5',
+      'sortBy must be one of: newest, popular, best-rated, createdAt, price, name'
+    ]);
+  });
+
+  it("keeps a listing's own shop when another is asked for", () => {
+    const [own, other] = [id(), id()];
+
+    expect(mergeFilters({ shop: own }, { shop: { $in: [other] }, price: { $gte: 10 } })).toEqual({
+      shop: own,
+      price: { $gte: 10 },
+      $and: [{ shop: { $in: [other] } }]
+    });
+  });
+});
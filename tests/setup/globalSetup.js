@@ -0,0 +1,15 @@
+// One in-memory replica set (checkout and payouts use transactions) shared
+// by the suites that need a database. The MongoDB version is pinned under
+// config.mongodbMemoryServer in package.json. Where no binary can be had,
+// e.g. offline, those suites are skipped instead of failing.
+module.exports = async () => {
+  try {
+    const { MongoMemoryReplSet } = require('mongodb-memory-server');
+    const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+
+    globalThis.__MONGO_REPL_SET__ = replSet;
+    process.env.MONGO_TEST_URI = replSet.getUri();
+  } catch (error) {
+    console.warn(`\nSkipping database tests, MongoDB could not be started: ${error.message}`);
+  }
+};
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const speakeasy = require('speakeasy');
+const withdrawalConfig = require('../src/config/withdrawals');
+const WithdrawalRequest = require('../src/models/WithdrawalRequest');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const withdrawalPolicyService = require('../src/services/withdrawalPolicyService');
+
+const id = () => new mongoose.Types.ObjectId();
+const shop = (currentBalance) => ({ _id: id(), wallet: { currentBalance } });
+
+const secret = speakeasy.generateSecret().base32;
+const seller = { securitySettings: { twoFactorEnabled: true, twoFactorSecret: secret } };
+const code = () => speakeasy.totp({ secret, encoding: 'base32' });
+
+// Ledger entries from the holding period and what the shop already withdrew
+const useHistory = ({ entries = [], withdrawn = 0, recentRequests = 0 } = {}) => {
+  jest.spyOn(LedgerEntry, 'find').mockReturnValue({
+    select: () => ({ session: async () => entries.map(entry => new LedgerEntry({ shop: id(), ...entry })) })
+  });
+  jest.spyOn(WithdrawalRequest, 'aggregate').mockReturnValue({
+    session: async () => (withdrawn ? [{ total: withdrawn }] : [])
+  });
+  jest.spyOn(WithdrawalRequest, 'countDocuments').mockReturnValue({ session: async () => recentRequests });
+};
+
+const delivered = (order, total, commission) => [
+  {
+    type: 'order_credit',
+    order,
+    lines: [{ account: 'payments_clearing', debit: total }, { account: 'shop_available', credit: total }]
+  },
+  {
+    type: 'commission',
+    order,
+    lines: [{ account: 'shop_available', debit: commission }, { account: 'platform_revenue', credit: commission }]
+  }
+];
+
+describe('Withdrawal policy', () => {
+  beforeEach(() => {
+    jest.replaceProperty(withdrawalConfig, 'minAmount', 1000);
+    jest.replaceProperty(withdrawalConfig, 'maxAmount', 0);
+    jest.replaceProperty(withdrawalConfig, 'dailyLimit', 0);
+    jest.replaceProperty(withdrawalConfig, 'monthlyLimit', 0);
+    jest.replaceProperty(withdrawalConfig, 'holdingPeriodDays', 7);
+    jest.replaceProperty(withdrawalConfig, 'requireTwoFactor', true);
+    jest.replaceProperty(withdrawalConfig, 'velocity', { windowHours: 24, maxRequests: 3, maxAmount: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts a request within the rules', async () => {
+    useHistory();
+
+    await expect(withdrawalPolicyService.check({ shop: shop(50000), user: seller, amount: 20000, twoFactorCode: code() }))
+      .resolves.toEqual({ held: 0, flags: [] });
+  });
+
+  it('enforces the minimum and maximum amounts', async () => {
+    jest.replaceProperty(withdrawalConfig, 'maxAmount', 30000);
+    useHistory();
+
+    await expect(withdrawalPolicyService.check({ shop: shop(50000), user: seller, amount: 500, twoFactorCode: code() }))
+      .rejects.toMatchObject({ errors: ['The minimum withdrawal is 1000'] });
+    await expect(withdrawalPolicyService.check({ shop: shop(50000), user: seller, amount: 40000, twoFactorCode: code() }))
+      .rejects.toMatchObject({ errors: ['The maximum withdrawal is 30000'] });
+  });
+
+  it('counts earlier requests against the daily cap', async () => {
+    jest.replaceProperty(withdrawalConfig, 'dailyLimit', 50000);
+    useHistory({ withdrawn: 35000 });
+
+    await expect(withdrawalPolicyService.check({ shop: shop(100000), user: seller, amount: 20000, twoFactorCode: code() }))
+      .rejects.toMatchObject({ errors: ['This exceeds your daily withdrawal limit of 50000; 15000 remaining'] });
+  });
+
+  it('holds back revenue delivered within the holding period, net of commission', async () => {
+    useHistory({ entries: delivered(id(), 30000, 3000) });
+    const wallet = shop(40000);
+
+    const availability = await withdrawalPolicyService.getAvailability(wallet);
+    expect(availability).toMatchObject({ available: 40000, held: 27000, withdrawable: 13000 });
+
+    await expect(withdrawalPolicyService.check({ shop: wallet, user: seller, amount: 20000, twoFactorCode: code() }))
+      .rejects.toMatchObject({ errors: [expect.stringMatching(/^Only 13000 can be withdrawn now; 27000 from recent orders/)] });
+    await expect(withdrawalPolicyService.check({ shop: wallet, user: seller, amount: 13000, twoFactorCode: code() }))
+      .resolves.toMatchObject({ held: 27000 });
+  });
+
+  it('does not hold back commission on cash on delivery orders', async () => {
+    useHistory({ entries: delivered(id(), 30000, 3000).slice(1) });
+
+    expect(await withdrawalPolicyService.getHeldAmount(id())).toBe(0);
+  });
+
+  it('requires a valid 2FA code from a seller who enabled 2FA', async () => {
+    useHistory();
+    const request = (user, twoFactorCode) => withdrawalPolicyService.check({ shop: shop(50000), user, amount: 5000, twoFactorCode });
+
+    await expect(request({}, code())).rejects.toMatchObject({ status: 403 });
+    await expect(request(seller)).rejects.toMatchObject({ status: 400, errors: ['A 2FA code is required to request a withdrawal'] });
+    await expect(request(seller, '000000')).rejects.toMatchObject({ status: 401 });
+
+    jest.replaceProperty(withdrawalConfig, 'requireTwoFactor', false);
+    await expect(request({})).resolves.toMatchObject({ flags: [] });
+  });
+
+  it('flags rapid requests for review instead of refusing them', async () => {
+    jest.replaceProperty(withdrawalConfig, 'velocity', { windowHours: 24, maxRequests: 3, maxAmount: 40000 });
+    useHistory({ withdrawn: 30000, recentRequests: 3 });
+
+    const { flags } = await withdrawalPolicyService.check({ shop: shop(50000), user: seller, amount: 15000, twoFactorCode: code() });
+
+    expect(flags).toEqual([
+      '4 withdrawal requests within 24 hours (limit 3)',
+      '45000 requested within 24 hours (limit 40000)'
+    ]);
+  });
+});